@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { createLabel } from './labels.js';
+import { residueKind, isPolymer } from './residues.js';
+import { findAtom, findResidue, atomLabel, residueLabel } from './structure-model.js';
+import { addButton, addSelect, addTextInput, addFileButton, createPanel, downloadFile } from './viewer-ui.js';
+
+// Text in the scene: automatic labels for residues, chains or ligands, and the user's own notes
+// anchored to atoms. Both are CSS2D labels (see labels.js) in the molecule group, so they follow
+// it around and always face the camera.
+// Notes are kept per structure ID in localStorage and can be exported / imported as JSON:
+//   { version: 1, structure: '1CRN', notes: [{ chain, seq, iCode, residue, atom, text }] }
+// Atoms are stored by name rather than index, so notes also find their atom in the other file
+// format of the same entry.
+
+// --- Configuration ---
+export const AUTO_LABELS = {
+    none: 'None',
+    residues: 'Residues',
+    chains: 'Chains',
+    ligands: 'Ligands'
+};
+export const ANNOTATIONS_VERSION = 1;
+const MAX_RESIDUE_LABELS = 300; // Bigger structures get every n-th residue labelled
+const STORAGE_PREFIX = 'annotations:';
+const RESIDUE_ANCHORS = ['CA', "C4'", 'P']; // Protein, then nucleic acid
+
+// --- Auto labels ---
+// [{ text, position: { x, y, z } }] for one of AUTO_LABELS in a model
+export function labelAnchors(model, kind) {
+    const anchors = [];
+    if (kind === 'residues') {
+        const residues = model.chains.flatMap((chain) => chain.residues.filter(isPolymer));
+        const step = Math.ceil(residues.length / MAX_RESIDUE_LABELS);
+        for (let i = 0; i < residues.length; i += step) {
+            const residue = residues[i];
+            const anchor = RESIDUE_ANCHORS.map((name) => findAtom(residue, name)).find(Boolean);
+            anchors.push({ text: `${residue.name} ${residue.seq}${residue.iCode}`, position: anchor || centroid(residue.atoms) });
+        }
+    } else if (kind === 'chains') {
+        for (const chain of model.chains) {
+            const atoms = chain.residues.filter(isPolymer).flatMap((residue) => residue.atoms);
+            if (atoms.length > 0) anchors.push({ text: `Chain ${chain.id}`, position: centroid(atoms) });
+        }
+    } else if (kind === 'ligands') {
+        for (const chain of model.chains) {
+            for (const residue of chain.residues) {
+                if (residueKind(residue) === 'ligand') anchors.push({ text: residueLabel(residue), position: centroid(residue.atoms) });
+            }
+        }
+    }
+    return anchors;
+}
+
+function centroid(atoms) {
+    const sum = { x: 0, y: 0, z: 0 };
+    for (const atom of atoms) {
+        sum.x += atom.x;
+        sum.y += atom.y;
+        sum.z += atom.z;
+    }
+    return { x: sum.x / atoms.length, y: sum.y / atoms.length, z: sum.z / atoms.length };
+}
+
+// --- Notes ---
+// A note is { atom, text }; in JSON the atom is named by chain, residue and atom name
+export function noteToJSON({ atom, text }) {
+    const { residue } = atom;
+    return { chain: residue.chain.id, seq: residue.seq, iCode: residue.iCode, residue: residue.name, atom: atom.name, text };
+}
+
+// The note's atom in `model`, or null when the model lacks it
+export function noteFromJSON(data, model) {
+    const chain = model.chainsById.get(data.chain);
+    const residue = chain && findResidue(chain, data.seq, data.iCode || '', data.residue);
+    const atom = residue && findAtom(residue, data.atom);
+    return atom ? { atom, text: String(data.text) } : null;
+}
+
+export function annotationsToJSON(structureId, notes) {
+    return { version: ANNOTATIONS_VERSION, structure: structureId, notes: notes.map(noteToJSON) };
+}
+
+// The notes of an exported file, checked enough to be resolved with noteFromJSON()
+export function parseAnnotations(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || !Array.isArray(data.notes)) throw new Error('Not an annotations file');
+    if (data.version !== ANNOTATIONS_VERSION) throw new Error(`Unsupported annotations version: ${data.version}`);
+    return data.notes.filter((note) => note && typeof note.chain === 'string' && typeof note.atom === 'string' && 'text' in note);
+}
+
+// --- Storage ---
+function storageKey(structureId) {
+    return `${STORAGE_PREFIX}${structureId.toUpperCase()}`;
+}
+
+export function readStoredNotes(structureId) {
+    try {
+        const text = localStorage.getItem(storageKey(structureId));
+        return text ? parseAnnotations(text) : [];
+    } catch (err) {
+        return []; // Storage disabled, or nothing valid saved
+    }
+}
+
+export function writeStoredNotes(structureId, notes) {
+    try {
+        if (notes.length > 0) {
+            localStorage.setItem(storageKey(structureId), JSON.stringify(annotationsToJSON(structureId, notes)));
+        } else {
+            localStorage.removeItem(storageKey(structureId));
+        }
+    } catch (err) {
+        console.warn('Could not save the notes:', err);
+    }
+}
+
+// --- Tool ---
+// getSelectedAtom() returns the atom new notes are anchored to (the inspector's pick).
+// Returns { setStructure(structure), setAutoLabels(kind), addNote(atom, text), removeNote(note),
+// importNotes(text), exportNotes(), notes }.
+export function createAnnotationTool(toolbar, { group, getSelectedAtom }) {
+    const labels = new THREE.Group();
+    labels.name = 'annotations';
+    let structure = null;
+    let autoKind = 'none';
+    let autoLabels = [];
+    const notes = []; // { atom, text, label }
+
+    const autoSelect = addSelect(toolbar, 'Labels', AUTO_LABELS, autoKind, (kind) => tool.setAutoLabels(kind));
+    const panel = createPanel('Notes');
+    addButton(toolbar, 'Notes', () => {
+        if (panel.element.hidden) panel.open(); else panel.close();
+    });
+    const input = addTextInput(panel.body, 'Note for the picked atom', (text) => {
+        if (tool.addNote(getSelectedAtom(), text)) input.value = '';
+    });
+    const list = document.createElement('div');
+    const fileRow = document.createElement('div');
+    fileRow.className = 'viewer-panel-row';
+    addButton(fileRow, 'Export JSON', () => {
+        const id = structure && structure.id ? structure.id : 'structure';
+        downloadFile(`${id}-notes.json`, JSON.stringify(tool.exportNotes(), null, 2), 'application/json');
+    });
+    addFileButton(fileRow, 'Import JSON', '.json', (file) => {
+        file.text().then((text) => tool.importNotes(text)).catch((err) => showStatus(`Import failed: ${err.message}`, true));
+    });
+    const status = document.createElement('div');
+    status.className = 'viewer-status';
+    panel.body.append(list, fileRow, status);
+
+    function showStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('viewer-error', isError);
+    }
+
+    // Labels have to be detached one by one: CSS2DObjects only take their element off the page
+    // when they are removed themselves
+    function removeLabels(objects) {
+        for (const label of objects) {
+            label.removeFromParent();
+            label.element.remove();
+        }
+    }
+
+    function buildAutoLabels() {
+        removeLabels(autoLabels);
+        autoLabels = [];
+        if (!structure || autoKind === 'none' || structure.models.length === 0) return;
+        for (const { text, position } of labelAnchors(structure.models[0], autoKind)) {
+            const label = createLabel(text, 'viewer-label viewer-auto-label');
+            label.position.set(position.x, position.y, position.z);
+            labels.add(label);
+            autoLabels.push(label);
+        }
+    }
+
+    function showNote(atom, text) {
+        const label = createLabel(text, 'viewer-label viewer-note-label');
+        label.position.set(atom.x, atom.y, atom.z);
+        label.element.title = atomLabel(atom);
+        labels.add(label);
+        const note = { atom, text, label };
+        notes.push(note);
+        return note;
+    }
+
+    function save() {
+        if (structure && structure.id) writeStoredNotes(structure.id, notes);
+    }
+
+    function updateList() {
+        list.replaceChildren();
+        for (const note of notes) {
+            const row = document.createElement('div');
+            row.className = 'viewer-panel-row';
+            const text = document.createElement('span');
+            text.textContent = `${note.text} (${atomLabel(note.atom)})`;
+            row.appendChild(text);
+            addButton(row, 'Delete', () => tool.removeNote(note));
+            list.appendChild(row);
+        }
+    }
+
+    const tool = {
+        notes,
+        // Rebuilds the labels for a new structure and brings back its saved notes (null: remove all)
+        setStructure(newStructure) {
+            removeLabels(notes.map((note) => note.label));
+            notes.length = 0;
+            structure = newStructure;
+            labels.removeFromParent();
+            if (structure) {
+                group.add(labels); // The viewers empty their group between structures
+                const [model] = structure.models;
+                if (model && structure.id) {
+                    for (const data of readStoredNotes(structure.id)) {
+                        const note = noteFromJSON(data, model);
+                        if (note) showNote(note.atom, note.text);
+                    }
+                }
+            }
+            buildAutoLabels();
+            updateList();
+            showStatus(structure && !structure.id ? 'This file has no ID, notes are not saved (export them instead)' : '');
+        },
+        setAutoLabels(kind) {
+            autoKind = AUTO_LABELS[kind] ? kind : 'none';
+            autoSelect.value = autoKind;
+            buildAutoLabels();
+        },
+        // Returns the note, or null when there is no atom to anchor it to
+        addNote(atom, text) {
+            if (!structure || !atom) {
+                showStatus('Click an atom first, the note is placed on it', true);
+                return null;
+            }
+            const note = showNote(atom, text);
+            save();
+            updateList();
+            showStatus('');
+            return note;
+        },
+        removeNote(note) {
+            notes.splice(notes.indexOf(note), 1);
+            removeLabels([note.label]);
+            save();
+            updateList();
+        },
+        // Adds the notes of an exported file; returns how many found their atom
+        importNotes(text) {
+            if (!structure || structure.models.length === 0) return 0;
+            const imported = parseAnnotations(text);
+            let added = 0;
+            for (const data of imported) {
+                const note = noteFromJSON(data, structure.models[0]);
+                if (!note) continue;
+                showNote(note.atom, note.text);
+                added++;
+            }
+            save();
+            updateList();
+            const skipped = imported.length - added;
+            showStatus(`${added} note${added === 1 ? '' : 's'} imported${skipped > 0 ? `, ${skipped} without a matching atom` : ''}`);
+            return added;
+        },
+        exportNotes() {
+            return annotationsToJSON(structure ? structure.id : '', notes);
+        }
+    };
+    return tool;
+}
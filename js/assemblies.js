@@ -0,0 +1,61 @@
+// Biological assemblies: how copies of the deposited chains (the asymmetric unit) combine into
+// the molecule that exists in the cell, e.g. the 60 copies of a virus capsid.
+// The parsers read them from REMARK 350 BIOMT records (pdb-parser.js) and from the mmCIF
+// pdbx_struct_assembly / pdbx_struct_assembly_gen / pdbx_struct_oper_list categories
+// (mmcif-parser.js). No three.js here, the parsers run in the worker.
+//
+// Assembly: { id, details, generators: [{ chains: ['A', ...], operators: [{ id, matrix }] }] }
+// Every operator of a generator places one copy of its chains; matrix is a row-major 3x4
+// rotation + translation [r11, r12, r13, t1, r21, r22, r23, t2, r31, r32, r33, t3].
+
+// --- Configuration ---
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0];
+const IDENTITY_TOLERANCE = 1e-4;
+
+// --- Operators ---
+// a * b: the operator that applies b first, then a
+export function multiplyOperators(a, b) {
+    const result = new Array(12);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 4; col++) {
+            let value = col === 3 ? a[row * 4 + 3] : 0;
+            for (let k = 0; k < 3; k++) value += a[row * 4 + k] * b[k * 4 + col];
+            result[row * 4 + col] = value;
+        }
+    }
+    return result;
+}
+
+export function isIdentityOperator(matrix) {
+    return matrix.every((value, i) => Math.abs(value - IDENTITY[i]) < IDENTITY_TOLERANCE);
+}
+
+// mmCIF oper_expression, e.g. '1', '1,2,5', '1-60', '(1-60)' or '(X0)(1-60)'.
+// Returns the operator id sequences to combine, e.g. [['X0', '1'], ['X0', '2'], ...];
+// for '(a)(b)' the operator b is applied first.
+export function parseOperatorExpression(expression) {
+    const groups = expression.includes('(')
+        ? Array.from(expression.matchAll(/\(([^)]*)\)/g), (match) => match[1])
+        : [expression];
+    let sequences = [[]];
+    for (const group of groups) {
+        const ids = group.split(',').flatMap((item) => expandRange(item.trim())).filter(Boolean);
+        sequences = sequences.flatMap((sequence) => ids.map((id) => [...sequence, id]));
+    }
+    return sequences;
+}
+
+// '1-60' -> ['1', ..., '60']; anything else stays as it is
+function expandRange(item) {
+    const match = /^(\d+)-(\d+)$/.exec(item);
+    if (!match) return [item];
+    const ids = [];
+    for (let i = parseInt(match[1], 10); i <= parseInt(match[2], 10); i++) ids.push(String(i));
+    return ids;
+}
+
+// --- Labels ---
+export function assemblyLabel(assembly) {
+    const copies = assembly.generators.reduce((sum, generator) => sum + generator.operators.length, 0);
+    return `Assembly ${assembly.id}${assembly.details ? ` (${assembly.details})` : ''}, ${copies} ${copies === 1 ? 'copy' : 'copies'}`;
+}
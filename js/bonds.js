@@ -0,0 +1,73 @@
+import { covalentRadius, normalizeElement } from './elements.js';
+import { residueKind } from './residues.js';
+import { createSpatialGrid } from './spatial-grid.js';
+
+// Covalent bonds from interatomic distances, for files whose CONECT / struct_conn records
+// only cover part of the structure (usually just the hetero groups, or nothing at all).
+// Two atoms are bonded when they are closer than the sum of their covalent radii plus a
+// tolerance, within the same model and alternate location.
+
+// --- Configuration ---
+const BOND_TOLERANCE = 0.45; // Angstrom added to the sum of the covalent radii
+const MIN_BOND_LENGTH = 0.4; // Closer than this is a clash or a duplicate, not a bond
+
+// --- Perception ---
+// Returns [atomIndexA, atomIndexB] pairs (a < b) for the structure's atoms.
+export function perceiveBonds(structure) {
+    const atoms = structure.atoms;
+    const bonds = [];
+    if (atoms.length === 0) return bonds;
+
+    let maxRadius = 0;
+    for (const atom of atoms) maxRadius = Math.max(maxRadius, covalentRadius(atom.element));
+    const grid = createSpatialGrid(atoms, 2 * maxRadius + BOND_TOLERANCE); // One cell reaches every possible partner
+
+    for (const atom of atoms) {
+        const radius = covalentRadius(atom.element);
+        const isHydrogen = normalizeElement(atom.element) === 'h';
+        grid.forEachNear(atom.x, atom.y, atom.z, radius + maxRadius + BOND_TOLERANCE, (other, d2) => {
+            if (other.index <= atom.index) return; // Each pair once
+            const limit = radius + covalentRadius(other.element) + BOND_TOLERANCE;
+            if (d2 > limit * limit || d2 < MIN_BOND_LENGTH * MIN_BOND_LENGTH) return;
+            if (isHydrogen && normalizeElement(other.element) === 'h') return;
+            if (!canBond(atom, other)) return;
+            bonds.push([atom.index, other.index]);
+        });
+    }
+    return bonds;
+}
+
+function canBond(a, b) {
+    if (a.residue.chain.model !== b.residue.chain.model) return false;
+    if (a.altLoc && b.altLoc && a.altLoc !== b.altLoc) return false;
+    if (a.residue === b.residue) return true;
+    // Ions and waters sit close to other groups without being bonded to them
+    const kindA = residueKind(a.residue);
+    const kindB = residueKind(b.residue);
+    return kindA !== 'ion' && kindA !== 'water' && kindB !== 'ion' && kindB !== 'water';
+}
+
+// --- Merging ---
+// Explicit bonds first, then the perceived ones that aren't already listed.
+export function mergeBonds(...lists) {
+    const seen = new Set();
+    const merged = [];
+    for (const list of lists) {
+        for (const [a, b] of list) {
+            const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            merged.push([a, b]);
+        }
+    }
+    return merged;
+}
+
+// LineSegments positions (two points per bond), the layout of PDBLoader's geometryBonds
+export function bondPositions(atoms, bonds) {
+    const positions = new Float32Array(bonds.length * 6);
+    bonds.forEach(([a, b], i) => {
+        positions.set([atoms[a].x, atoms[a].y, atoms[a].z, atoms[b].x, atoms[b].y, atoms[b].z], i * 6);
+    });
+    return positions;
+}
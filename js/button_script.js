@@ -1,8 +1,31 @@
-// Add a class to the body when the toggle switch is clicked
+// Theme controls of the site pages (the theme itself is managed by theme.js, which the pages
+// load in <head>): the #toggle switch picks dark or light, and an optional #theme-mode select
+// offers light / dark / system. Both follow changes made elsewhere (other tabs, the system).
 
-document.getElementById('toggle').addEventListener('change', function () {
+const toggle = document.getElementById('toggle');
+const modeSelect = document.getElementById('theme-mode');
 
-  document.body.classList.toggle('dark-mode');
-
-});
+function showTheme(theme, mode) {
+  if (toggle) toggle.checked = theme === 'dark';
+  if (modeSelect) modeSelect.value = mode;
+}
 
+if (window.siteTheme) {
+  showTheme(window.siteTheme.get(), window.siteTheme.mode());
+  window.siteTheme.onChange(showTheme);
+  if (toggle) {
+    toggle.addEventListener('change', function () {
+      window.siteTheme.setMode(toggle.checked ? 'dark' : 'light');
+    });
+  }
+  if (modeSelect) {
+    modeSelect.addEventListener('change', function () {
+      window.siteTheme.setMode(modeSelect.value);
+    });
+  }
+} else if (toggle) {
+  // Page without theme.js: just the class, as before
+  toggle.addEventListener('change', function () {
+    document.body.classList.toggle('dark-mode');
+  });
+}
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+import { elementColor } from './elements.js';
+import { residueKind } from './residues.js';
+
+// Color schemes: each one turns a structure into per-atom colors (Float32Array, linear RGB,
+// 3 floats per atom index) that the representation layers copy into their buffers.
+//
+// A scheme is { label, prepare?(structure), color(atom, context, target, options), legend(context) }.
+// prepare() runs once per structure (ranges, chain order, ...) and its result is passed as `context`.
+// Animated schemes (the wave) are filled again every frame with options.time.
+
+// --- Palettes ---
+const CHAIN_PALETTE = [
+    0x1f77b4, 0xff7f0e, 0x2ca02c, 0xd62728, 0x9467bd, 0x8c564b,
+    0xe377c2, 0x7f7f7f, 0xbcbd22, 0x17becf, 0xaec7e8, 0xffbb78
+];
+
+// RasMol "amino" colors, one per residue type
+const RESIDUE_COLORS = {
+    ASP: 0xe60a0a, GLU: 0xe60a0a, CYS: 0xe6e600, MET: 0xe6e600, LYS: 0x145aff, ARG: 0x145aff,
+    SER: 0xfa9600, THR: 0xfa9600, PHE: 0x3232aa, TYR: 0x3232aa, ASN: 0x00dcdc, GLN: 0x00dcdc,
+    GLY: 0xebebeb, LEU: 0x0f820f, VAL: 0x0f820f, ILE: 0x0f820f, ALA: 0xc8c8c8, TRP: 0xb45ab4,
+    HIS: 0x8282d2, PRO: 0xdc9682
+};
+const OTHER_RESIDUE_COLOR = 0xbea06e;
+
+const SECONDARY_STRUCTURE_COLORS = { helix: 0xff0080, sheet: 0xffc800, coil: 0xf0f0f0 };
+const NON_POLYMER_COLOR = 0x808080;
+
+// Kyte-Doolittle hydropathy index
+const HYDROPATHY = {
+    ILE: 4.5, VAL: 4.2, LEU: 3.8, PHE: 2.8, CYS: 2.5, MET: 1.9, ALA: 1.8, GLY: -0.4, THR: -0.7, SER: -0.8,
+    TRP: -0.9, TYR: -1.3, PRO: -1.6, HIS: -3.2, GLU: -3.5, GLN: -3.5, ASP: -3.5, ASN: -3.5, LYS: -3.9, ARG: -4.5
+};
+
+const B_FACTOR_STOPS = [0x2040ff, 0xffffff, 0xff2020]; // Rigid -> flexible
+const HYDROPATHY_STOPS = [0x1e64c8, 0xffffff, 0xff8c00]; // Hydrophilic -> hydrophobic
+const RAINBOW_STOPS = [0x0000ff, 0x00ffff, 0x00ff00, 0xffff00, 0xff0000]; // N -> C terminus
+const DEVIATION_STOPS = [0x2040ff, 0xffffff, 0xff2020]; // Close -> far from the other structure
+const DEVIATION_MIN_RANGE = 1; // Angstrom; keeps near-identical structures from looking red
+
+// --- Schemes ---
+export const COLOR_SCHEMES = {
+    element: {
+        label: 'Element (CPK)',
+        color(atom, context, target) {
+            const rgb = elementColor(atom.element);
+            target.setRGB(rgb[0] / 255, rgb[1] / 255, rgb[2] / 255).convertSRGBToLinear();
+        },
+        legend() {
+            return categories([['C', 'c'], ['N', 'n'], ['O', 'o'], ['S', 's'], ['P', 'p'], ['H', 'h']].map(([label, e]) => {
+                const rgb = elementColor(e);
+                return [label, new THREE.Color().setRGB(rgb[0] / 255, rgb[1] / 255, rgb[2] / 255).convertSRGBToLinear()];
+            }));
+        }
+    },
+
+    chain: {
+        label: 'Chain',
+        prepare(structure) {
+            const ids = [...new Set(structure.chains.map((chain) => chain.id))];
+            return { order: new Map(ids.map((id, i) => [id, i])) };
+        },
+        color(atom, context, target) {
+            target.setHex(CHAIN_PALETTE[context.order.get(atom.residue.chain.id) % CHAIN_PALETTE.length]);
+        },
+        legend(context) {
+            return categories([...context.order].map(([id, i]) => [id || '(blank)', CHAIN_PALETTE[i % CHAIN_PALETTE.length]]));
+        }
+    },
+
+    residue: {
+        label: 'Residue type',
+        color(atom, context, target) {
+            target.setHex(RESIDUE_COLORS[atom.residue.name] || OTHER_RESIDUE_COLOR);
+        },
+        legend() {
+            return categories([
+                ['Asp Glu', 0xe60a0a], ['Lys Arg', 0x145aff], ['Ser Thr', 0xfa9600], ['Phe Tyr', 0x3232aa],
+                ['Asn Gln', 0x00dcdc], ['Leu Val Ile', 0x0f820f], ['Cys Met', 0xe6e600], ['Other', OTHER_RESIDUE_COLOR]
+            ]);
+        }
+    },
+
+    'secondary-structure': {
+        label: 'Secondary structure',
+        color(atom, context, target) {
+            const kind = residueKind(atom.residue);
+            const polymer = kind === 'protein' || kind === 'nucleic';
+            target.setHex(polymer ? SECONDARY_STRUCTURE_COLORS[atom.residue.ss] : NON_POLYMER_COLOR);
+        },
+        legend() {
+            return categories([
+                ['Helix', SECONDARY_STRUCTURE_COLORS.helix], ['Sheet', SECONDARY_STRUCTURE_COLORS.sheet],
+                ['Coil', SECONDARY_STRUCTURE_COLORS.coil], ['Non-polymer', NON_POLYMER_COLOR]
+            ]);
+        }
+    },
+
+    'b-factor': {
+        label: 'B-factor',
+        prepare(structure) {
+            // 5th-95th percentile so a few disordered atoms don't wash out the gradient
+            const values = structure.atoms.map((atom) => atom.bFactor).sort((a, b) => a - b);
+            return { min: percentile(values, 0.05), max: percentile(values, 0.95) };
+        },
+        color(atom, context, target) {
+            gradient(B_FACTOR_STOPS, normalize(atom.bFactor, context.min, context.max), target);
+        },
+        legend(context) {
+            return gradientLegend(B_FACTOR_STOPS, context.min.toFixed(0), context.max.toFixed(0));
+        }
+    },
+
+    hydrophobicity: {
+        label: 'Hydrophobicity',
+        color(atom, context, target) {
+            const value = HYDROPATHY[atom.residue.name];
+            if (value === undefined) {
+                target.setHex(NON_POLYMER_COLOR);
+            } else {
+                gradient(HYDROPATHY_STOPS, normalize(value, -4.5, 4.5), target);
+            }
+        },
+        legend() {
+            return gradientLegend(HYDROPATHY_STOPS, 'Hydrophilic', 'Hydrophobic');
+        }
+    },
+
+    sequence: {
+        label: 'Sequence (N→C)',
+        prepare(structure) {
+            // Position of every polymer residue along its chain, 0 at the N terminus and 1 at the C terminus
+            const position = new Map();
+            for (const chain of structure.chains) {
+                const polymer = chain.residues.filter((residue) => {
+                    const kind = residueKind(residue);
+                    return kind === 'protein' || kind === 'nucleic';
+                });
+                polymer.forEach((residue, i) => position.set(residue, polymer.length > 1 ? i / (polymer.length - 1) : 0));
+            }
+            return { position };
+        },
+        color(atom, context, target) {
+            const t = context.position.get(atom.residue);
+            if (t === undefined) {
+                target.setHex(NON_POLYMER_COLOR);
+            } else {
+                gradient(RAINBOW_STOPS, t, target);
+            }
+        },
+        legend() {
+            return gradientLegend(RAINBOW_STOPS, 'N-term', 'C-term');
+        }
+    },
+
+    // Per-residue CA distance after a superposition (residue.deviation, see superposition-tool.js)
+    deviation: {
+        label: 'Deviation (superposition)',
+        prepare(structure) {
+            let max = DEVIATION_MIN_RANGE;
+            for (const residue of structure.residues) {
+                if (residue.deviation !== undefined) max = Math.max(max, residue.deviation);
+            }
+            return { max };
+        },
+        color(atom, context, target) {
+            const deviation = atom.residue.deviation;
+            if (deviation === undefined) {
+                target.setHex(NON_POLYMER_COLOR); // Not aligned
+            } else {
+                gradient(DEVIATION_STOPS, deviation / context.max, target);
+            }
+        },
+        legend(context) {
+            return gradientLegend(DEVIATION_STOPS, '0 Å', `${context.max.toFixed(1)} Å`);
+        }
+    },
+
+    // The original animated rainbow: hue travels along the Y axis over time.
+    wave: {
+        label: 'Rainbow wave',
+        animated: true,
+        prepare(structure) {
+            let yMin = Infinity;
+            let yMax = -Infinity;
+            for (const atom of structure.atoms) {
+                yMin = Math.min(yMin, atom.y);
+                yMax = Math.max(yMax, atom.y);
+            }
+            return { yMin, yRange: yMax - yMin };
+        },
+        color(atom, context, target, { time = 0, speed = 0.5, frequency = 0.1 }) {
+            // Normalize Y position (0 to 1) relative to the molecule's height
+            const normalizedY = (context.yRange > 0) ? (atom.y - context.yMin) / context.yRange : 0.5;
+
+            // Calculate hue based on normalized position and time (wave effect)
+            // The modulo (%) ensures the hue cycles from 0 to 1
+            const hue = (normalizedY * frequency + time * speed) % 1.0;
+
+            // Set color using HSL (Hue, Saturation, Lightness)
+            target.setHSL(hue, 1.0, 0.5); // Full saturation, medium lightness
+        },
+        legend() {
+            return gradientLegend([0xff0000, 0xffff00, 0x00ff00, 0x00ffff, 0x0000ff, 0xff00ff], 'Bottom', 'Top');
+        }
+    }
+};
+
+// --- API ---
+// Adds a custom scheme; it shows up wherever COLOR_SCHEMES is listed.
+export function registerColorScheme(id, scheme) {
+    COLOR_SCHEMES[id] = scheme;
+}
+
+// Binds a scheme to a structure. fill(colors, options) writes the per-atom colors.
+export function prepareColorScheme(id, structure) {
+    const scheme = COLOR_SCHEMES[id];
+    if (!scheme) throw new Error(`Unknown color scheme: ${id}`);
+    const context = scheme.prepare ? scheme.prepare(structure) : {};
+    const color = new THREE.Color();
+
+    return {
+        id,
+        animated: Boolean(scheme.animated),
+        legend: scheme.legend(context),
+        fill(colors, options = {}) {
+            for (const atom of structure.atoms) {
+                scheme.color(atom, context, color, options);
+                colors[atom.index * 3] = color.r;
+                colors[atom.index * 3 + 1] = color.g;
+                colors[atom.index * 3 + 2] = color.b;
+            }
+            return colors;
+        }
+    };
+}
+
+// { id: label } for drop-downs
+export function colorSchemeOptions() {
+    return Object.fromEntries(Object.entries(COLOR_SCHEMES).map(([id, scheme]) => [id, scheme.label]));
+}
+
+// --- Helpers ---
+// Legends hold linear THREE.Colors; viewer-ui turns them into CSS.
+function categories(entries) {
+    return {
+        type: 'categories',
+        items: entries.map(([label, color]) => ({ label, color: color instanceof THREE.Color ? color : new THREE.Color(color) }))
+    };
+}
+
+function gradientLegend(stops, minLabel, maxLabel) {
+    return { type: 'gradient', stops: stops.map((hex) => new THREE.Color(hex)), minLabel, maxLabel };
+}
+
+const _stopA = new THREE.Color();
+const _stopB = new THREE.Color();
+
+function gradient(stops, t, target) {
+    const scaled = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(scaled), stops.length - 2);
+    _stopA.setHex(stops[i]);
+    _stopB.setHex(stops[i + 1]);
+    return target.lerpColors(_stopA, _stopB, scaled - i);
+}
+
+function normalize(value, min, max) {
+    return max > min ? (value - min) / (max - min) : 0.5;
+}
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
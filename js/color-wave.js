@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+import { COLOR_SCHEMES } from './color-schemes.js';
+
+// The animated 'wave' color scheme (see color-schemes.js) evaluated in the vertex shader.
+// Every instance/vertex of a representation carries its atom's y coordinate in an attribute,
+// so animating the wave only changes a few uniforms per frame; no colors are re-uploaded.
+// Atoms can be excluded (e.g. ones given their own color by a selection): they keep the
+// colors filled in on the CPU.
+
+// --- Shader ---
+const VERTEX_HEADER = /* glsl */`
+attribute vec2 atomWave; // atom y, 1 = follows the wave
+uniform bool waveEnabled;
+uniform float waveTime;
+uniform float waveSpeed;
+uniform float waveFrequency;
+uniform float waveMin;
+uniform float waveRange;
+`;
+
+// Same hue as the CPU scheme; HSL with full saturation and 0.5 lightness is the pure hue
+const VERTEX_COLOR = /* glsl */`
+#if defined( USE_COLOR ) || defined( USE_INSTANCING_COLOR )
+if (waveEnabled && atomWave.y > 0.5) {
+    float normalizedY = waveRange > 0.0 ? (atomWave.x - waveMin) / waveRange : 0.5;
+    float hue = fract(normalizedY * waveFrequency + waveTime * waveSpeed);
+    vColor.rgb = clamp(abs(mod(hue * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+}
+#endif
+`;
+
+// --- Wave ---
+// Returns { uniforms, setStructure(structure), setExcluded(mask), attach(object), update(options) }.
+export function createColorWave() {
+    const uniforms = {
+        waveEnabled: { value: false },
+        waveTime: { value: 0 },
+        waveSpeed: { value: 0.5 },
+        waveFrequency: { value: 0.1 },
+        waveMin: { value: 0 },
+        waveRange: { value: 0 }
+    };
+    let atomData = null; // Float32Array, (y, follows wave) per atom
+
+    return {
+        uniforms,
+        setStructure(structure) {
+            const { yMin, yRange } = COLOR_SCHEMES.wave.prepare(structure);
+            uniforms.waveMin.value = Number.isFinite(yMin) ? yMin : 0;
+            uniforms.waveRange.value = Number.isFinite(yRange) ? yRange : 0;
+            atomData = new Float32Array(structure.atoms.length * 2);
+            for (const atom of structure.atoms) {
+                atomData[atom.index * 2] = atom.y;
+                atomData[atom.index * 2 + 1] = 1;
+            }
+        },
+        // mask: per-atom array, 1 = keep the CPU color; null = every atom follows the wave.
+        // Call attach() again for the objects that are already drawn.
+        setExcluded(mask) {
+            if (!atomData) return;
+            for (let i = 0; i < atomData.length / 2; i++) atomData[i * 2 + 1] = mask && mask[i] ? 0 : 1;
+        },
+        // Adds the per-instance/per-vertex wave attribute to the representation meshes in object
+        // (see userData.atomIndices / vertexAtomIndices in representations.js) and patches their materials.
+        attach(object) {
+            if (!atomData) return;
+            object.traverse((mesh) => {
+                const atomIndices = mesh.isInstancedMesh ? mesh.userData.atomIndices : mesh.userData.vertexAtomIndices;
+                if (!mesh.isMesh || !atomIndices) return;
+                let attribute = mesh.geometry.getAttribute('atomWave');
+                if (!attribute) {
+                    const array = new Float32Array(atomIndices.length * 2);
+                    attribute = mesh.isInstancedMesh ? new THREE.InstancedBufferAttribute(array, 2) : new THREE.BufferAttribute(array, 2);
+                    mesh.geometry.setAttribute('atomWave', attribute);
+                }
+                for (let i = 0; i < atomIndices.length; i++) {
+                    attribute.array[i * 2] = atomData[atomIndices[i] * 2];
+                    attribute.array[i * 2 + 1] = atomData[atomIndices[i] * 2 + 1];
+                }
+                attribute.needsUpdate = true;
+                patchMaterial(mesh.material, uniforms);
+            });
+        },
+        // options: { time, speed, frequency } like the CPU scheme, or null to switch the wave off
+        update(options) {
+            uniforms.waveEnabled.value = Boolean(options);
+            if (!options) return;
+            uniforms.waveTime.value = options.time || 0;
+            if (options.speed !== undefined) uniforms.waveSpeed.value = options.speed;
+            if (options.frequency !== undefined) uniforms.waveFrequency.value = options.frequency;
+        }
+    };
+}
+
+function patchMaterial(material, uniforms) {
+    if (material.userData.colorWave) return;
+    material.userData.colorWave = true;
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms); // Shared objects: updates reach every material
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${VERTEX_HEADER}`)
+            .replace('#include <color_vertex>', `#include <color_vertex>\n${VERTEX_COLOR}`);
+    };
+    material.customProgramCacheKey = () => 'color-wave';
+    material.needsUpdate = true;
+}
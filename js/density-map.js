@@ -0,0 +1,218 @@
+import { extractIsosurface } from './marching-cubes.js';
+
+// Volumetric density maps in the CCP4 / MRC format (X-ray 2Fo-Fc maps, cryo-EM maps) and their
+// isosurfaces. No three.js or DOM here: density-worker.js runs all of it off the main thread.
+//
+// A parsed map is
+//   { dims: [nx, ny, nz], values: Float32Array (x fastest, then y, then z),
+//     start: [x, y, z] (grid index of the first point), sampling: [mx, my, mz] (points per cell edge),
+//     cell: { a, b, c, alpha, beta, gamma }, origin: [x, y, z] (Å, MRC2000), stats: { min, max, mean, rms } }
+// with the file's column/row/section axes already put in x, y, z order.
+// Grid ranges are { min: [i, j, k], max: [i, j, k] } in indices of `values`, both ends included.
+
+// --- Configuration ---
+const HEADER_BYTES = 1024;
+const MODES = { // Data types by header MODE
+    0: { bytes: 1, read: (view, offset) => view.getInt8(offset) },
+    1: { bytes: 2, read: (view, offset, little) => view.getInt16(offset, little) },
+    2: { bytes: 4, read: (view, offset, little) => view.getFloat32(offset, little) },
+    6: { bytes: 2, read: (view, offset, little) => view.getUint16(offset, little) }
+};
+export const MAX_SURFACE_POINTS = 8e6; // Bigger ranges are sampled with a coarser step
+
+// --- Parsing ---
+export function parseDensityMap(buffer) {
+    if (buffer.byteLength < HEADER_BYTES) throw new Error('Not a CCP4/MRC map: file too short');
+    const view = new DataView(buffer);
+    const little = isLittleEndian(view);
+    const int = (word) => view.getInt32(word * 4, little);
+    const float = (word) => view.getFloat32(word * 4, little);
+
+    const size = [int(0), int(1), int(2)]; // Columns, rows, sections
+    const mode = int(3);
+    const format = MODES[mode];
+    if (!format) throw new Error(`Unsupported CCP4/MRC data mode ${mode}`);
+    const axes = [int(16), int(17), int(18)].map((axis) => axis - 1); // Which of x, y, z each file axis is
+    if ([...axes].sort().join() !== '0,1,2') throw new Error('Invalid CCP4/MRC axis order');
+
+    const dataOffset = HEADER_BYTES + int(23); // Symmetry records follow the header
+    const count = size[0] * size[1] * size[2];
+    if (count <= 0 || dataOffset + count * format.bytes > buffer.byteLength) {
+        throw new Error('CCP4/MRC map data is truncated');
+    }
+
+    const dims = [0, 0, 0];
+    const start = [0, 0, 0];
+    const fileStart = [int(4), int(5), int(6)];
+    axes.forEach((axis, i) => {
+        dims[axis] = size[i];
+        start[axis] = fileStart[i];
+    });
+    const sampling = [int(7), int(8), int(9)].map((value, i) => value || dims[i]);
+    const cell = { a: float(10), b: float(11), c: float(12), alpha: float(13) || 90, beta: float(14) || 90, gamma: float(15) || 90 };
+    if (!(cell.a > 0 && cell.b > 0 && cell.c > 0)) { // No cell (some EM maps): one Å per grid point
+        [cell.a, cell.b, cell.c] = sampling;
+    }
+    const origin = [float(49), float(50), float(51)].map((value) => (Number.isFinite(value) ? value : 0));
+
+    // File order -> x fastest
+    const values = new Float32Array(count);
+    const strides = [1, dims[0], dims[0] * dims[1]];
+    const [sc, sr, ss] = axes.map((axis) => strides[axis]);
+    let offset = dataOffset;
+    for (let s = 0; s < size[2]; s++) {
+        for (let r = 0; r < size[1]; r++) {
+            for (let c = 0; c < size[0]; c++) {
+                values[c * sc + r * sr + s * ss] = format.read(view, offset, little);
+                offset += format.bytes;
+            }
+        }
+    }
+
+    return { dims, values, start, sampling, cell, origin, stats: mapStatistics(values) };
+}
+
+// MACHST says 0x44 (little) or 0x11 (big) in its first byte, but old files leave it empty:
+// then the mode word decides, since valid modes are small numbers
+function isLittleEndian(view) {
+    const stamp = view.getUint8(212);
+    if (stamp === 0x44) return true;
+    if (stamp === 0x11) return false;
+    const mode = view.getInt32(12, true);
+    return mode >= 0 && mode < 100;
+}
+
+export function mapStatistics(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    for (const value of values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+        sum += value;
+    }
+    const mean = sum / values.length;
+    let squares = 0;
+    for (const value of values) squares += (value - mean) * (value - mean);
+    return { min, max, mean, rms: Math.sqrt(squares / values.length) };
+}
+
+// Absolute density for a level in sigma (rms deviations above the mean)
+export function sigmaToLevel(map, sigma) {
+    return map.stats.mean + sigma * map.stats.rms;
+}
+
+// --- Geometry ---
+// Affine transform from grid indices of `values` to Å, as a row-major 3x4 matrix
+// (fractional -> orthogonal with a along x and b in the xy plane, as in PDB files)
+export function gridToCartesian(map) {
+    const { a, b, c } = map.cell;
+    const [alpha, beta, gamma] = [map.cell.alpha, map.cell.beta, map.cell.gamma].map((degrees) => degrees * Math.PI / 180);
+    const [cosA, cosB, cosG, sinG] = [Math.cos(alpha), Math.cos(beta), Math.cos(gamma), Math.sin(gamma)];
+    const volume = a * b * c * Math.sqrt(1 - cosA * cosA - cosB * cosB - cosG * cosG + 2 * cosA * cosB * cosG);
+    const fractional = [
+        [a, b * cosG, c * cosB],
+        [0, b * sinG, c * (cosA - cosB * cosG) / sinG],
+        [0, 0, volume / (a * b * sinG)]
+    ];
+    const matrix = [];
+    for (let row = 0; row < 3; row++) {
+        const scaled = fractional[row].map((value, axis) => value / map.sampling[axis]);
+        const translation = scaled.reduce((sum, value, axis) => sum + value * map.start[axis], map.origin[row]);
+        matrix.push(...scaled, translation);
+    }
+    return matrix;
+}
+
+// Grid range covering an axis-aligned box in Å ({ min: [x, y, z], max: [x, y, z] }), clipped
+// to the map; null when the box misses it
+export function gridRangeForBox(map, box) {
+    const inverse = invertAffine(gridToCartesian(map));
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let corner = 0; corner < 8; corner++) {
+        const point = [0, 1, 2].map((axis) => (corner & (1 << axis) ? box.max[axis] : box.min[axis]));
+        const index = transformPoint(inverse, point);
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], Math.floor(index[axis]));
+            max[axis] = Math.max(max[axis], Math.ceil(index[axis]));
+        }
+    }
+    for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.max(min[axis], 0);
+        max[axis] = Math.min(max[axis], map.dims[axis] - 1);
+        if (max[axis] - min[axis] < 1) return null; // Marching cubes needs two points along every axis
+    }
+    return { min, max };
+}
+
+// --- Isosurface ---
+// Triangles of the surface at `level` (absolute density) within `range` (whole map by default),
+// in Å: { positions, normals } (normals point out of the density). Big ranges are sampled every
+// `step` grid points so they stay below maxPoints. tables: see marching-cubes.js.
+export function densitySurface(map, level, { range = null, maxPoints = MAX_SURFACE_POINTS, tables }) {
+    const { min, max } = range || { min: [0, 0, 0], max: map.dims.map((size) => size - 1) };
+    const extent = [0, 1, 2].map((axis) => max[axis] - min[axis] + 1);
+    const step = Math.max(1, Math.ceil(Math.cbrt(extent[0] * extent[1] * extent[2] / maxPoints)));
+    const dims = extent.map((size) => Math.floor((size - 1) / step) + 1);
+
+    const [nx, ny] = map.dims;
+    const values = new Float32Array(dims[0] * dims[1] * dims[2]);
+    let i = 0;
+    for (let z = 0; z < dims[2]; z++) {
+        for (let y = 0; y < dims[1]; y++) {
+            const row = min[0] + (min[1] + y * step) * nx + (min[2] + z * step) * nx * ny;
+            for (let x = 0; x < dims[0]; x++) values[i++] = map.values[row + x * step];
+        }
+    }
+
+    // Extracted in grid indices, then moved into Å
+    const surface = extractIsosurface({ values, dims, origin: min, spacing: [step, step, step] }, level, tables);
+    const matrix = gridToCartesian(map);
+    const normalMatrix = transposeLinear(invertAffine(matrix)); // Gradients turn with the inverse transpose
+    const { positions, normals } = surface;
+    for (let v = 0; v < positions.length; v += 3) {
+        const point = transformPoint(matrix, [positions[v], positions[v + 1], positions[v + 2]]);
+        const normal = transformVector(normalMatrix, [normals[v], normals[v + 1], normals[v + 2]]);
+        const length = Math.hypot(...normal) || 1;
+        for (let axis = 0; axis < 3; axis++) {
+            positions[v + axis] = point[axis];
+            normals[v + axis] = normal[axis] / length;
+        }
+    }
+    return { positions, normals, step };
+}
+
+// --- Matrix helpers (row-major 3x4) ---
+function transformPoint(m, [x, y, z]) {
+    return [
+        m[0] * x + m[1] * y + m[2] * z + m[3],
+        m[4] * x + m[5] * y + m[6] * z + m[7],
+        m[8] * x + m[9] * y + m[10] * z + m[11]
+    ];
+}
+
+function transformVector(m, [x, y, z]) {
+    return [m[0] * x + m[1] * y + m[2] * z, m[4] * x + m[5] * y + m[6] * z, m[8] * x + m[9] * y + m[10] * z];
+}
+
+function invertAffine(m) {
+    const [a, b, c, , d, e, f, , g, h, i] = m;
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    const inverse = [
+        (e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det,
+        (f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det,
+        (d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det
+    ];
+    const translation = [m[3], m[7], m[11]];
+    const result = [];
+    for (let row = 0; row < 3; row++) {
+        const linear = inverse.slice(row * 3, row * 3 + 3);
+        result.push(...linear, -(linear[0] * translation[0] + linear[1] * translation[1] + linear[2] * translation[2]));
+    }
+    return result;
+}
+
+function transposeLinear(m) {
+    return [m[0], m[4], m[8], 0, m[1], m[5], m[9], 0, m[2], m[6], m[10], 0];
+}
@@ -0,0 +1,301 @@
+import * as THREE from 'three';
+import { edgeTable, triTable } from 'three/addons/objects/MarchingCubes.js';
+import { parseDensityMap, densitySurface, sigmaToLevel, gridRangeForBox } from './density-map.js';
+import { readSourceBuffer, describeSource, sourceFromUrl, sourceFromFile } from './structure-source.js';
+import { addButton, addFileButton, addSelect, addRange, addColorInput, addNumberInput, createPanel } from './viewer-ui.js';
+
+// Density maps (CCP4 / MRC, optionally gzipped) drawn as an isosurface over the structure.
+// Parsing and marching cubes run in density-worker.js; the level is picked in sigma above the
+// mean, the surface drawn as a wireframe mesh or a translucent solid, and the map can be cropped
+// to a box around the selected atoms. The surface lives in the viewer's molecule group, so it
+// sits on the model as long as both use the same (deposited) coordinates.
+// Returns { object, load(source), setLevel(sigma), setStyle(style), crop(atoms, padding), uncrop(), clear() }.
+
+// --- Configuration ---
+export const DENSITY_STYLES = { mesh: 'Wireframe', solid: 'Solid' };
+const MAP_ACCEPT = '.ccp4,.map,.mrc,.gz';
+const DEFAULT_SIGMA = 1.5;
+const DEFAULT_STYLE = 'mesh';
+const DEFAULT_COLOR = '#3399ff';
+const DEFAULT_OPACITY = 0.6; // Solid style only
+const DEFAULT_CROP_PADDING = 5; // Å around the selection
+const TABLES = { edgeTable, triTable };
+
+export function isDensityMapFile(name) {
+    return /\.(ccp4|map|mrc)(\.gz)?$/i.test(name);
+}
+
+// ?map= on the page URL, or null
+export function resolveMapSource(search = window.location.search) {
+    const url = new URLSearchParams(search).get('map');
+    return url ? sourceFromUrl(url) : null;
+}
+
+// --- Tool ---
+// getCropAtoms() returns the atoms to crop around (the current selection), in the coordinates
+// of the molecule group.
+export function createDensityTool(toolbar, { group, getCropAtoms = () => [] }) {
+    const object = new THREE.Group();
+    object.name = 'density-map';
+    group.add(object);
+    const materials = {
+        mesh: new THREE.MeshBasicMaterial({ color: DEFAULT_COLOR, wireframe: true, transparent: true, opacity: 0.8 }),
+        solid: new THREE.MeshPhongMaterial({
+            color: DEFAULT_COLOR, shininess: 30, side: THREE.DoubleSide,
+            transparent: true, opacity: DEFAULT_OPACITY, depthWrite: false
+        })
+    };
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), materials[DEFAULT_STYLE]);
+    mesh.renderOrder = 1; // Transparent, after the opaque representations
+    object.add(mesh);
+
+    let current = null; // { mapId, name, map (header and stats, the values stay in the worker) }
+    let sigma = DEFAULT_SIGMA;
+    let range = null; // Cropped grid range, null for the whole map
+    let cropPadding = DEFAULT_CROP_PADDING;
+    let loadCounter = 0;
+    let surfaceBusy = false; // One extraction at a time; level changes meanwhile are merged
+    let surfaceDirty = false;
+
+    addFileButton(toolbar, 'Open map', MAP_ACCEPT, (file) => tool.load(sourceFromFile(file)));
+    const panel = createPanel('Density map');
+    const info = document.createElement('div');
+    const levelRow = document.createElement('div');
+    levelRow.className = 'viewer-panel-row';
+    const levelInput = addRange(levelRow, 'Level (σ)', { min: 0, max: 5, step: 0.1, value: sigma }, (value) => tool.setLevel(value));
+    const levelText = document.createElement('span');
+    levelRow.appendChild(levelText);
+    const styleRow = document.createElement('div');
+    styleRow.className = 'viewer-panel-row';
+    const styleSelect = addSelect(styleRow, 'Style', DENSITY_STYLES, DEFAULT_STYLE, (style) => tool.setStyle(style));
+    addColorInput(styleRow, 'Map color', DEFAULT_COLOR, (color) => {
+        for (const material of Object.values(materials)) material.color.set(color);
+    });
+    const opacityRow = document.createElement('div');
+    opacityRow.className = 'viewer-panel-row';
+    addRange(opacityRow, 'Opacity', { min: 0.1, max: 1, step: 0.05, value: DEFAULT_OPACITY }, (value) => {
+        materials.solid.opacity = value;
+        materials.solid.depthWrite = value === 1;
+    });
+    const cropRow = document.createElement('div');
+    cropRow.className = 'viewer-panel-row';
+    addNumberInput(cropRow, 'Padding (Å)', { min: 0, step: 1, value: cropPadding }, (value) => { cropPadding = Math.max(0, value); });
+    addButton(cropRow, 'Crop to selection', () => tool.crop(getCropAtoms(), cropPadding));
+    addButton(cropRow, 'Whole map', () => tool.uncrop());
+    const removeRow = document.createElement('div');
+    removeRow.className = 'viewer-panel-row';
+    addButton(removeRow, 'Remove map', () => tool.clear());
+    const status = document.createElement('div');
+    status.className = 'viewer-status';
+    panel.body.append(info, levelRow, styleRow, opacityRow, cropRow, removeRow, status);
+
+    function showStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('viewer-error', isError);
+    }
+
+    function showInfo() {
+        if (!current) return;
+        const { dims, stats } = current.map;
+        info.textContent = `${current.name}: ${dims.join(' × ')} points, mean ${stats.mean.toPrecision(3)}, σ ${stats.rms.toPrecision(3)}`;
+        levelText.textContent = sigmaToLevel(current.map, sigma).toPrecision(3);
+    }
+
+    function updateSurface() {
+        if (!current) return;
+        if (surfaceBusy) {
+            surfaceDirty = true;
+            return;
+        }
+        surfaceBusy = true;
+        const entry = current;
+        requestWorker({ type: 'surface', mapId: entry.mapId, level: sigmaToLevel(entry.map, sigma), range, tables: TABLES })
+            .then(({ surface }) => {
+                if (entry !== current) return;
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(surface.positions, 3));
+                geometry.setAttribute('normal', new THREE.BufferAttribute(surface.normals, 3));
+                mesh.geometry.dispose();
+                mesh.geometry = geometry;
+                showStatus(surface.step > 1 ? `Large map: sampled every ${surface.step} grid points, crop for full detail` : '');
+            })
+            .catch((err) => {
+                console.error('Isosurface failed:', err);
+                showStatus(`Isosurface failed: ${err.message}`, true);
+            })
+            .finally(() => {
+                surfaceBusy = false;
+                if (surfaceDirty) {
+                    surfaceDirty = false;
+                    updateSurface();
+                }
+            });
+    }
+
+    function clearSurface() {
+        mesh.geometry.dispose();
+        mesh.geometry = new THREE.BufferGeometry();
+    }
+
+    const tool = {
+        object,
+        // Replaces the current map. Resolves with true once the surface is requested.
+        load(source) {
+            const loadId = ++loadCounter;
+            const label = describeSource(source);
+            panel.open();
+            showStatus(`Loading ${label}...`);
+            return readSourceBuffer(source)
+                .then((buffer) => (/\.gz$/i.test(source.name) ? gunzip(buffer) : buffer))
+                .then((buffer) => {
+                    if (loadId !== loadCounter) return null;
+                    showStatus(`Reading ${label}...`);
+                    return requestWorker({ type: 'load', mapId: loadId, buffer });
+                })
+                .then((result) => {
+                    if (!result) return false;
+                    if (loadId !== loadCounter) { // Parsed, but a newer map was picked meanwhile
+                        requestWorker({ type: 'unload', mapId: loadId }).catch(() => {});
+                        return false;
+                    }
+                    tool.clear();
+                    panel.open();
+                    current = { mapId: loadId, name: source.name, map: result.map };
+                    range = null;
+                    showInfo();
+                    showStatus('');
+                    updateSurface();
+                    return true;
+                })
+                .catch((err) => {
+                    if (loadId !== loadCounter) return false;
+                    console.error(`Could not load ${label}:`, err);
+                    showStatus(`Could not load ${label}: ${err.message}`, true);
+                    return false;
+                });
+        },
+        setLevel(newSigma) {
+            sigma = newSigma;
+            levelInput.value = sigma;
+            showInfo();
+            updateSurface();
+        },
+        setStyle(style) {
+            if (!materials[style]) return;
+            styleSelect.value = style;
+            mesh.material = materials[style];
+        },
+        // Only the part of the map within `padding` Å of the atoms' bounding box
+        crop(atoms, padding = cropPadding) {
+            if (!current) return false;
+            if (atoms.length === 0) {
+                showStatus('Select some atoms to crop around', true);
+                return false;
+            }
+            const box = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+            for (const atom of atoms) {
+                [atom.x, atom.y, atom.z].forEach((value, axis) => {
+                    box.min[axis] = Math.min(box.min[axis], value - padding);
+                    box.max[axis] = Math.max(box.max[axis], value + padding);
+                });
+            }
+            const cropped = gridRangeForBox(current.map, box);
+            if (!cropped) {
+                showStatus('The selection is outside the map', true);
+                return false;
+            }
+            range = cropped;
+            updateSurface();
+            return true;
+        },
+        uncrop() {
+            range = null;
+            updateSurface();
+        },
+        clear() {
+            if (current) requestWorker({ type: 'unload', mapId: current.mapId }).catch(() => {});
+            current = null;
+            range = null;
+            clearSurface();
+            info.textContent = '';
+            levelText.textContent = '';
+            showStatus('');
+            panel.close();
+        }
+    };
+    return tool;
+}
+
+function gunzip(buffer) {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+}
+
+// --- Worker ---
+// Same setup as the structure worker (see structure-parser.js): module worker when available,
+// otherwise the same functions on the main thread.
+let worker = null;
+let workerFailed = false;
+let requestCounter = 0;
+const pendingRequests = new Map(); // id -> { resolve, reject, message }
+const localMaps = new Map(); // mapId -> map, when there is no worker
+
+function requestWorker(message) {
+    const target = getWorker();
+    if (!target) return Promise.resolve().then(() => runLocally(message));
+
+    const id = ++requestCounter;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject, message });
+        target.postMessage({ id, ...message }); // The buffer is copied, it's kept for the fallback
+    });
+}
+
+function runLocally({ type, mapId, buffer, level, range }) {
+    if (type === 'load') {
+        const map = parseDensityMap(buffer);
+        localMaps.set(mapId, map);
+        return { map };
+    }
+    if (type === 'surface') {
+        const map = localMaps.get(mapId);
+        if (!map) throw new Error(`Unknown map ${mapId}`);
+        return { surface: densitySurface(map, level, { range, tables: TABLES }) };
+    }
+    localMaps.delete(mapId);
+    return {};
+}
+
+function getWorker() {
+    if (worker || workerFailed) return worker;
+    try {
+        worker = new Worker(new URL('./density-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        workerFailed = true;
+        return null;
+    }
+    worker.addEventListener('message', (event) => {
+        const { id, error } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+        pendingRequests.delete(id);
+        if (error) request.reject(new Error(error)); else request.resolve(event.data);
+    });
+    // The worker script itself failed: run everything here instead
+    worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        console.warn('Density worker unavailable, working on the main thread:', event.message);
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+        for (const [id, request] of pendingRequests) {
+            pendingRequests.delete(id);
+            try {
+                request.resolve(runLocally(request.message));
+            } catch (err) {
+                request.reject(err);
+            }
+        }
+    });
+    return worker;
+}
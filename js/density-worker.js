@@ -0,0 +1,32 @@
+import { parseDensityMap, densitySurface } from './density-map.js';
+
+// Module worker behind density-tool.js: parses maps and extracts their isosurfaces, keeping the
+// (often huge) grids here so only the triangles travel back.
+// Messages in:  { id, type: 'load', mapId, buffer }                     -> { id, map } (the header, without values)
+//               { id, type: 'surface', mapId, level, range, tables }     -> { id, surface }
+//               { id, type: 'unload', mapId }                            -> { id }
+// Failures answer { id, error }.
+
+const maps = new Map(); // mapId -> parsed map
+
+self.addEventListener('message', (event) => {
+    const { id, type, mapId } = event.data;
+    try {
+        if (type === 'load') {
+            const map = parseDensityMap(event.data.buffer);
+            maps.set(mapId, map);
+            self.postMessage({ id, map: { ...map, values: null } });
+        } else if (type === 'surface') {
+            const map = maps.get(mapId);
+            if (!map) throw new Error(`Unknown map ${mapId}`);
+            const { level, range, tables } = event.data;
+            const surface = densitySurface(map, level, { range, tables });
+            self.postMessage({ id, surface }, [surface.positions.buffer, surface.normals.buffer]);
+        } else if (type === 'unload') {
+            maps.delete(mapId);
+            self.postMessage({ id });
+        }
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+});
@@ -0,0 +1,73 @@
+// Per-element data shared by the parsers and representations.
+// Keys are lower-case element symbols, as used by three's PDBLoader.
+
+// --- CPK colors (0-255, same table as PDBLoader) ---
+export const CPK_COLORS = {
+    h: [255, 255, 255], he: [217, 255, 255], li: [204, 128, 255], be: [194, 255, 0], b: [255, 181, 181], c: [144, 144, 144],
+    n: [48, 80, 248], o: [255, 13, 13], f: [144, 224, 80], ne: [179, 227, 245], na: [171, 92, 242], mg: [138, 255, 0],
+    al: [191, 166, 166], si: [240, 200, 160], p: [255, 128, 0], s: [255, 255, 48], cl: [31, 240, 31], ar: [128, 209, 227],
+    k: [143, 64, 212], ca: [61, 255, 0], sc: [230, 230, 230], ti: [191, 194, 199], v: [166, 166, 171], cr: [138, 153, 199],
+    mn: [156, 122, 199], fe: [224, 102, 51], co: [240, 144, 160], ni: [80, 208, 80], cu: [200, 128, 51], zn: [125, 128, 176],
+    ga: [194, 143, 143], ge: [102, 143, 143], as: [189, 128, 227], se: [255, 161, 0], br: [166, 41, 41], kr: [92, 184, 209],
+    rb: [112, 46, 176], sr: [0, 255, 0], y: [148, 255, 255], zr: [148, 224, 224], nb: [115, 194, 201], mo: [84, 181, 181],
+    tc: [59, 158, 158], ru: [36, 143, 143], rh: [10, 125, 140], pd: [0, 105, 133], ag: [192, 192, 192], cd: [255, 217, 143],
+    in: [166, 117, 115], sn: [102, 128, 128], sb: [158, 99, 181], te: [212, 122, 0], i: [148, 0, 148], xe: [66, 158, 176],
+    cs: [87, 23, 143], ba: [0, 201, 0], la: [112, 212, 255], ce: [255, 255, 199], pr: [217, 255, 199], nd: [199, 255, 199],
+    pm: [163, 255, 199], sm: [143, 255, 199], eu: [97, 255, 199], gd: [69, 255, 199], tb: [48, 255, 199], dy: [31, 255, 199],
+    ho: [0, 255, 156], er: [0, 230, 117], tm: [0, 212, 82], yb: [0, 191, 56], lu: [0, 171, 36], hf: [77, 194, 255],
+    ta: [77, 166, 255], w: [33, 148, 214], re: [38, 125, 171], os: [38, 102, 150], ir: [23, 84, 135], pt: [208, 208, 224],
+    au: [255, 209, 35], hg: [184, 184, 208], tl: [166, 84, 77], pb: [87, 89, 97], bi: [158, 79, 181], po: [171, 92, 0],
+    at: [117, 79, 69], rn: [66, 130, 150], fr: [66, 0, 102], ra: [0, 125, 0], ac: [112, 171, 250], th: [0, 186, 255],
+    pa: [0, 161, 255], u: [0, 143, 255], np: [0, 128, 255], pu: [0, 107, 255], am: [84, 92, 242], cm: [120, 92, 227],
+    bk: [138, 79, 227], cf: [161, 54, 212], es: [179, 31, 212], fm: [179, 31, 186], md: [179, 13, 166], no: [189, 13, 135],
+    lr: [199, 0, 102], rf: [204, 0, 89], db: [209, 0, 79], sg: [217, 0, 69], bh: [224, 0, 56], hs: [230, 0, 46],
+    mt: [235, 0, 38], ds: [235, 0, 38], rg: [235, 0, 38], cn: [235, 0, 38], uut: [235, 0, 38], uuq: [235, 0, 38],
+    uup: [235, 0, 38], uuh: [235, 0, 38], uus: [235, 0, 38], uuo: [235, 0, 38]
+};
+const DEFAULT_COLOR = [255, 20, 147]; // Unknown elements stand out in pink
+
+// --- Van der Waals radii (Angstrom, Bondi 1964 with common additions) ---
+export const VDW_RADII = {
+    h: 1.2, he: 1.4, li: 1.82, be: 1.53, b: 1.92, c: 1.7, n: 1.55, o: 1.52, f: 1.47, ne: 1.54,
+    na: 2.27, mg: 1.73, al: 1.84, si: 2.1, p: 1.8, s: 1.8, cl: 1.75, ar: 1.88, k: 2.75, ca: 2.31,
+    mn: 2.0, fe: 2.0, co: 2.0, ni: 1.63, cu: 1.4, zn: 1.39, ga: 1.87, ge: 2.11, as: 1.85, se: 1.9,
+    br: 1.85, kr: 2.02, rb: 3.03, sr: 2.49, pd: 1.63, ag: 1.72, cd: 1.58, in: 1.93, sn: 2.17, sb: 2.06,
+    te: 2.06, i: 1.98, xe: 2.16, cs: 3.43, ba: 2.68, pt: 1.75, au: 1.66, hg: 1.55, tl: 1.96, pb: 2.02,
+    bi: 2.07, u: 1.86
+};
+const DEFAULT_VDW_RADIUS = 2.0;
+
+// --- Covalent radii (Angstrom, Cordero et al. 2008) for bond perception ---
+export const COVALENT_RADII = {
+    h: 0.31, he: 0.28, li: 1.28, be: 0.96, b: 0.84, c: 0.76, n: 0.71, o: 0.66, f: 0.57, ne: 0.58,
+    na: 1.66, mg: 1.41, al: 1.21, si: 1.11, p: 1.07, s: 1.05, cl: 1.02, ar: 1.06, k: 2.03, ca: 1.76,
+    v: 1.53, cr: 1.39, mn: 1.39, fe: 1.32, co: 1.26, ni: 1.24, cu: 1.32, zn: 1.22, ga: 1.22, ge: 1.2,
+    as: 1.19, se: 1.2, br: 1.2, kr: 1.16, rb: 2.2, sr: 1.95, mo: 1.54, ru: 1.46, rh: 1.42, pd: 1.39,
+    ag: 1.45, cd: 1.44, in: 1.42, sn: 1.39, sb: 1.39, te: 1.38, i: 1.39, xe: 1.4, cs: 2.44, ba: 2.15,
+    w: 1.62, re: 1.51, os: 1.44, ir: 1.41, pt: 1.36, au: 1.36, hg: 1.32, tl: 1.45, pb: 1.46, bi: 1.48,
+    u: 1.96
+};
+const DEFAULT_COVALENT_RADIUS = 1.5;
+
+// --- Helpers ---
+export function normalizeElement(symbol) {
+    return (symbol || '').trim().toLowerCase();
+}
+
+export function elementColor(symbol) {
+    return CPK_COLORS[normalizeElement(symbol)] || DEFAULT_COLOR;
+}
+
+export function vdwRadius(symbol) {
+    return VDW_RADII[normalizeElement(symbol)] || DEFAULT_VDW_RADIUS;
+}
+
+export function covalentRadius(symbol) {
+    return COVALENT_RADII[normalizeElement(symbol)] || DEFAULT_COVALENT_RADIUS;
+}
+
+// 'FE' / 'fe' -> 'Fe', the form PDBLoader stores in json.atoms
+export function capitalizeElement(symbol) {
+    const e = normalizeElement(symbol);
+    return e.charAt(0).toUpperCase() + e.slice(1);
+}
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+import { addButton, addCheckbox, addSelect, addNumberInput, createPanel, downloadFile } from './viewer-ui.js';
+
+// PNG snapshots and turntable recordings rendered offscreen, independent of the window size.
+// Frames are drawn into a multisampled render target, read back and copied into a 2D canvas,
+// so the on-screen canvas keeps its size (and needs neither alpha nor preserveDrawingBuffer).
+// With createFrames (e.g. render-effects.js' createExportFrames) the viewer draws them itself,
+// with its post-processing, at the export size.
+// HTML labels (CSS2DRenderer) are not part of the WebGL image and don't show up in exports.
+
+// --- Configuration ---
+export const EXPORT_SIZES = {
+    window: 'Window',
+    '1920x1080': 'Full HD',
+    '3840x2160': '4K',
+    '7680x4320': '8K',
+    custom: 'Custom'
+};
+export const TURNTABLE_FORMATS = {
+    webm: 'WebM video',
+    png: 'PNG frames'
+};
+const DEFAULT_SIZE = '3840x2160';
+const DEFAULT_FPS = 30;
+const MSAA_SAMPLES = 4;
+const WEBM_BITS_PER_PIXEL = 4; // Per second and pixel at 30 fps; ~8 Mbit/s for Full HD
+
+// --- Offscreen rendering ---
+// Returns { canvas, render(scene, camera, transparent), dispose() }. render() draws one frame
+// into canvas (width x height); with transparent the scene background is left out.
+// createFrames(width, height) may return { target, render(), dispose() }, render() drawing the
+// scene into target with sRGB-encoded 8-bit pixels; when it returns null (or there is none)
+// frames are a plain renderer.render().
+export function createOffscreenRenderer(renderer, width, height, createFrames = null) {
+    const maxSize = renderer.capabilities.maxTextureSize;
+    if (width > maxSize || height > maxSize) {
+        throw new Error(`${width}x${height} exceeds the GPU limit of ${maxSize}px`);
+    }
+
+    const frames = createFrames ? createFrames(width, height) : null;
+    const target = frames ? frames.target : new THREE.WebGLRenderTarget(width, height, { samples: MSAA_SAMPLES, colorSpace: THREE.SRGBColorSpace });
+    const pixels = new Uint8Array(width * height * 4);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const clearColor = new THREE.Color();
+
+    return {
+        canvas,
+        render(scene, camera, transparent = false) {
+            const background = scene.background;
+            const aspect = camera.aspect;
+            const clearAlpha = renderer.getClearAlpha();
+            renderer.getClearColor(clearColor);
+            if (transparent) {
+                scene.background = null;
+                renderer.setClearColor(0x000000, 0);
+            }
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+
+            if (frames) {
+                frames.render();
+            } else {
+                renderer.setRenderTarget(target);
+                renderer.clear();
+                renderer.render(scene, camera);
+            }
+            renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+            renderer.setRenderTarget(null);
+
+            scene.background = background;
+            renderer.setClearColor(clearColor, clearAlpha);
+            camera.aspect = aspect;
+            camera.updateProjectionMatrix();
+
+            copyPixels(pixels, image.data, width, height);
+            context.putImageData(image, 0, 0);
+        },
+        dispose() {
+            if (frames) frames.dispose(); else target.dispose();
+        }
+    };
+}
+
+// WebGL rows start at the bottom and antialiased edges over a transparent clear color are
+// premultiplied; ImageData wants top-down rows with straight alpha.
+function copyPixels(source, destination, width, height) {
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+        const from = (height - 1 - y) * rowLength;
+        const to = y * rowLength;
+        for (let x = 0; x < rowLength; x += 4) {
+            const alpha = source[from + x + 3];
+            const scale = alpha > 0 && alpha < 255 ? 255 / alpha : 1;
+            destination[to + x] = source[from + x] * scale;
+            destination[to + x + 1] = source[from + x + 1] * scale;
+            destination[to + x + 2] = source[from + x + 2] * scale;
+            destination[to + x + 3] = alpha;
+        }
+    }
+}
+
+function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type);
+    });
+}
+
+// --- Snapshot ---
+export async function renderSnapshot(renderer, scene, camera, { width, height, transparent = false, createFrames = null }) {
+    const offscreen = createOffscreenRenderer(renderer, width, height, createFrames);
+    try {
+        offscreen.render(scene, camera, transparent);
+    } finally {
+        offscreen.dispose(); // The 2D canvas already holds the pixels
+    }
+    return canvasToBlob(offscreen.canvas);
+}
+
+// --- Turntable ---
+// turntable is provided by the viewer:
+//   start()                 stop its own animation and remember the view
+//   step(fraction, time)    pose the scene for fraction (0..1) of one full turn, time seconds in
+//   finish()                restore the view and resume
+// One loop is `duration` seconds; the last frame stops one step short of the first, so the
+// recording repeats seamlessly.
+//
+// WebM is recorded in real time through MediaRecorder: frames are paced at fps, and frames that
+// take longer than 1/fps to render stretch the video. PNG frames are exact at any size and are
+// written into a folder when the browser supports it, otherwise downloaded one by one.
+export async function recordTurntable(renderer, scene, camera, turntable, options) {
+    const { width, height, transparent = false, createFrames = null, format = 'webm', fps = DEFAULT_FPS, duration, name = 'turntable', onProgress = () => {}, isCancelled = () => false } = options;
+    const frameCount = Math.max(1, Math.round(duration * fps));
+    const output = format === 'png' ? await pngFrameWriter(name) : null; // Ask for the folder before anything starts
+    const offscreen = createOffscreenRenderer(renderer, width, height, createFrames);
+    let started = false;
+    try {
+        const recorder = format === 'png' ? null : createWebmRecorder(offscreen.canvas, fps, width * height * WEBM_BITS_PER_PIXEL * fps / 30);
+        turntable.start();
+        started = true;
+        const startTime = performance.now();
+        for (let frame = 0; frame < frameCount && !isCancelled(); frame++) {
+            turntable.step(frame / frameCount, frame / fps);
+            if (recorder) {
+                await delay(startTime + frame * 1000 / fps - performance.now());
+                offscreen.render(scene, camera); // Transparency isn't kept by the WebM encoders
+                recorder.addFrame();
+            } else {
+                offscreen.render(scene, camera, transparent);
+                await output.write(frame, await canvasToBlob(offscreen.canvas));
+            }
+            onProgress((frame + 1) / frameCount);
+        }
+        if (recorder) {
+            const video = await recorder.stop();
+            if (!isCancelled()) downloadFile(`${name}.webm`, video);
+        }
+    } finally {
+        if (started) turntable.finish();
+        offscreen.dispose();
+    }
+}
+
+function createWebmRecorder(canvas, fps, bitsPerSecond) {
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+        throw new Error('This browser cannot record video, export PNG frames instead');
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM, export PNG frames instead');
+
+    const stream = canvas.captureStream(0); // Frames are pushed by hand with requestFrame()
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.round(bitsPerSecond) });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.start();
+
+    return {
+        addFrame() {
+            track.requestFrame();
+        },
+        stop() {
+            return new Promise((resolve) => {
+                recorder.addEventListener('stop', () => {
+                    track.stop();
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                }, { once: true });
+                setTimeout(() => recorder.stop(), 1000 / fps); // Let the last frame be encoded
+            });
+        }
+    };
+}
+
+// Returns { write(frame, blob) }, saving name-0000.png, name-0001.png, ...
+async function pngFrameWriter(name) {
+    const fileName = (frame) => `${name}-${String(frame).padStart(4, '0')}.png`;
+    if (window.showDirectoryPicker) {
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return {
+            async write(frame, blob) {
+                const handle = await directory.getFileHandle(fileName(frame), { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+            }
+        };
+    }
+    return {
+        write(frame, blob) {
+            downloadFile(fileName(frame), blob);
+            return delay(100); // Browsers drop downloads that start in the same instant
+        }
+    };
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
+// --- Panel ---
+// 'Export' toolbar button opening a panel with the snapshot and turntable settings.
+// name() gives the base file name; turntable is described at recordTurntable() and also has
+// duration(), the default loop length in seconds; createFrames is described at
+// createOffscreenRenderer(). Returns { panel, turntableOptions }: viewers can add their own
+// turntable settings to the turntableOptions row.
+export function createExportTool(toolbar, { renderer, scene, camera, name, turntable, createFrames = null }) {
+    const settings = { size: DEFAULT_SIZE, width: 3840, height: 2160, transparent: false, format: 'webm', fps: DEFAULT_FPS, duration: turntable.duration() };
+    let cancelled = false;
+
+    const panel = createPanel('Export');
+    addButton(toolbar, 'Export', () => {
+        if (panel.element.hidden) panel.open(); else panel.close();
+    });
+
+    // Image size, shared by snapshots and recordings
+    const sizeRow = addRow(panel.body);
+    addSelect(sizeRow, 'Size', EXPORT_SIZES, settings.size, (size) => {
+        settings.size = size;
+        if (size !== 'custom' && size !== 'window') [settings.width, settings.height] = size.split('x').map(Number);
+        updateSizeInputs();
+    });
+    const dimensionRow = addRow(panel.body);
+    const widthInput = addNumberInput(dimensionRow, 'Width', { min: 16, max: 16384, value: settings.width }, (value) => { settings.width = Math.round(value); });
+    const heightInput = addNumberInput(dimensionRow, 'Height', { min: 16, max: 16384, value: settings.height }, (value) => { settings.height = Math.round(value); });
+    addCheckbox(addRow(panel.body), 'Transparent background', settings.transparent, (enabled) => { settings.transparent = enabled; });
+    const snapshotButton = addButton(addRow(panel.body), 'Save PNG', () => {
+        const { width, height } = exportSize();
+        run(renderSnapshot(renderer, scene, camera, { width, height, transparent: settings.transparent, createFrames })
+            .then((blob) => {
+                downloadFile(`${name()}.png`, blob);
+                showStatus(`Saved ${width}x${height} PNG`);
+            }));
+    });
+
+    // Turntable
+    const heading = document.createElement('div');
+    heading.className = 'viewer-panel-section';
+    heading.textContent = 'Turntable';
+    panel.body.appendChild(heading);
+    addSelect(addRow(panel.body), 'Format', TURNTABLE_FORMATS, settings.format, (format) => { settings.format = format; });
+    const timingRow = addRow(panel.body);
+    addNumberInput(timingRow, 'FPS', { min: 1, max: 120, value: settings.fps }, (value) => { settings.fps = value; });
+    addNumberInput(timingRow, 'Seconds', { min: 1, max: 600, step: 0.1, value: settings.duration.toFixed(1) }, (value) => { settings.duration = value; });
+    const turntableOptions = addRow(panel.body);
+    const recordRow = addRow(panel.body);
+    const recordButton = addButton(recordRow, 'Record', () => {
+        const { width, height } = exportSize();
+        cancelled = false;
+        cancelButton.hidden = false;
+        run(recordTurntable(renderer, scene, camera, turntable, {
+            width,
+            height,
+            transparent: settings.transparent,
+            createFrames,
+            format: settings.format,
+            fps: settings.fps,
+            duration: settings.duration,
+            name: `${name()}-turntable`,
+            onProgress: (fraction) => showStatus(`Recording... ${Math.round(fraction * 100)}%`),
+            isCancelled: () => cancelled
+        }).then(() => showStatus(cancelled ? 'Recording cancelled' : 'Recording saved')));
+    });
+    const cancelButton = addButton(recordRow, 'Cancel', () => { cancelled = true; });
+    cancelButton.hidden = true;
+
+    const status = document.createElement('div');
+    status.className = 'viewer-status';
+    panel.body.appendChild(status);
+
+    function showStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('viewer-error', isError);
+    }
+
+    function updateSizeInputs() {
+        const { width, height } = exportSize();
+        widthInput.value = width;
+        heightInput.value = height;
+        widthInput.disabled = heightInput.disabled = settings.size !== 'custom';
+    }
+
+    // 'Window' follows the canvas at device resolution
+    function exportSize() {
+        if (settings.size !== 'window') return { width: settings.width, height: settings.height };
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+        return { width: size.x, height: size.y };
+    }
+
+    // One export at a time; errors end up in the panel
+    function run(promise) {
+        snapshotButton.disabled = recordButton.disabled = true;
+        return promise.catch((err) => {
+            console.error('Export failed:', err);
+            showStatus(err.message, true);
+        }).finally(() => {
+            snapshotButton.disabled = recordButton.disabled = false;
+            cancelButton.hidden = true;
+        });
+    }
+
+    updateSizeInputs();
+    return { panel, turntableOptions };
+}
+
+function addRow(parent) {
+    const row = document.createElement('div');
+    row.className = 'viewer-panel-row';
+    parent.appendChild(row);
+    return row;
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import { findLigands, findPocket, findInteractions, interactionsToCsv, INTERACTION_TYPES, DEFAULT_POCKET_CUTOFF } from './interactions.js';
+import { cylinderMatrix } from './representations.js';
+import { createHighlight, highlightRadius } from './picking.js';
+import { residueInModel, residueLabel } from './structure-model.js';
+import { addButton, addSelect, setSelectOptions, addNumberInput, createPanel, downloadFile } from './viewer-ui.js';
+
+// Binding site analysis for the loaded complex (rules in interactions.js): pick a ligand, and the
+// residues lining its pocket are highlighted and the interactions with them drawn as dashed
+// cylinders colored by type. The panel lists them in a table that can be saved as CSV.
+// Returns { setStructure(structure), analyze(ligandIndex, cutoff), clear(), interactions }.
+
+// --- Configuration ---
+const POCKET_COLOR = 0xffaa00;
+const DASH_LENGTH = 0.25; // Å
+const DASH_GAP = 0.2;
+const DASH_RADIUS = 0.08;
+const DASH_SEGMENTS = 6; // Radial segments of each dash
+
+// --- Tool ---
+// group: the viewer's molecule group; the interactions are drawn in the current model
+// (representations.model()), or the first one when all models are shown.
+export function createInteractionTool(toolbar, { group, representations }) {
+    const pocketHighlight = createHighlight(group, POCKET_COLOR);
+    const dashGeometry = new THREE.CylinderGeometry(1, 1, 1, DASH_SEGMENTS, 1, true);
+    let structure = null;
+    let ligands = []; // Residues of the first model, the select values are their indices
+    let cutoff = DEFAULT_POCKET_CUTOFF;
+    let dashes = null; // Group with one InstancedMesh per interaction type
+    let pocket = [];
+
+    const panel = createPanel('Binding site');
+    addButton(toolbar, 'Interactions', () => {
+        if (panel.element.hidden) panel.open(); else panel.close();
+    });
+    const controlRow = document.createElement('div');
+    controlRow.className = 'viewer-panel-row';
+    const ligandSelect = addSelect(controlRow, 'Ligand', {}, '', () => {});
+    const cutoffRow = document.createElement('div');
+    cutoffRow.className = 'viewer-panel-row';
+    addNumberInput(cutoffRow, 'Pocket cutoff (Å)', { min: 1, max: 15, step: 0.5, value: cutoff }, (value) => { cutoff = value; });
+    addButton(cutoffRow, 'Analyze', () => tool.analyze(parseInt(ligandSelect.value, 10), cutoff));
+    const status = document.createElement('div');
+    status.className = 'viewer-status';
+    const results = document.createElement('div');
+    panel.body.append(controlRow, cutoffRow, status, results);
+
+    function showStatus(text) {
+        status.textContent = text;
+    }
+
+    function clearResults() {
+        pocketHighlight.clear();
+        if (dashes) {
+            dashes.traverse((child) => {
+                if (child.isInstancedMesh) {
+                    child.material.dispose();
+                    child.dispose();
+                }
+            });
+            dashes.removeFromParent();
+            dashes = null;
+        }
+        pocket = [];
+        tool.interactions = [];
+        results.replaceChildren();
+    }
+
+    // Dashes of every interaction of one type, as instances of a unit cylinder
+    function buildDashes(interactions) {
+        const object = new THREE.Group();
+        object.name = 'interactions';
+        const start = new THREE.Vector3();
+        const end = new THREE.Vector3();
+        const from = new THREE.Vector3();
+        const to = new THREE.Vector3();
+        const matrix = new THREE.Matrix4();
+        for (const [type, { color }] of Object.entries(INTERACTION_TYPES)) {
+            const matrices = [];
+            for (const item of interactions) {
+                if (item.type !== type) continue;
+                start.set(item.from.x, item.from.y, item.from.z);
+                end.set(item.to.x, item.to.y, item.to.z);
+                const length = start.distanceTo(end);
+                for (let offset = 0; offset < length; offset += DASH_LENGTH + DASH_GAP) {
+                    from.lerpVectors(start, end, offset / length);
+                    to.lerpVectors(start, end, Math.min(offset + DASH_LENGTH, length) / length);
+                    matrices.push(cylinderMatrix(from, to, DASH_RADIUS, matrix).clone());
+                }
+            }
+            if (matrices.length === 0) continue;
+            const material = new THREE.MeshPhongMaterial({ color, shininess: 30 });
+            const mesh = new THREE.InstancedMesh(dashGeometry, material, matrices.length);
+            matrices.forEach((m, i) => mesh.setMatrixAt(i, m));
+            mesh.name = `interactions-${type}`;
+            object.add(mesh);
+        }
+        return object;
+    }
+
+    function showResults(ligand, interactions) {
+        const counts = document.createElement('div');
+        counts.className = 'viewer-panel-section';
+        counts.textContent = `${residueLabel(ligand)}: ${pocket.length} pocket residues, ${interactions.length} interactions`;
+
+        const legend = document.createElement('div');
+        for (const [type, { label, color }] of Object.entries(INTERACTION_TYPES)) {
+            const row = document.createElement('div');
+            row.className = 'viewer-panel-row';
+            const swatch = document.createElement('span');
+            swatch.className = 'viewer-interaction-swatch';
+            swatch.style.backgroundColor = `#${new THREE.Color(color).getHexString()}`;
+            const text = document.createElement('span');
+            text.textContent = label;
+            const count = document.createElement('span');
+            count.textContent = interactions.filter((item) => item.type === type).length;
+            text.prepend(swatch);
+            row.append(text, count);
+            legend.appendChild(row);
+        }
+
+        const lining = document.createElement('div');
+        lining.className = 'viewer-interaction-pocket';
+        lining.textContent = pocket.map(residueLabel).join(', ');
+
+        const table = document.createElement('table');
+        table.className = 'viewer-table';
+        const header = table.createTHead().insertRow();
+        for (const title of ['Type', 'Ligand', 'Residue', 'Å']) header.appendChild(document.createElement('th')).textContent = title;
+        const body = table.createTBody();
+        for (const item of interactions) {
+            const row = body.insertRow();
+            row.title = item.detail;
+            row.insertCell().textContent = INTERACTION_TYPES[item.type].label;
+            row.insertCell().textContent = item.ligandAtoms.length === 1 ? item.ligandAtoms[0].name : 'ring / group';
+            row.insertCell().textContent = `${item.residue.name} ${item.residue.seq}${item.residue.iCode}`
+                + (item.residueAtoms.length === 1 ? ` ${item.residueAtoms[0].name}` : '');
+            row.insertCell().textContent = item.distance.toFixed(2);
+        }
+
+        const exportRow = document.createElement('div');
+        exportRow.className = 'viewer-panel-row';
+        addButton(exportRow, 'Export CSV', () => {
+            const base = structure.id ? `${structure.id}-` : '';
+            downloadFile(`${base}${ligand.name}-interactions.csv`, interactionsToCsv(interactions), 'text/csv');
+        });
+        results.replaceChildren(counts, legend, lining, table, exportRow);
+    }
+
+    const tool = {
+        interactions: [],
+        // New structure: the ligand list is rebuilt and earlier results dropped
+        setStructure(newStructure) {
+            clearResults();
+            structure = newStructure;
+            const [model] = structure ? structure.models : [];
+            ligands = model ? findLigands(model) : [];
+            const options = {};
+            ligands.forEach((ligand, i) => { options[i] = residueLabel(ligand); });
+            setSelectOptions(ligandSelect, options, '0');
+            showStatus(structure && ligands.length === 0 ? 'No ligands in this structure' : '');
+        },
+        // ligandIndex: position in the ligand list (first model); the same residue is looked up
+        // in the model currently shown
+        analyze(ligandIndex, pocketCutoff = cutoff) {
+            clearResults();
+            if (!structure || !ligands[ligandIndex]) return [];
+            const model = representations.model() || structure.models[0];
+            const ligand = residueInModel(ligands[ligandIndex], model);
+            if (!ligand) {
+                showStatus(`${residueLabel(ligands[ligandIndex])} is not in this model`);
+                return [];
+            }
+            pocket = findPocket(model, ligand, pocketCutoff);
+            const interactions = findInteractions(structure, ligand, pocket);
+            tool.interactions = interactions;
+            pocketHighlight.show(pocket.flatMap((residue) => residue.atoms), (atom) => highlightRadius(representations, atom));
+            dashes = buildDashes(interactions);
+            group.add(dashes);
+            showStatus('');
+            showResults(ligand, interactions);
+            return interactions;
+        },
+        // Needed before another structure is loaded: the results refer to the old one's atoms
+        clear() {
+            clearResults();
+            showStatus('');
+        }
+    };
+    return tool;
+}
@@ -0,0 +1,360 @@
+import { residueKind, isPolymer } from './residues.js';
+import { createSpatialGrid } from './spatial-grid.js';
+import { atomLabel, residueLabel } from './structure-model.js';
+
+// Ligand binding sites: the ligands of a model, the residues lining their pocket and the
+// non-covalent interactions between the two. Plain geometry on the structure model (no
+// three.js or DOM), so the rules can be checked under Node; interaction-tool.js draws them.
+//
+// The files rarely have hydrogens, so the rules work on heavy atoms only, roughly like PLIP:
+//   hbond        donor and acceptor N / O within 2.5-3.5 Å (protein donors and acceptors by
+//                atom name, ligand N and O by their bonds)
+//   saltBridge   centers of oppositely charged groups within 5.5 Å
+//   piStacking   aromatic ring centroids within 5.5 Å, rings parallel (< 30°) or T-shaped
+//                (60-90°), with a centroid at most 2 Å off the other ring's axis
+//   hydrophobic  carbons bonded only to carbon / hydrogen within 4 Å, the closest pair per
+//                ligand and residue
+//
+// An interaction is { type, ligand, residue, ligandAtoms, residueAtoms, from, to, distance, detail },
+// from / to being the { x, y, z } points it is drawn between (atoms or ring centroids).
+
+// --- Configuration ---
+export const INTERACTION_TYPES = {
+    hbond: { label: 'Hydrogen bond', color: 0x3399ff },
+    saltBridge: { label: 'Salt bridge', color: 0xff4444 },
+    piStacking: { label: 'Pi-stacking', color: 0x33cc66 },
+    hydrophobic: { label: 'Hydrophobic', color: 0xaaaaaa }
+};
+export const DEFAULT_POCKET_CUTOFF = 5; // Å from any ligand atom
+const HBOND_MIN = 2.5;
+const HBOND_MAX = 3.5;
+const SALT_BRIDGE_MAX = 5.5;
+const PI_STACKING_MAX = 5.5;
+const PI_PARALLEL_MAX_ANGLE = 30;
+const PI_T_SHAPED_MIN_ANGLE = 60;
+const PI_MAX_OFFSET = 2.0;
+const HYDROPHOBIC_MAX = 4.0;
+const RING_PLANARITY = 0.25; // Å an atom may be out of the ring plane for the ring to count as aromatic
+
+// Side chain atoms by residue (backbone N and O are handled separately)
+const DONORS = {
+    ARG: ['NE', 'NH1', 'NH2'], ASN: ['ND2'], GLN: ['NE2'], HIS: ['ND1', 'NE2'], LYS: ['NZ'],
+    SER: ['OG'], THR: ['OG1'], TYR: ['OH'], TRP: ['NE1'], CYS: ['SG']
+};
+const ACCEPTORS = {
+    ASP: ['OD1', 'OD2'], GLU: ['OE1', 'OE2'], ASN: ['OD1'], GLN: ['OE1'], HIS: ['ND1', 'NE2'],
+    SER: ['OG'], THR: ['OG1'], TYR: ['OH'], MET: ['SD']
+};
+const POSITIVE_GROUPS = { LYS: [['NZ']], ARG: [['NE', 'NH1', 'NH2']], HIS: [['ND1', 'NE2']] };
+const NEGATIVE_GROUPS = { ASP: [['OD1', 'OD2']], GLU: [['OE1', 'OE2']] };
+// In ring order, which the ring normal depends on
+const AROMATIC_RINGS = {
+    PHE: [['CG', 'CD1', 'CE1', 'CZ', 'CE2', 'CD2']],
+    TYR: [['CG', 'CD1', 'CE1', 'CZ', 'CE2', 'CD2']],
+    TRP: [['CD2', 'CE2', 'CZ2', 'CH2', 'CZ3', 'CE3'], ['CG', 'CD1', 'NE1', 'CE2', 'CD2']],
+    HIS: [['CG', 'ND1', 'CE1', 'NE2', 'CD2']]
+};
+
+// --- Ligands and pockets ---
+// Hetero groups that are neither water nor ions (see residues.js)
+export function findLigands(model) {
+    const ligands = [];
+    for (const chain of model.chains) {
+        for (const residue of chain.residues) {
+            if (residueKind(residue) === 'ligand') ligands.push(residue);
+        }
+    }
+    return ligands;
+}
+
+// Polymer residues with an atom within cutoff of one of the ligand's atoms, in model order
+export function findPocket(model, ligand, cutoff = DEFAULT_POCKET_CUTOFF) {
+    const residues = model.chains.flatMap((chain) => chain.residues.filter(isPolymer));
+    const grid = createSpatialGrid(residues.flatMap((residue) => residue.atoms));
+    const lining = new Set();
+    for (const atom of ligand.atoms) grid.forEachNear(atom.x, atom.y, atom.z, cutoff, (other) => lining.add(other.residue));
+    return residues.filter((residue) => lining.has(residue));
+}
+
+// --- Interactions ---
+// Everything between the ligand and the pocket residues, sorted by type then distance
+export function findInteractions(structure, ligand, pocket) {
+    const neighbors = bondedNeighbors(structure);
+    const interactions = [
+        ...findHydrogenBonds(ligand, pocket, neighbors),
+        ...findSaltBridges(ligand, pocket, neighbors),
+        ...findPiStacking(ligand, pocket, neighbors),
+        ...findHydrophobicContacts(ligand, pocket, neighbors)
+    ];
+    const order = Object.keys(INTERACTION_TYPES);
+    return interactions.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || a.distance - b.distance);
+}
+
+function interaction(type, ligand, residue, ligandAtoms, residueAtoms, from, to, detail = '') {
+    return { type, ligand, residue, ligandAtoms, residueAtoms, from, to, distance: distance(from, to), detail };
+}
+
+export function findHydrogenBonds(ligand, pocket, neighbors) {
+    const result = [];
+    const ligandAtoms = ligand.atoms.map((atom) => ({ atom, ...ligandPolarity(atom, neighbors) })).filter((p) => p.donor || p.acceptor);
+    for (const residue of pocket) {
+        for (const atom of residue.atoms) {
+            const polarity = residuePolarity(atom);
+            if (!polarity.donor && !polarity.acceptor) continue;
+            for (const candidate of ligandAtoms) {
+                const donates = candidate.donor && polarity.acceptor;
+                const accepts = candidate.acceptor && polarity.donor;
+                const d = distance(candidate.atom, atom);
+                if ((!donates && !accepts) || d < HBOND_MIN || d > HBOND_MAX) continue;
+                // Only named when the roles are clear
+                const detail = donates && !accepts ? 'ligand donor' : accepts && !donates ? 'ligand acceptor' : '';
+                result.push(interaction('hbond', ligand, residue, [candidate.atom], [atom], candidate.atom, atom, detail));
+            }
+        }
+    }
+    return result;
+}
+
+export function findSaltBridges(ligand, pocket, neighbors) {
+    const result = [];
+    const ligandGroups = ligandChargedGroups(ligand, neighbors);
+    for (const residue of pocket) {
+        for (const group of residueChargedGroups(residue)) {
+            for (const ligandGroup of ligandGroups) {
+                if (group.charge === ligandGroup.charge) continue;
+                const from = centroid(ligandGroup.atoms);
+                const to = centroid(group.atoms);
+                if (distance(from, to) > SALT_BRIDGE_MAX) continue;
+                const detail = ligandGroup.charge > 0 ? 'ligand positive' : 'ligand negative';
+                result.push(interaction('saltBridge', ligand, residue, ligandGroup.atoms, group.atoms, from, to, detail));
+            }
+        }
+    }
+    return result;
+}
+
+export function findPiStacking(ligand, pocket, neighbors) {
+    const result = [];
+    const ligandRings = findAromaticRings(ligand.atoms, neighbors).map(ringGeometry);
+    if (ligandRings.length === 0) return result;
+    for (const residue of pocket) {
+        for (const names of AROMATIC_RINGS[residue.name] || []) {
+            const atoms = names.map((name) => residue.atoms.find((atom) => atom.name === name));
+            if (atoms.some((atom) => !atom)) continue;
+            const ring = ringGeometry(atoms);
+            for (const ligandRing of ligandRings) {
+                const d = distance(ligandRing.center, ring.center);
+                if (d > PI_STACKING_MAX) continue;
+                const angle = Math.acos(Math.min(1, Math.abs(dot(ligandRing.normal, ring.normal)))) * 180 / Math.PI;
+                const offset = Math.min(ringOffset(ligandRing, ring), ringOffset(ring, ligandRing));
+                let detail = '';
+                if (angle <= PI_PARALLEL_MAX_ANGLE && offset <= PI_MAX_OFFSET) detail = 'parallel';
+                else if (angle >= PI_T_SHAPED_MIN_ANGLE && offset <= PI_MAX_OFFSET) detail = 'T-shaped';
+                else continue;
+                result.push(interaction('piStacking', ligand, residue, ligandRing.atoms, atoms, ligandRing.center, ring.center, detail));
+            }
+        }
+    }
+    return result;
+}
+
+// Closest pair per residue, so a leucine next to a phenyl ring is one contact and not twenty
+export function findHydrophobicContacts(ligand, pocket, neighbors) {
+    const result = [];
+    const ligandCarbons = ligand.atoms.filter((atom) => isHydrophobicCarbon(atom, neighbors));
+    for (const residue of pocket) {
+        let best = null;
+        for (const atom of residue.atoms) {
+            if (!isHydrophobicCarbon(atom, neighbors)) continue;
+            for (const carbon of ligandCarbons) {
+                const d = distance(carbon, atom);
+                if (d <= HYDROPHOBIC_MAX && (!best || d < best.distance)) best = interaction('hydrophobic', ligand, residue, [carbon], [atom], carbon, atom);
+            }
+        }
+        if (best) result.push(best);
+    }
+    return result;
+}
+
+// --- Atom typing ---
+// Bonded atoms of every atom (structure.bonds holds the file's and the perceived bonds)
+const neighborCache = new WeakMap();
+export function bondedNeighbors(structure) {
+    if (!neighborCache.has(structure)) {
+        const neighbors = structure.atoms.map(() => []);
+        for (const [a, b] of structure.bonds) {
+            neighbors[a].push(structure.atoms[b]);
+            neighbors[b].push(structure.atoms[a]);
+        }
+        neighborCache.set(structure, neighbors);
+    }
+    return neighborCache.get(structure);
+}
+
+function elementOf(atom) {
+    return atom.element.toUpperCase();
+}
+
+function heavyNeighbors(atom, neighbors) {
+    return neighbors[atom.index].filter((other) => elementOf(other) !== 'H');
+}
+
+function residuePolarity(atom) {
+    const name = atom.name;
+    const kind = residueKind(atom.residue);
+    if (kind !== 'protein') {
+        // Nucleic acids: every N and O, like ligands without bond information
+        const polar = elementOf(atom) === 'N' || elementOf(atom) === 'O';
+        return { donor: polar, acceptor: polar };
+    }
+    return {
+        donor: (name === 'N' && atom.residue.name !== 'PRO') || (DONORS[atom.residue.name] || []).includes(name),
+        acceptor: name === 'O' || name === 'OXT' || (ACCEPTORS[atom.residue.name] || []).includes(name)
+    };
+}
+
+// Ligand O can donate and accept; an N with three heavy neighbors (tertiary amine, ring
+// junction, amide in a ring) can do neither without hydrogens to tell
+function ligandPolarity(atom, neighbors) {
+    const element = elementOf(atom);
+    if (element === 'O') return { donor: true, acceptor: true };
+    if (element === 'N') {
+        const polar = heavyNeighbors(atom, neighbors).length < 3;
+        return { donor: polar, acceptor: polar };
+    }
+    return { donor: false, acceptor: false };
+}
+
+function residueChargedGroups(residue) {
+    const groups = [];
+    for (const [table, charge] of [[POSITIVE_GROUPS, 1], [NEGATIVE_GROUPS, -1]]) {
+        for (const names of table[residue.name] || []) {
+            const atoms = residue.atoms.filter((atom) => names.includes(atom.name));
+            if (atoms.length > 0) groups.push({ charge, atoms });
+        }
+    }
+    return groups;
+}
+
+// Negative: carboxylate, phosphate and sulfonate (two or more terminal O on one C / P / S).
+// Positive: amidine / guanidine (C bonded to two or more N and no O) and primary amines
+// (terminal N on a carbon without other heteroatoms).
+function ligandChargedGroups(ligand, neighbors) {
+    const groups = [];
+    const isTerminal = (atom) => heavyNeighbors(atom, neighbors).length === 1;
+    for (const atom of ligand.atoms) {
+        const element = elementOf(atom);
+        const bonded = heavyNeighbors(atom, neighbors);
+        const terminalOxygens = bonded.filter((other) => elementOf(other) === 'O' && isTerminal(other));
+        const nitrogens = bonded.filter((other) => elementOf(other) === 'N');
+        if (['C', 'P', 'S'].includes(element) && terminalOxygens.length >= 2) {
+            groups.push({ charge: -1, atoms: terminalOxygens });
+        } else if (element === 'C' && nitrogens.length >= 2 && !bonded.some((other) => elementOf(other) === 'O')) {
+            groups.push({ charge: 1, atoms: nitrogens });
+        } else if (element === 'N' && bonded.length === 1 && elementOf(bonded[0]) === 'C') {
+            const carbon = bonded[0];
+            const heteroOnCarbon = heavyNeighbors(carbon, neighbors).some((other) => other !== atom && elementOf(other) !== 'C');
+            if (!heteroOnCarbon) groups.push({ charge: 1, atoms: [atom] });
+        }
+    }
+    return groups;
+}
+
+function isHydrophobicCarbon(atom, neighbors) {
+    if (elementOf(atom) !== 'C') return false;
+    return neighbors[atom.index].every((other) => elementOf(other) === 'C' || elementOf(other) === 'H');
+}
+
+// --- Rings ---
+// Planar five- and six-membered rings of C / N / O / S atoms, as atom lists
+export function findAromaticRings(atoms, neighbors) {
+    const members = new Set(atoms.filter((atom) => ['C', 'N', 'O', 'S'].includes(elementOf(atom))));
+    const rings = new Map();
+    // Depth-first paths of up to six atoms that come back to their start
+    function extend(path) {
+        const last = path[path.length - 1];
+        for (const next of neighbors[last.index]) {
+            if (!members.has(next)) continue;
+            if (next === path[0] && path.length >= 5) {
+                const key = path.map((atom) => atom.index).sort((a, b) => a - b).join(',');
+                if (!rings.has(key)) rings.set(key, [...path]);
+            } else if (path.length < 6 && !path.includes(next) && next.index > path[0].index) {
+                path.push(next);
+                extend(path);
+                path.pop();
+            }
+        }
+    }
+    for (const atom of members) extend([atom]);
+    return Array.from(rings.values()).filter((ring) => isPlanar(ring));
+}
+
+function isPlanar(ring) {
+    const { center, normal } = ringGeometry(ring);
+    return ring.every((atom) => Math.abs(dot(normal, subtract(atom, center))) <= RING_PLANARITY);
+}
+
+// Centroid and unit normal (Newell's method, robust for slightly puckered rings)
+function ringGeometry(atoms) {
+    const center = centroid(atoms);
+    const normal = { x: 0, y: 0, z: 0 };
+    atoms.forEach((a, i) => {
+        const b = atoms[(i + 1) % atoms.length];
+        normal.x += (a.y - b.y) * (a.z + b.z);
+        normal.y += (a.z - b.z) * (a.x + b.x);
+        normal.z += (a.x - b.x) * (a.y + b.y);
+    });
+    const length = Math.hypot(normal.x, normal.y, normal.z) || 1;
+    return { atoms, center, normal: { x: normal.x / length, y: normal.y / length, z: normal.z / length } };
+}
+
+// Distance of b's center from the axis through a's center along a's normal
+function ringOffset(a, b) {
+    const delta = subtract(b.center, a.center);
+    const along = dot(delta, a.normal);
+    return Math.sqrt(Math.max(0, dot(delta, delta) - along * along));
+}
+
+// --- CSV ---
+export function interactionsToCsv(interactions) {
+    const rows = [['type', 'ligand', 'residue', 'ligand atoms', 'residue atoms', 'distance', 'detail']];
+    for (const item of interactions) {
+        rows.push([
+            INTERACTION_TYPES[item.type].label,
+            residueLabel(item.ligand),
+            residueLabel(item.residue),
+            item.ligandAtoms.map(atomLabel).join('; '),
+            item.residueAtoms.map(atomLabel).join('; '),
+            item.distance.toFixed(2),
+            item.detail
+        ]);
+    }
+    return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function csvField(value) {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// --- Vectors ---
+function centroid(points) {
+    const sum = { x: 0, y: 0, z: 0 };
+    for (const point of points) {
+        sum.x += point.x;
+        sum.y += point.y;
+        sum.z += point.z;
+    }
+    return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
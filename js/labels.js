@@ -0,0 +1,26 @@
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { ensureViewerStyles } from './viewer-ui.js';
+
+// Text labels that float in the scene: HTML elements positioned by a CSS2DRenderer that
+// renders after the WebGL canvas. Labels are ordinary Object3Ds, so they follow the group
+// they are added to (rotation, centering) and disappear with it.
+
+// --- Renderer ---
+// Overlay on top of the canvas; it ignores the mouse so the orbit controls keep working.
+// Call setSize() from the viewer's resize handler and render(scene, camera) every frame.
+export function createLabelRenderer(parent = document.body) {
+    ensureViewerStyles();
+    const labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(window.innerWidth, window.innerHeight);
+    labelRenderer.domElement.className = 'viewer-label-layer';
+    parent.appendChild(labelRenderer.domElement);
+    return labelRenderer;
+}
+
+// --- Labels ---
+export function createLabel(text, className = 'viewer-label') {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    return new CSS2DObject(element);
+}
@@ -0,0 +1,89 @@
+import { parseSelection, selectAtoms, SelectionSyntaxError } from './selection.js';
+import { REPRESENTATION_TYPES } from './representations.js';
+import { addButton, addSelect, addTextInput, createPanel } from './viewer-ui.js';
+
+// Extra representation layers on typed selections (see selection.js), drawn next to the viewer's
+// fixed layers: e.g. a cartoon for everything plus sticks for "within 5 of ligand". A layer keeps
+// its expression and is selected again when another structure is loaded (see representations.js).
+// The panel lists these layers with their style; the selection tool's 'New layer' action adds one too.
+// Returns { add(expression, type), remove(layer), state(), applyState(states) }.
+
+// --- Configuration ---
+const DEFAULT_STYLE = 'ball-and-stick';
+const STYLE_OPTIONS = { ...REPRESENTATION_TYPES, none: 'Hidden' };
+
+// --- Panel ---
+export function createLayerPanel(toolbar, { representations }) {
+    let newStyle = DEFAULT_STYLE;
+
+    const panel = createPanel('Layers');
+    addButton(toolbar, 'Layers', () => {
+        if (panel.element.hidden) panel.open(); else panel.close();
+    });
+    const list = document.createElement('div');
+    const addRow = document.createElement('div');
+    addRow.className = 'viewer-panel-row';
+    const input = addTextInput(addRow, 'Selection, e.g. within 5 of ligand', (text) => {
+        if (layerPanel.add(text)) input.value = '';
+    });
+    addSelect(addRow, 'Style', REPRESENTATION_TYPES, newStyle, (type) => { newStyle = type; });
+    const status = document.createElement('div');
+    status.className = 'viewer-status';
+    panel.body.append(addRow, list, status);
+
+    function showStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('viewer-error', isError);
+    }
+
+    function selectionLayers() {
+        return representations.layers.filter((layer) => layer.expression);
+    }
+
+    function updateList() {
+        list.replaceChildren();
+        for (const layer of selectionLayers()) {
+            const row = document.createElement('div');
+            row.className = 'viewer-panel-row';
+            addSelect(row, layer.label, STYLE_OPTIONS, layer.type, (type) => representations.setType(layer, type));
+            addButton(row, 'Remove', () => layerPanel.remove(layer));
+            list.appendChild(row);
+        }
+    }
+
+    const layerPanel = {
+        // Returns the new layer, or null when the expression has a syntax error (shown in the panel)
+        add(expression, type = newStyle) {
+            try {
+                parseSelection(expression);
+            } catch (error) {
+                if (!(error instanceof SelectionSyntaxError)) throw error;
+                showStatus(error.message, true);
+                return null;
+            }
+            const layer = representations.add(type, (structure) => selectAtoms(structure, expression), expression);
+            layer.expression = expression;
+            updateList();
+            showStatus('');
+            return layer;
+        },
+        remove(layer) {
+            representations.remove(layer);
+            updateList();
+        },
+        // [{ label, type, selection }] for view states
+        state() {
+            return selectionLayers().map(({ label, type, expression }) => ({ label, type, selection: expression }));
+        },
+        // Replaces the selection layers with the saved ones (entries without a selection are skipped)
+        applyState(states) {
+            selectionLayers().forEach((layer) => representations.remove(layer));
+            for (const entry of Array.isArray(states) ? states : []) {
+                if (!entry || typeof entry.selection !== 'string' || !Object.hasOwn(STYLE_OPTIONS, entry.type)) continue;
+                layerPanel.add(entry.selection, entry.type);
+            }
+            updateList();
+        }
+    };
+    return layerPanel;
+}
@@ -1,202 +1,416 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { PDBLoader } from 'three/addons/loaders/PDBLoader.js';
-
+import { createViewerScene } from './viewer-scene.js';
+import { parseStructureAsync } from './structure-parser.js';
+import { resolveSource, describeSource, readSource, enableFileDrop, sourceFromPdbId, sourceFromFile, sourceToJSON, sourceFromJSON, addMirrorSetting } from './structure-source.js';
+import { createRepresentationSet, REPRESENTATION_TYPES } from './representations.js';
+import { prepareColorScheme, colorSchemeOptions } from './color-schemes.js';
+import { createAtomInspector } from './picking.js';
+import { createSelectionTool } from './selection-tool.js';
+import { createLayerPanel } from './layer-panel.js';
+import { createModelControls } from './model-controls.js';
+import { createSequencePanel } from './sequence-panel.js';
+import { createAnnotationTool } from './annotations.js';
+import { createLabelRenderer } from './labels.js';
+import { createRenderEffects } from './render-effects.js';
+import { createExportTool } from './export.js';
+import { createStatsOverlay } from './stats-overlay.js';
+import { VIEW_STATE_VERSION, cameraToJSON, applyCameraJSON, finiteNumber, readViewStateFromHash, readSessionFile, isSessionFile, addViewStateControls } from './view-state.js';
+import { createToolbar, addTextInput, addFileButton, addSelect, addCheckbox, addRange, createLegend, showLegend } from './viewer-ui.js';
+
+let view; // Scene, camera, renderer, controls and render loop (see viewer-scene.js)
 let scene, camera, renderer, controls;
+let labelRenderer; // Draws the auto labels and notes over the canvas
 let moleculeGroup; // Group to hold the molecule parts
-let atomMeshes = []; // Store meshes that need color updates
+let representations; // Representation layers drawn into moleculeGroup
+let inspector; // Hover tooltip, click selection and side panel (see picking.js)
+let selection; // Typed selection expressions (see selection-tool.js)
+let layerPanel; // Extra representation layers on typed selections (see layer-panel.js)
+let modelControls; // Model slider/playback and assembly choice (see model-controls.js)
+let sequencePanel; // One-letter track per chain, synced with the picking (see sequence-panel.js)
+let annotations; // Residue/chain/ligand labels and notes on atoms (see annotations.js)
+let effects; // Depth cueing, ambient occlusion, outlines and clipping slab (see render-effects.js)
+let structure = null; // Chains/residues/atoms of the loaded file (see structure-model.js)
+let currentSource = null; // Where the loaded structure came from, saved in view states
+let atomColors = null; // Per-atom colors (linear RGB) shared by all layers
+let colorScheme = null; // Static scheme used while the wave is off
+let waveScheme = null; // The animated rainbow wave
+let legend; // Legend overlay for the active scheme
+let stats; // Frame rate / atom count overlay (see stats-overlay.js)
+let ui = {}; // Toolbar inputs that are updated when a view state is restored
+let loadCounter = 0; // Used to ignore results of loads that were superseded by a newer one
+let exporting = false; // A turntable recording drives rotation and colors while true
 const clock = new THREE.Clock();
 
 // --- Configuration ---
-const pdbId = '7XNH';
-const pdbUrl = `https://files.rcsb.org/download/${pdbId}.pdb`;
+// The structure comes from ?pdb= / ?url= (see structure-source.js), defaulting to 7XNH
 const rotationSpeed = 0.1; // Radians per second
-const colorWaveSpeed = 0.5;
-const colorWaveFrequency = 0.1; // Lower value = wider waves
+let rotationEnabled = true;
+const defaultRepresentation = 'spacefill';
+// Coloring can be changed at runtime from the toolbar
+let colorWaveEnabled = true;
+const defaultWave = { speed: 0.5, frequency: 0.1 }; // Lower frequency = wider waves
+let colorWaveSpeed = defaultWave.speed;
+let colorWaveFrequency = defaultWave.frequency;
+let colorSchemeId = 'element'; // Shown when the wave is switched off
+let exportWave = true; // Animate the color wave in turntable recordings
+const showStats = new URLSearchParams(window.location.search).get('stats') !== '0'; // ?stats=0 starts with the overlay hidden
 
 // --- Initialization ---
 function init() {
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x050505); // Dark background
-
-    // Camera
-    camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 1, 5000);
-    camera.position.z = 500; // Start further away
-
-    // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    document.body.appendChild(renderer.domElement);
-
-    // Lighting
-    const ambientLight = new THREE.AmbientLight(0xcccccc, 0.8); // Soft ambient light
-    scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.5); // Brighter directional light
-    directionalLight.position.set(1, 1, 1).normalize();
-    scene.add(directionalLight);
-
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true; // Smooth camera movement
-    controls.dampingFactor = 0.05;
-    controls.screenSpacePanning = false;
-    controls.minDistance = 100;
-    controls.maxDistance = 1000;
+    // Scene, camera, lights and controls, with the canvas filling the window
+    labelRenderer = createLabelRenderer(); // HTML labels on top of the canvas
+    view = createViewerScene(document.body, {
+        background: { dark: 0x050505, light: 0xf2f2f2 },
+        cameraDistance: 500, // Start further away
+        pixelRatio: 1, // Spacefill of large structures is fill-rate bound
+        ambientLight: [0xcccccc, 0.8], // Soft ambient light
+        directionalLight: [0xffffff, 1.5], // Brighter directional light
+        minDistance: 100,
+        maxDistance: 1000,
+        onFrame: animate,
+        onRender: () => {
+            stats.update();
+            labelRenderer.render(scene, camera);
+        },
+        onResize: (width, height) => {
+            labelRenderer.setSize(width, height);
+            if (effects) effects.setSize(width, height); // Not there yet on the first resize
+        }
+    });
+    ({ scene, camera, renderer, controls } = view);
 
     // Molecule Group
     moleculeGroup = new THREE.Group();
     scene.add(moleculeGroup);
+    representations = createRepresentationSet(moleculeGroup);
+    const layer = representations.add(defaultRepresentation);
+
+    // Hover an atom for a tooltip, click it to select it and open the details panel
+    inspector = createAtomInspector(camera, renderer.domElement, moleculeGroup, representations,
+        (atom) => sequencePanel.showSelected(atom), (atom) => sequencePanel.showHovered(atom));
+
+    // Other structures can be loaded by ID, file picker or drag and drop (session files too)
+    const toolbar = createToolbar();
+    addTextInput(toolbar, 'PDB ID', (id) => loadFrom(() => sourceFromPdbId(id)));
+    addFileButton(toolbar, 'Open file', '.pdb,.ent,.cif,.mmcif', (file) => loadMolecule(sourceFromFile(file)));
+    addMirrorSetting(toolbar); // Where PDB IDs are fetched from, e.g. a local directory offline
+    enableFileDrop(document.body, (source) => {
+        if (isSessionFile(source.name)) {
+            readSessionFile(source.file).then(applyViewState).catch(showViewStateError);
+        } else {
+            loadMolecule(source);
+        }
+    });
+    ui.style = addSelect(toolbar, 'Style', REPRESENTATION_TYPES, layer.type, (type) => representations.setType(layer, type));
+    ui.rotate = addCheckbox(toolbar, 'Rotate', rotationEnabled, (enabled) => { rotationEnabled = enabled; });
+    addCheckbox(toolbar, 'Stats', showStats, (enabled) => stats.setVisible(enabled));
+
+    // NMR ensembles / trajectories play model by model; assemblies are drawn as instanced copies
+    modelControls = createModelControls(toolbar, { representations, onAssemblyChange: frameMolecule });
+
+    // Sequence track: hover/click residues there or in the scene, drag over a range to zoom onto it
+    sequencePanel = createSequencePanel(toolbar, { group: moleculeGroup, representations, inspector, camera, controls });
+
+    // Labels for residues, chains or ligands, and notes on the picked atom (kept per PDB ID);
+    // they turn with the molecule but always face the camera
+    annotations = createAnnotationTool(toolbar, { group: moleculeGroup, getSelectedAtom: () => inspector.selected() });
+
+    // Coloring: a static scheme, with the wave on top when enabled
+    const { wave: waveLabel, ...staticSchemes } = colorSchemeOptions();
+    delete staticSchemes.deviation; // Needs a superposition, which only testing.js does
+    ui.colorScheme = addSelect(toolbar, 'Color', staticSchemes, colorSchemeId, (id) => {
+        colorSchemeId = id;
+        updateColorScheme();
+    });
+    ui.wave = addCheckbox(toolbar, waveLabel, colorWaveEnabled, (enabled) => {
+        colorWaveEnabled = enabled;
+        updateColorScheme();
+    });
+    ui.waveSpeed = addRange(toolbar, 'Speed', { min: 0, max: 2, step: 0.05, value: colorWaveSpeed }, (value) => { colorWaveSpeed = value; });
+    ui.waveFrequency = addRange(toolbar, 'Frequency', { min: 0.02, max: 2, step: 0.02, value: colorWaveFrequency }, (value) => { colorWaveFrequency = value; });
+
+    // Typed selections, e.g. "chain A and resi 10-50" or "within 5 of ligand", which can also
+    // get a representation layer of their own
+    layerPanel = createLayerPanel(toolbar, { representations });
+    selection = createSelectionTool(toolbar, {
+        group: moleculeGroup,
+        representations,
+        getStructure: () => structure,
+        onColorsChanged: updateColorScheme,
+        layers: layerPanel
+    });
 
-    // Load PDB
-    loadMolecule(pdbUrl);
+    // The whole view can be shared as a link or saved as a session file
+    addViewStateControls(toolbar, {
+        getState: getViewState,
+        applyState: applyViewState,
+        sessionName: () => (structure && structure.id ? structure.id : 'session'),
+        onError: showViewStateError
+    });
 
-    // Handle window resize
-    window.addEventListener('resize', onWindowResize);
+    // Depth aids for crowded structures: fog, ambient occlusion, outlines, a clipping slab.
+    // Starts on the fast look, the wave animation already redraws every frame
+    effects = createRenderEffects(view, toolbar, { group: moleculeGroup, preset: 'fast' });
+
+    // PNG snapshots at any size and turntable recordings of the rotation (and the wave)
+    const exporter = createExportTool(toolbar, {
+        renderer,
+        scene,
+        camera,
+        name: () => (structure && structure.id ? structure.id : 'molecule'),
+        turntable: createTurntable(),
+        createFrames: effects.createExportFrames // Exports keep the occlusion and outlines
+    });
+    addCheckbox(exporter.turntableOptions, 'Include color wave', exportWave, (enabled) => { exportWave = enabled; });
+    legend = createLegend();
+    stats = createStatsOverlay(renderer);
+    stats.setVisible(showStats);
+
+    // Load PDB, or everything a shared link describes
+    const sharedState = readViewStateFromHash();
+    if (sharedState) {
+        applyViewState(sharedState).catch(showViewStateError);
+    } else {
+        loadFrom(resolveSource);
+    }
 
     // Start animation loop
-    animate();
+    view.start();
 }
 
 // --- Load PDB Data ---
-function loadMolecule(url) {
-    const loader = new PDBLoader();
+// Resolves with true once the structure is shown (false if it failed or a newer load won).
+function loadMolecule(source) {
     const infoDiv = document.getElementById('info');
+    const sourceLabel = describeSource(source);
+    const loadId = ++loadCounter;
+    infoDiv.textContent = `Loading ${sourceLabel}...`;
 
-    loader.load(url, (pdb) => {
-        infoDiv.textContent = `PDB: ${pdbId} Loaded. Atoms: ${pdb.geometryAtoms.getAttribute('position').count}`;
-        console.log("PDB Loaded:", pdb);
-
-        const geometryAtoms = pdb.geometryAtoms;
-        const geometryBonds = pdb.geometryBonds;
-        const json = pdb.json;
-
-        // --- Atoms ---
-        // Use InstancedMesh for performance if available (PDBLoader might already do this)
-        // For simplicity here, we'll assume it might create regular Meshes or InstancedMeshes
-        // We need to ensure materials support vertex/instance colors for the effect.
-
-        // Calculate bounding box for color mapping
-        geometryAtoms.computeBoundingBox();
-        const bbox = geometryAtoms.boundingBox;
-        const yMin = bbox.min.y;
-        const yMax = bbox.max.y;
-        const yRange = yMax - yMin;
-
-        // Material for Atoms (allowing color changes)
-        const atomMaterial = new THREE.MeshPhongMaterial({
-            vertexColors: true, // Enable vertex/instance colors
-            shininess: 100
-        });
-
-        const atomMesh = new THREE.Mesh(geometryAtoms, atomMaterial);
-        moleculeGroup.add(atomMesh);
-        atomMeshes.push({ mesh: atomMesh, geometry: geometryAtoms, yMin: yMin, yRange: yRange }); // Store for color update
-
-        // --- Bonds ---
-        // Material for Bonds (can be simple or also colored if desired)
-        const bondMaterial = new THREE.LineBasicMaterial({
-             vertexColors: true, // Allow bond colors if PDB provides them
-             linewidth: 1 // Note: linewidth > 1 might not work on all platforms
-        });
-        const bondLines = new THREE.LineSegments(geometryBonds, bondMaterial);
-        moleculeGroup.add(bondLines);
-
-
-        // Center the molecule and adjust camera
-        const center = new THREE.Vector3();
-        bbox.getCenter(center);
-        moleculeGroup.position.sub(center); // Move group so its center is at origin
-
-        // Adjust camera distance based on molecule size
-        const sphere = new THREE.Sphere();
-        bbox.getBoundingSphere(sphere);
-        camera.position.z = sphere.radius * 2.5; // Adjust multiplier as needed
-        controls.target.copy(moleculeGroup.position); // Point controls at the molecule center
-        controls.update();
-
-    }, (xhr) => {
+    return readSource(source, (xhr) => {
         // Progress callback
-        if (xhr.lengthComputable) {
+        if (xhr.lengthComputable && loadId === loadCounter) {
             const percentComplete = xhr.loaded / xhr.total * 100;
-            infoDiv.textContent = `Loading PDB: ${pdbId}... ${Math.round(percentComplete, 2)}%`;
+            infoDiv.textContent = `Loading ${sourceLabel}... ${Math.round(percentComplete)}%`;
         }
-    }, (err) => {
+    }).then((text) => {
+        if (loadId !== loadCounter) return null; // A newer structure was requested meanwhile
+        infoDiv.textContent = `Parsing ${sourceLabel}...`;
+        return parseStructureAsync(text, source.name); // PDB or mmCIF, same output shape
+    }).then((pdb) => {
+        if (!pdb || loadId !== loadCounter) return false;
+
+        clearMolecule();
+        infoDiv.textContent = `${sourceLabel} Loaded. Atoms: ${pdb.geometryAtoms.getAttribute('position').count}`;
+        console.log("PDB Loaded:", pdb);
+
+        // --- Atoms ---
+        // The representation layers draw the atoms; the per-atom colors are filled in by the
+        // color schemes and copied into the layers after every update.
+        structure = pdb.structure;
+        stats.setAtomCount(structure.atoms.length);
+        currentSource = source;
+        atomColors = new Float32Array(structure.atoms.length * 3);
+        representations.setStructure(structure, atomColors);
+        modelControls.setStructure(structure);
+        sequencePanel.setStructure(structure);
+        updateColorScheme();
+        inspector.setStructure(structure);
+        annotations.setStructure(structure);
+        frameMolecule();
+        return true;
+
+    }).catch((err) => {
         // Error callback
         console.error('Error loading PDB file:', err);
-        infoDiv.textContent = `Error loading PDB: ${pdbId}`;
+        if (loadId === loadCounter) infoDiv.textContent = `Error loading ${sourceLabel}`;
+        return false;
     });
 }
 
-// --- Update Atom Colors ---
-function updateColors(time) {
-    const color = new THREE.Color(); // Reusable color object
-
-    atomMeshes.forEach(item => {
-        const mesh = item.mesh;
-        const geometry = item.geometry;
-        const yMin = item.yMin;
-        const yRange = item.yRange;
-        const positions = geometry.attributes.position;
-        const colorsAttribute = geometry.attributes.color; // Get color attribute
-
-        if (!colorsAttribute) {
-             console.warn("Geometry missing color attribute for dynamic coloring.");
-             return; // Cannot proceed without color attribute
-        }
-
-        const count = positions.count;
+// Typed IDs and ?pdb= can be malformed (see sourceFromPdbId()): report it instead of loading
+function loadFrom(getSource) {
+    let source;
+    try {
+        source = getSource();
+    } catch (err) {
+        const infoDiv = document.getElementById('info');
+        if (infoDiv) infoDiv.textContent = err.message;
+        return Promise.resolve(false);
+    }
+    return loadMolecule(source);
+}
 
-        for (let i = 0; i < count; i++) {
-            const y = positions.getY(i);
+// --- Center the molecule and adjust camera ---
+// Fits what is drawn: the shown model, or the whole biological assembly
+function frameMolecule() {
+    // Calculate bounding box for centering
+    const bbox = representations.boundingBox();
+    if (bbox.isEmpty()) return;
+
+    // Center the molecule and adjust camera
+    const center = new THREE.Vector3();
+    bbox.getCenter(center);
+    effects.setBounds(bbox); // Fog and slab follow the molecule's size
+    moleculeGroup.position.copy(center).negate(); // Move group so its center is at origin
+
+    // Adjust camera distance based on molecule size
+    const sphere = new THREE.Sphere();
+    bbox.getBoundingSphere(sphere);
+    camera.position.z = sphere.radius * 2.5; // Adjust multiplier as needed
+    controls.target.copy(moleculeGroup.position); // Point controls at the molecule center
+    controls.update();
+}
 
-            // Normalize Y position (0 to 1) relative to the molecule's height
-            const normalizedY = (yRange > 0) ? (y - yMin) / yRange : 0.5;
+// --- View state (see view-state.js) ---
+function getViewState() {
+    const picked = inspector.selected();
+    return {
+        version: VIEW_STATE_VERSION,
+        source: currentSource ? sourceToJSON(currentSource) : null,
+        camera: cameraToJSON(camera, controls),
+        rotation: { enabled: rotationEnabled, angle: moleculeGroup.rotation.y % (Math.PI * 2) },
+        layers: [...representations.layers.filter((layer) => !layer.expression).map(({ label, type }) => ({ label, type })), ...layerPanel.state()],
+        color: {
+            scheme: colorSchemeId,
+            wave: { enabled: colorWaveEnabled, speed: colorWaveSpeed, frequency: colorWaveFrequency }
+        },
+        models: modelControls.state(),
+        selections: selection.history(),
+        picked: picked ? picked.index : null,
+        measurements: [] // This viewer has no measurement tool
+    };
+}
 
-            // Calculate hue based on normalized position and time (wave effect)
-            // The modulo (%) ensures the hue cycles from 0 to 1
-            const hue = (normalizedY * colorWaveFrequency + time * colorWaveSpeed) % 1.0;
+// Loads the state's structure when it isn't shown yet, then restores the rest on top of it.
+function applyViewState(state) {
+    const sameSource = currentSource && state.source && JSON.stringify(sourceToJSON(currentSource)) === JSON.stringify(state.source);
+    const source = sameSource ? null : sourceFromJSON(state.source);
+    let loading = Promise.resolve(Boolean(sameSource && structure));
+    if (source) {
+        loading = loadMolecule(source);
+    } else if (!sameSource) {
+        // A local file can't be fetched again: keep (or load) a structure and restore only the view
+        if (state.source) document.getElementById('info').textContent = `Open ${state.source.name} to restore this session`;
+        if (!structure) loadFrom(resolveSource);
+    }
 
-            // Set color using HSL (Hue, Saturation, Lightness)
-            color.setHSL(hue, 1.0, 0.5); // Full saturation, medium lightness
+    return loading.then((loaded) => {
+        // Style, selection layers, colors and rotation apply to any structure
+        layerPanel.applyState(state.layers);
+        const [layer] = representations.layers;
+        const style = state.layers && state.layers[0] && state.layers[0].type;
+        if (Object.hasOwn(REPRESENTATION_TYPES, style)) {
+            representations.setType(layer, style);
+            ui.style.value = style;
+        }
+        if (state.color) {
+            if (Object.hasOwn(colorSchemeOptions(), state.color.scheme)) colorSchemeId = ui.colorScheme.value = state.color.scheme;
+            if (state.color.wave) {
+                colorWaveEnabled = ui.wave.checked = state.color.wave.enabled !== false;
+                colorWaveSpeed = ui.waveSpeed.value = finiteNumber(state.color.wave.speed, defaultWave.speed, { min: 0 });
+                colorWaveFrequency = ui.waveFrequency.value = finiteNumber(state.color.wave.frequency, defaultWave.frequency, { min: 0 });
+            }
+        }
+        if (state.rotation) {
+            rotationEnabled = ui.rotate.checked = Boolean(state.rotation.enabled);
+            moleculeGroup.rotation.y = finiteNumber(state.rotation.angle, moleculeGroup.rotation.y);
+        }
 
-            // Apply color to the attribute
-            colorsAttribute.setXYZ(i, color.r, color.g, color.b);
+        // Atom indices only mean something for the structure the state was saved with
+        if (loaded && structure) {
+            modelControls.applyState(state.models);
+            selection.reset();
+            for (const { action, expression, color } of state.selections || []) selection.apply(expression, action, color);
+            inspector.select(Number.isInteger(state.picked) && structure.atoms[state.picked] ? structure.atoms[state.picked] : null);
         }
+        updateColorScheme();
+        applyCameraJSON(camera, controls, state.camera);
+    });
+}
 
-        // IMPORTANT: Tell Three.js the color attribute needs to be updated on the GPU
-        colorsAttribute.needsUpdate = true;
+function showViewStateError(err) {
+    console.error('Could not restore the view:', err);
+    document.getElementById('info').textContent = `Could not restore the view: ${err.message}`;
+}
+
+// --- Remove the current molecule before showing another one ---
+function clearMolecule() {
+    inspector.setStructure(null); // Drops the selection and its highlight
+    sequencePanel.setStructure(null);
+    selection.clear();
+    annotations.setStructure(null); // Takes the labels off the page
+    moleculeGroup.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
     });
+    moleculeGroup.clear();
 }
 
+// --- Pick the active color scheme ---
+function updateColorScheme() {
+    if (!structure) return;
+    colorScheme = prepareColorScheme(colorSchemeId, structure);
+    waveScheme = prepareColorScheme('wave', structure);
+    showLegend(legend, colorWaveEnabled ? waveScheme.legend : colorScheme.legend);
+
+    // The static colors are uploaded once; the wave is drawn over them on the GPU, except on
+    // atoms given their own color by a typed selection
+    const painted = new Uint8Array(structure.atoms.length);
+    representations.applyColors(selection.paint(colorScheme.fill(atomColors), painted));
+    representations.setColorWaveExcluded(painted);
+    updateColors(clock.getElapsedTime());
+}
+
+// --- Update Atom Colors ---
+// Only moves the wave along (uniforms, see color-wave.js); no colors are re-uploaded per frame.
+function updateColors(time) {
+    if (!structure) return;
+    representations.setColorWave(colorWaveEnabled ? { time, speed: colorWaveSpeed, frequency: colorWaveFrequency } : null);
+}
+
+
+// --- Turntable recording (see export.js) ---
+// One loop is a full turn at rotationSpeed; the wave keeps its speed and restarts where it was.
+function createTurntable() {
+    let startAngle = 0;
+    let startTime = 0;
+    return {
+        duration: () => (Math.PI * 2) / rotationSpeed,
+        start() {
+            exporting = true;
+            controls.enabled = false;
+            startAngle = moleculeGroup.rotation.y;
+            startTime = clock.getElapsedTime();
+        },
+        step(fraction, time) {
+            moleculeGroup.rotation.y = startAngle + fraction * Math.PI * 2;
+            if (exportWave) updateColors(startTime + time);
+        },
+        finish() {
+            moleculeGroup.rotation.y = startAngle;
+            controls.enabled = true;
+            exporting = false;
+        }
+    };
+}
 
 // --- Animation Loop ---
+// Runs before every render (see viewer-scene.js)
 function animate() {
-    requestAnimationFrame(animate);
-
     const deltaTime = clock.getDelta();
     const elapsedTime = clock.getElapsedTime();
 
-    // Update controls
-    controls.update();
+    // Next model of a playing ensemble or trajectory
+    modelControls.update();
 
-    // Slowly rotate the molecule group
-    if (moleculeGroup) {
-        moleculeGroup.rotation.y += rotationSpeed * deltaTime;
+    // Slowly rotate the molecule group and update colors for the wave effect
+    // (a turntable recording sets both itself)
+    if (!exporting) {
+        if (moleculeGroup && rotationEnabled) {
+            moleculeGroup.rotation.y += rotationSpeed * deltaTime;
+        }
+        updateColors(elapsedTime);
     }
-
-    // Update colors for the wave effect
-    updateColors(elapsedTime);
-
-    // Render the scene
-    renderer.render(scene, camera);
-}
-
-// --- Handle Window Resize ---
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
 // --- Start ---
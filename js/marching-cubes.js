@@ -0,0 +1,112 @@
+// Isosurface extraction on a regular grid, using the classic tables that ship with
+// three's MarchingCubes object (which itself only works on its own fixed-size field).
+// The tables are passed in rather than imported so the module also runs in workers, where the
+// page's import map (and with it 'three') isn't available; see density-worker.js.
+
+// Cube corners (x, y, z offsets) and edges in the order the tables expect
+const CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const EDGES = [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]];
+
+// --- Extraction ---
+// grid: { values: Float32Array (x fastest, then y, then z), dims: [nx, ny, nz], origin: [x, y, z], spacing: [sx, sy, sz] }
+// Returns non-indexed triangles: positions, normals (pointing towards lower values) and, per vertex,
+// the index of the closest grid point, so callers can carry per-point data (e.g. the owning atom) over.
+// tables: { edgeTable, triTable } from three/addons/objects/MarchingCubes.js.
+export function extractIsosurface(grid, isoLevel, { edgeTable, triTable }) {
+    const { values, dims, origin, spacing } = grid;
+    const [nx, ny, nz] = dims;
+    const strideY = nx;
+    const strideZ = nx * ny;
+
+    const positions = [];
+    const normals = [];
+    const gridIndices = [];
+
+    const cornerIndex = new Int32Array(8);
+    const cornerValue = new Float32Array(8);
+    const edgeVertex = new Float32Array(12 * 3);
+    const edgeNormal = new Float32Array(12 * 3);
+    const edgeGrid = new Int32Array(12);
+    const gradientA = [0, 0, 0];
+    const gradientB = [0, 0, 0];
+
+    for (let z = 0; z < nz - 1; z++) {
+        for (let y = 0; y < ny - 1; y++) {
+            for (let x = 0; x < nx - 1; x++) {
+                let cubeIndex = 0;
+                for (let c = 0; c < 8; c++) {
+                    const corner = CORNERS[c];
+                    cornerIndex[c] = (x + corner[0]) + (y + corner[1]) * strideY + (z + corner[2]) * strideZ;
+                    cornerValue[c] = values[cornerIndex[c]];
+                    if (cornerValue[c] < isoLevel) cubeIndex |= 1 << c;
+                }
+
+                const edges = edgeTable[cubeIndex];
+                if (edges === 0) continue; // Cube entirely inside or outside
+
+                for (let e = 0; e < 12; e++) {
+                    if (!(edges & (1 << e))) continue;
+                    const [a, b] = EDGES[e];
+                    const va = cornerValue[a];
+                    const vb = cornerValue[b];
+                    const t = va === vb ? 0.5 : (isoLevel - va) / (vb - va);
+
+                    const ca = CORNERS[a];
+                    const cb = CORNERS[b];
+                    edgeVertex[e * 3] = origin[0] + (x + ca[0] + (cb[0] - ca[0]) * t) * spacing[0];
+                    edgeVertex[e * 3 + 1] = origin[1] + (y + ca[1] + (cb[1] - ca[1]) * t) * spacing[1];
+                    edgeVertex[e * 3 + 2] = origin[2] + (z + ca[2] + (cb[2] - ca[2]) * t) * spacing[2];
+
+                    gradient(values, dims, cornerIndex[a], gradientA);
+                    gradient(values, dims, cornerIndex[b], gradientB);
+                    const gx = gradientA[0] + (gradientB[0] - gradientA[0]) * t;
+                    const gy = gradientA[1] + (gradientB[1] - gradientA[1]) * t;
+                    const gz = gradientA[2] + (gradientB[2] - gradientA[2]) * t;
+                    const length = Math.hypot(gx, gy, gz) || 1;
+                    edgeNormal[e * 3] = -gx / length;
+                    edgeNormal[e * 3 + 1] = -gy / length;
+                    edgeNormal[e * 3 + 2] = -gz / length;
+
+                    edgeGrid[e] = t < 0.5 ? cornerIndex[a] : cornerIndex[b];
+                }
+
+                const base = cubeIndex * 16;
+                for (let i = 0; triTable[base + i] !== -1; i += 3) {
+                    // With bits set for corners below the level, table order faces towards lower values
+                    for (let k = 0; k < 3; k++) {
+                        const e = triTable[base + i + k];
+                        positions.push(edgeVertex[e * 3], edgeVertex[e * 3 + 1], edgeVertex[e * 3 + 2]);
+                        normals.push(edgeNormal[e * 3], edgeNormal[e * 3 + 1], edgeNormal[e * 3 + 2]);
+                        gridIndices.push(edgeGrid[e]);
+                    }
+                }
+            }
+        }
+    }
+
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        gridIndices: new Int32Array(gridIndices)
+    };
+}
+
+// --- Helpers ---
+// Central differences in grid units, one-sided at the grid border
+function gradient(values, dims, index, out) {
+    const nx = dims[0];
+    const nxy = nx * dims[1];
+    const x = index % nx;
+    const y = Math.floor(index / nx) % dims[1];
+    const z = Math.floor(index / nxy);
+    out[0] = difference(values, index, 1, x, dims[0]);
+    out[1] = difference(values, index, nx, y, dims[1]);
+    out[2] = difference(values, index, nxy, z, dims[2]);
+    return out;
+}
+
+function difference(values, index, stride, coord, size) {
+    const lo = coord > 0 ? index - stride : index;
+    const hi = coord < size - 1 ? index + stride : index;
+    return hi === lo ? 0 : (values[hi] - values[lo]) / ((hi - lo) / stride);
+}
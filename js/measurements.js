@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import { atomLabel } from './structure-model.js';
+import { createHighlight } from './picking.js';
+import { createLabel } from './labels.js';
+import { createPanel, addButton } from './viewer-ui.js';
+
+// Distances, angles and dihedrals between picked atoms. Each measurement is a dashed line
+// through its atoms plus a floating label, both children of the molecule group so they
+// turn and move with the molecule. The list lives in a side panel and can be saved as CSV.
+
+// --- Configuration ---
+export const MEASUREMENT_TYPES = {
+    distance: { label: 'Distance', atoms: 2, unit: 'Å' },
+    angle: { label: 'Angle', atoms: 3, unit: '°' },
+    dihedral: { label: 'Dihedral', atoms: 4, unit: '°' }
+};
+const LINE_COLOR = 0xffe066;
+const PENDING_COLOR = 0x66ccff; // Shells around atoms picked for an unfinished measurement
+const PENDING_RADIUS = 0.6;
+
+// --- Geometry ---
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _n1 = new THREE.Vector3();
+const _n2 = new THREE.Vector3();
+
+export function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Angle at b, in degrees
+export function angle(a, b, c) {
+    _a.set(a.x - b.x, a.y - b.y, a.z - b.z);
+    _b.set(c.x - b.x, c.y - b.y, c.z - b.z);
+    return THREE.MathUtils.radToDeg(_a.angleTo(_b));
+}
+
+// Torsion around the b-c bond in degrees (-180..180, IUPAC sign convention)
+export function dihedral(a, b, c, d) {
+    _a.set(b.x - a.x, b.y - a.y, b.z - a.z);
+    _b.set(c.x - b.x, c.y - b.y, c.z - b.z);
+    _c.set(d.x - c.x, d.y - c.y, d.z - c.z);
+    _n1.crossVectors(_a, _b);
+    _n2.crossVectors(_b, _c);
+    const y = _a.crossVectors(_n1, _n2).dot(_b.normalize());
+    return THREE.MathUtils.radToDeg(Math.atan2(y, _n1.dot(_n2)));
+}
+
+export function measure(type, atoms) {
+    switch (type) {
+        case 'distance': return distance(...atoms);
+        case 'angle': return angle(...atoms);
+        case 'dihedral': return dihedral(...atoms);
+        default: throw new Error(`Unknown measurement: ${type}`);
+    }
+}
+
+export function formatMeasurement(measurement) {
+    const { unit } = MEASUREMENT_TYPES[measurement.type];
+    return `${measurement.value.toFixed(measurement.type === 'distance' ? 2 : 1)} ${unit}`;
+}
+
+// --- CSV ---
+// One row per measurement; unused atom columns stay empty.
+export function measurementsToCsv(measurements) {
+    const rows = [['type', 'atom1', 'atom2', 'atom3', 'atom4', 'value', 'unit']];
+    for (const measurement of measurements) {
+        const atoms = measurement.atoms.map(atomLabel);
+        while (atoms.length < 4) atoms.push('');
+        rows.push([measurement.type, ...atoms, measurement.value.toFixed(3), MEASUREMENT_TYPES[measurement.type].unit]);
+    }
+    return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function csvField(value) {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// --- Tool ---
+// Collects clicked atoms while a mode is active and creates a measurement once enough are picked.
+// Returns { measurements, mode, setMode(type | null), addAtom(atom | null), add(type, atoms), remove(measurement), clear() }.
+export function createMeasurementTool(group) {
+    const measurements = [];
+    const pendingHighlight = createHighlight(group, PENDING_COLOR);
+    const panel = createPanel('Measurements');
+    let pending = [];
+    let nextId = 1;
+
+    const tool = {
+        measurements,
+        mode: null,
+
+        setMode(type) {
+            tool.mode = type;
+            pending = [];
+            pendingHighlight.clear();
+        },
+
+        // Clicking empty space (atom = null) drops the atoms picked so far
+        addAtom(atom) {
+            if (!tool.mode) return;
+            if (!atom) {
+                pending = [];
+                pendingHighlight.clear();
+                return;
+            }
+            if (pending.includes(atom)) return;
+            pending.push(atom);
+            if (pending.length < MEASUREMENT_TYPES[tool.mode].atoms) {
+                pendingHighlight.show(pending, () => PENDING_RADIUS);
+                return;
+            }
+            tool.add(tool.mode, pending);
+            pending = [];
+            pendingHighlight.clear();
+        },
+
+        add(type, atoms) {
+            const measurement = { id: nextId++, type, atoms: [...atoms], value: measure(type, atoms) };
+            measurement.object = buildMeasurementObject(measurement);
+            group.add(measurement.object);
+            measurements.push(measurement);
+            updatePanel();
+            return measurement;
+        },
+
+        remove(measurement) {
+            measurements.splice(measurements.indexOf(measurement), 1);
+            disposeObject(measurement.object);
+            updatePanel();
+        },
+
+        // Needed before another structure is loaded: the atoms belong to the old one
+        clear() {
+            measurements.forEach((measurement) => disposeObject(measurement.object));
+            measurements.length = 0;
+            tool.setMode(tool.mode);
+            updatePanel();
+        }
+    };
+
+    function updatePanel() {
+        panel.body.replaceChildren();
+        for (const measurement of measurements) {
+            const row = document.createElement('div');
+            row.className = 'viewer-panel-row';
+            const text = document.createElement('span');
+            text.textContent = `${MEASUREMENT_TYPES[measurement.type].label} ${formatMeasurement(measurement)}`;
+            text.title = measurement.atoms.map(atomLabel).join(' – ');
+            row.appendChild(text);
+            addButton(row, 'Delete', () => tool.remove(measurement));
+            panel.body.appendChild(row);
+        }
+        if (measurements.length > 0) panel.open(); else panel.close();
+    }
+
+    return tool;
+}
+
+// Dashed polyline through the atoms, with the value shown at the middle of the measured feature
+function buildMeasurementObject(measurement) {
+    const points = measurement.atoms.map((atom) => new THREE.Vector3(atom.x, atom.y, atom.z));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineDashedMaterial({ color: LINE_COLOR, dashSize: 0.3, gapSize: 0.2, depthTest: false });
+    const line = new THREE.Line(geometry, material);
+    line.computeLineDistances();
+    line.renderOrder = 2; // Drawn over the atoms
+
+    const label = createLabel(formatMeasurement(measurement), 'viewer-label viewer-measurement-label');
+    if (measurement.type === 'angle') {
+        label.position.copy(points[1]); // The vertex
+    } else {
+        const middle = Math.floor((points.length - 1) / 2); // Distance: a-b, dihedral: the b-c bond
+        label.position.lerpVectors(points[middle], points[middle + 1], 0.5);
+    }
+
+    const object = new THREE.Group();
+    object.name = `measurement-${measurement.id}`;
+    object.add(line, label);
+    return object;
+}
+
+function disposeObject(object) {
+    object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+        if (child.isCSS2DObject) child.element.remove(); // Only removed automatically when the label itself is detached
+    });
+    object.removeFromParent();
+}
@@ -0,0 +1,359 @@
+import { multiplyOperators, parseOperatorExpression } from './assemblies.js';
+
+// mmCIF / PDBx reader. RCSB only publishes large assemblies and most cryo-EM entries in this format.
+// Only plain records come out of here (no three.js), so it also runs in the parser worker;
+// MMCIFLoader in structure-parser.js turns them into PDBLoader's { geometryAtoms, geometryBonds, json }.
+
+// --- Generic CIF Parsing ---
+// Returns [{ name, categories: { atom_site: { rowCount, fields: { Cartn_x: [...], ... } } } }].
+// Unquoted '.' and '?' (inapplicable / unknown) are stored as null.
+export function parseCif(text) {
+    const tokenizer = createTokenizer(text);
+    const blocks = [];
+    let block = null;
+    let token = tokenizer.next();
+
+    while (token !== null) {
+        const isKeyword = !tokenizer.quoted;
+
+        if (isKeyword && /^data_/i.test(token)) {
+            block = { name: token.slice(5), categories: {} };
+            blocks.push(block);
+            token = tokenizer.next();
+        } else if (!block) {
+            throw new Error(`CIF line ${tokenizer.line}: "${token}" found before the first data_ block`);
+        } else if (isKeyword && token.toLowerCase() === 'loop_') {
+            // Header: the list of tags, then the values row by row
+            const tags = [];
+            token = tokenizer.next();
+            while (token !== null && !tokenizer.quoted && token[0] === '_') {
+                tags.push(token);
+                token = tokenizer.next();
+            }
+            if (tags.length === 0) throw new Error(`CIF line ${tokenizer.line}: loop_ without tags`);
+
+            const columns = tags.map((tag) => addField(block, tag));
+            let column = 0;
+            while (token !== null && (tokenizer.quoted || !isReserved(token))) {
+                columns[column].push(toValue(token, tokenizer.quoted));
+                column = (column + 1) % columns.length;
+                token = tokenizer.next();
+            }
+            if (column !== 0) throw new Error(`CIF line ${tokenizer.line}: loop of ${tags[0]} has an incomplete row`);
+            setRowCount(block, tags[0], columns[0].length);
+        } else if (isKeyword && token[0] === '_') {
+            const tag = token;
+            const value = tokenizer.next();
+            if (value === null) throw new Error(`CIF: missing value for ${tag}`);
+            addField(block, tag).push(toValue(value, tokenizer.quoted));
+            setRowCount(block, tag, 1);
+            token = tokenizer.next();
+        } else {
+            throw new Error(`CIF line ${tokenizer.line}: unexpected value "${token}"`);
+        }
+    }
+
+    return blocks;
+}
+
+// First column found among the given item names, e.g. column(atomSite, 'auth_asym_id', 'label_asym_id').
+export function column(category, ...names) {
+    for (const name of names) {
+        if (category.fields[name]) return category.fields[name];
+    }
+    return null;
+}
+
+// --- Atom Records ---
+// Flat atom records with the same field names as the PDB parser:
+// { serial, name, altLoc, resName, chainId, resSeq, iCode, x, y, z, occupancy, bFactor, element, hetero, model }
+// plus bonds as [atomIndexA, atomIndexB] pairs from _struct_conn (the mmCIF counterpart of CONECT)
+// and helix/sheet ranges from _struct_conf / _struct_sheet_range (HELIX / SHEET).
+// Biological assemblies come from _pdbx_struct_assembly(_gen) / _pdbx_struct_oper_list (see assemblies.js),
+// chain sequences from _pdbx_poly_seq_scheme (SEQRES) as { chainId, residues: [{ name, seq, iCode }] }.
+export function parseMmcifAtoms(text) {
+    const block = parseCif(text)[0];
+    const atomSite = block && block.categories.atom_site;
+    if (!atomSite) throw new Error('mmCIF: no _atom_site category found');
+
+    const group = column(atomSite, 'group_PDB');
+    const serial = column(atomSite, 'id');
+    const element = column(atomSite, 'type_symbol');
+    const atomName = column(atomSite, 'auth_atom_id', 'label_atom_id');
+    const altLoc = column(atomSite, 'label_alt_id');
+    const resName = column(atomSite, 'auth_comp_id', 'label_comp_id');
+    const chainId = column(atomSite, 'auth_asym_id', 'label_asym_id');
+    const resSeq = column(atomSite, 'auth_seq_id', 'label_seq_id');
+    const iCode = column(atomSite, 'pdbx_PDB_ins_code');
+    const x = column(atomSite, 'Cartn_x');
+    const y = column(atomSite, 'Cartn_y');
+    const z = column(atomSite, 'Cartn_z');
+    const occupancy = column(atomSite, 'occupancy');
+    const bFactor = column(atomSite, 'B_iso_or_equiv');
+    const model = column(atomSite, 'pdbx_PDB_model_num');
+    const labelChainId = column(atomSite, 'label_asym_id');
+
+    if (!x || !y || !z) throw new Error('mmCIF: _atom_site has no Cartn_x/y/z coordinates');
+
+    const atoms = [];
+    for (let i = 0; i < atomSite.rowCount; i++) {
+        const name = atomName ? atomName[i] || '' : '';
+        atoms.push({
+            serial: serial ? parseInt(serial[i], 10) : i + 1,
+            name,
+            altLoc: altLoc ? altLoc[i] || '' : '',
+            resName: resName ? resName[i] || '' : '',
+            chainId: chainId ? chainId[i] || '' : '',
+            resSeq: resSeq ? parseInt(resSeq[i], 10) || 0 : 0,
+            iCode: iCode ? iCode[i] || '' : '',
+            x: parseFloat(x[i]),
+            y: parseFloat(y[i]),
+            z: parseFloat(z[i]),
+            occupancy: occupancy ? parseFloat(occupancy[i]) : 1,
+            bFactor: bFactor ? parseFloat(bFactor[i]) : 0,
+            element: element && element[i] ? element[i] : name.charAt(0),
+            hetero: group ? group[i] === 'HETATM' : false,
+            model: model ? parseInt(model[i], 10) : 1
+        });
+    }
+
+    // Assemblies list label_asym_ids; the atoms carry the author chain IDs
+    const authorChains = new Map();
+    if (labelChainId) {
+        atoms.forEach((atom, i) => {
+            if (labelChainId[i] && !authorChains.has(labelChainId[i])) authorChains.set(labelChainId[i], atom.chainId);
+        });
+    }
+
+    return {
+        atoms,
+        bonds: parseStructConn(block, atoms),
+        secondaryStructure: [
+            ...parseRanges(block.categories.struct_conf, 'helix'),
+            ...parseRanges(block.categories.struct_sheet_range, 'sheet')
+        ],
+        assemblies: parseAssemblies(block, authorChains),
+        sequences: parseSequences(block)
+    };
+}
+
+// Residue numbers are the author ones, so observed residues can be found by number
+function parseSequences(block) {
+    const scheme = block.categories.pdbx_poly_seq_scheme;
+    if (!scheme) return [];
+    const chain = column(scheme, 'pdb_strand_id', 'asym_id');
+    const name = column(scheme, 'mon_id');
+    const seq = column(scheme, 'pdb_seq_num', 'seq_id');
+    const iCode = column(scheme, 'pdb_ins_code');
+    if (!chain || !name || !seq) return [];
+
+    const sequences = new Map();
+    for (let i = 0; i < scheme.rowCount; i++) {
+        if (!sequences.has(chain[i])) sequences.set(chain[i], { chainId: chain[i], residues: [] });
+        sequences.get(chain[i]).residues.push({ name: name[i], seq: parseInt(seq[i], 10), iCode: iCode ? iCode[i] || '' : '' });
+    }
+    return Array.from(sequences.values());
+}
+
+function parseRanges(category, type) {
+    if (!category) return [];
+    const confType = column(category, 'conf_type_id');
+    const chain = column(category, 'beg_auth_asym_id', 'beg_label_asym_id');
+    const startSeq = column(category, 'beg_auth_seq_id', 'beg_label_seq_id');
+    const endSeq = column(category, 'end_auth_seq_id', 'end_label_seq_id');
+    const startICode = column(category, 'pdbx_beg_PDB_ins_code');
+    const endICode = column(category, 'pdbx_end_PDB_ins_code');
+    if (!chain || !startSeq || !endSeq) return [];
+
+    const ranges = [];
+    for (let i = 0; i < category.rowCount; i++) {
+        // struct_conf also lists turns; only helices are drawn as such
+        if (confType && confType[i] && !confType[i].startsWith('HELX')) continue;
+        ranges.push({
+            type,
+            chainId: chain[i],
+            startSeq: parseInt(startSeq[i], 10),
+            startICode: startICode ? startICode[i] || '' : '',
+            endSeq: parseInt(endSeq[i], 10),
+            endICode: endICode ? endICode[i] || '' : ''
+        });
+    }
+    return ranges;
+}
+
+function parseAssemblies(block, authorChains) {
+    const gen = block.categories.pdbx_struct_assembly_gen;
+    const operList = block.categories.pdbx_struct_oper_list;
+    if (!gen || !operList || !column(operList, 'id')) return [];
+
+    // Operators by id, as 3x4 row-major matrices
+    const operators = new Map();
+    const operId = column(operList, 'id');
+    const number = (name, i) => (operList.fields[name] ? parseFloat(operList.fields[name][i]) : NaN);
+    for (let i = 0; i < operList.rowCount; i++) {
+        const matrix = [];
+        for (let row = 1; row <= 3; row++) {
+            for (let col = 1; col <= 3; col++) matrix.push(number(`matrix[${row}][${col}]`, i));
+            matrix.push(number(`vector[${row}]`, i));
+        }
+        if (matrix.every(Number.isFinite)) operators.set(operId[i], matrix);
+    }
+
+    const assemblies = [];
+    const byId = new Map();
+    const info = block.categories.pdbx_struct_assembly;
+    if (info) {
+        const id = column(info, 'id');
+        const details = column(info, 'oligomeric_details', 'details');
+        for (let i = 0; i < info.rowCount; i++) {
+            const assembly = { id: id[i], details: details ? details[i] || '' : '', generators: [] };
+            byId.set(assembly.id, assembly);
+            assemblies.push(assembly);
+        }
+    }
+
+    const assemblyId = column(gen, 'assembly_id');
+    const expression = column(gen, 'oper_expression');
+    const asymIds = column(gen, 'asym_id_list');
+    if (!assemblyId || !expression || !asymIds) return [];
+    for (let i = 0; i < gen.rowCount; i++) {
+        if (!expression[i] || !asymIds[i]) continue;
+        let assembly = byId.get(assemblyId[i]);
+        if (!assembly) {
+            assembly = { id: assemblyId[i], details: '', generators: [] };
+            byId.set(assembly.id, assembly);
+            assemblies.push(assembly);
+        }
+        const chains = new Set(asymIds[i].split(',').map((id) => authorChains.get(id.trim()) || id.trim()));
+        const generatorOperators = [];
+        for (const sequence of parseOperatorExpression(expression[i])) {
+            if (!sequence.every((id) => operators.has(id))) continue;
+            const matrix = sequence.map((id) => operators.get(id)).reduce(multiplyOperators);
+            generatorOperators.push({ id: sequence.join('x'), matrix });
+        }
+        if (generatorOperators.length > 0) assembly.generators.push({ chains: Array.from(chains), operators: generatorOperators });
+    }
+    return assemblies.filter((assembly) => assembly.generators.length > 0);
+}
+
+function parseStructConn(block, atoms) {
+    const conn = block.categories.struct_conn;
+    if (!conn) return [];
+
+    // Index atoms of the first model by chain / residue number / atom name
+    const lookup = new Map();
+    const firstModel = atoms.length > 0 ? atoms[0].model : 1;
+    atoms.forEach((atom, index) => {
+        const key = `${atom.chainId}|${atom.resSeq}|${atom.name}`;
+        if (atom.model === firstModel && !lookup.has(key)) lookup.set(key, index);
+    });
+
+    const type = column(conn, 'conn_type_id');
+    const partner = (n) => [
+        column(conn, `ptnr${n}_auth_asym_id`, `ptnr${n}_label_asym_id`),
+        column(conn, `ptnr${n}_auth_seq_id`, `ptnr${n}_label_seq_id`),
+        column(conn, `ptnr${n}_label_atom_id`)
+    ];
+    const [chain1, seq1, name1] = partner(1);
+    const [chain2, seq2, name2] = partner(2);
+    if (!chain1 || !seq1 || !name1 || !chain2 || !seq2 || !name2) return [];
+
+    const bonds = [];
+    for (let i = 0; i < conn.rowCount; i++) {
+        // Hydrogen bonds are listed here too, they are not covalent
+        if (type && type[i] === 'hydrog') continue;
+        const a = lookup.get(`${chain1[i]}|${parseInt(seq1[i], 10)}|${name1[i]}`);
+        const b = lookup.get(`${chain2[i]}|${parseInt(seq2[i], 10)}|${name2[i]}`);
+        if (a !== undefined && b !== undefined) bonds.push([a, b]);
+    }
+    return bonds;
+}
+
+// --- Tokenizer ---
+// Yields one value at a time; `quoted` tells whether the last one was quoted or a ;text field;
+// those are never keywords, so a quoted 'loop_' is just a string.
+function createTokenizer(text) {
+    const length = text.length;
+    let pos = 0;
+
+    const tokenizer = {
+        quoted: false,
+        line: 1,
+        next() {
+            // Skip whitespace and comments
+            while (pos < length) {
+                const code = text.charCodeAt(pos);
+                if (code === 35) { // '#'
+                    while (pos < length && text.charCodeAt(pos) !== 10) pos++;
+                } else if (code <= 32) {
+                    if (code === 10) tokenizer.line++;
+                    pos++;
+                } else {
+                    break;
+                }
+            }
+            if (pos >= length) return null;
+
+            const char = text[pos];
+
+            // Multi-line text field: ';' in the first column up to the next line starting with ';'
+            if (char === ';' && (pos === 0 || text[pos - 1] === '\n')) {
+                let end = text.indexOf('\n;', pos + 1);
+                if (end === -1) end = length;
+                const value = text.slice(pos + 1, end);
+                tokenizer.line += countLines(value) + 1;
+                pos = end + 2;
+                tokenizer.quoted = true;
+                return value.replace(/\r$/, '').trim();
+            }
+
+            // Quoted string: the quote only closes when followed by whitespace
+            if (char === '\'' || char === '"') {
+                let end = pos + 1;
+                while (end < length && !(text[end] === char && (end + 1 >= length || text.charCodeAt(end + 1) <= 32))) end++;
+                const value = text.slice(pos + 1, end);
+                pos = end + 1;
+                tokenizer.quoted = true;
+                return value;
+            }
+
+            const start = pos;
+            while (pos < length && text.charCodeAt(pos) > 32) pos++;
+            tokenizer.quoted = false;
+            return text.slice(start, pos);
+        }
+    };
+    return tokenizer;
+}
+
+// --- Helpers ---
+function isReserved(token) {
+    return token[0] === '_' || /^(loop_|data_|save_|global_|stop_)/i.test(token);
+}
+
+function toValue(token, quoted) {
+    return !quoted && (token === '.' || token === '?') ? null : token;
+}
+
+function splitTag(tag) {
+    const dot = tag.indexOf('.');
+    // DDL1 style tags (_atom_site_label) have no dot, keep them as one-item categories
+    return dot === -1 ? [tag.slice(1), ''] : [tag.slice(1, dot), tag.slice(dot + 1)];
+}
+
+function addField(block, tag) {
+    const [categoryName, itemName] = splitTag(tag);
+    const category = block.categories[categoryName] || (block.categories[categoryName] = { rowCount: 0, fields: {} });
+    return category.fields[itemName] || (category.fields[itemName] = []);
+}
+
+function setRowCount(block, tag, count) {
+    const category = block.categories[splitTag(tag)[0]];
+    category.rowCount = Math.max(category.rowCount, count);
+}
+
+function countLines(text) {
+    let count = 0;
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+    return count;
+}
@@ -0,0 +1,121 @@
+import { addButton, addCheckbox, addRange, addSelect, addNumberInput, setSelectOptions } from './viewer-ui.js';
+import { assemblyLabel } from './assemblies.js';
+
+// Toolbar controls for multi-model files and biological assemblies (see representations.js):
+// a model slider with a play button that steps through an NMR ensemble or a trajectory, an
+// option to superimpose all models, and a drop-down of the assemblies the file defines.
+// Each group only shows up when the loaded structure has something to offer.
+// The viewer calls update() from its animate() loop; onAssemblyChange() runs after the
+// assembly changed (e.g. to frame the camera on it).
+// Returns { setStructure(structure), update(), state(), applyState(state) }.
+
+// --- Configuration ---
+const DEFAULT_RATE = 5; // Models per second while playing
+
+// --- Controls ---
+export function createModelControls(toolbar, { representations, onAssemblyChange = () => {} }) {
+    let structure = null;
+    let playing = false;
+    let rate = DEFAULT_RATE;
+    let lastStep = 0;
+
+    // Assemblies
+    const assemblyGroup = addGroup(toolbar);
+    const assemblySelect = addSelect(assemblyGroup, 'Assembly', {}, '', (id) => showAssembly(id));
+
+    // Models
+    const modelGroup = addGroup(toolbar);
+    const slider = addRange(modelGroup, 'Model', { min: 1, max: 1, step: 1, value: 1 }, (value) => {
+        setPlaying(false);
+        showModel(value - 1);
+    });
+    const counter = document.createElement('span');
+    counter.className = 'viewer-status';
+    modelGroup.appendChild(counter);
+    const playButton = addButton(modelGroup, 'Play', () => setPlaying(!playing));
+    addNumberInput(modelGroup, 'Per second', { min: 0.5, max: 60, step: 0.5, value: rate }, (value) => { rate = value; });
+    const allInput = addCheckbox(modelGroup, 'All models', false, (all) => {
+        setPlaying(false);
+        showModel(all ? null : slider.value - 1);
+    });
+
+    function showAssembly(id) {
+        const assembly = structure && structure.assemblies.find((a) => a.id === id);
+        representations.setAssembly(assembly || null);
+        assemblySelect.value = assembly ? assembly.id : '';
+        onAssemblyChange(assembly || null);
+    }
+
+    // index into structure.models, or null for all of them
+    function showModel(index) {
+        if (!structure) return;
+        const all = index === null;
+        representations.setModel(all ? null : structure.models[index]);
+        allInput.checked = all;
+        slider.disabled = all;
+        if (!all) slider.value = index + 1;
+        counter.textContent = all ? '' : `${index + 1} / ${structure.models.length}`;
+    }
+
+    function setPlaying(value) {
+        playing = value && Boolean(structure) && structure.models.length > 1;
+        playButton.textContent = playing ? 'Pause' : 'Play';
+        lastStep = performance.now();
+    }
+
+    const controls = {
+        setStructure(newStructure) {
+            structure = newStructure;
+            setPlaying(false);
+            const assemblies = structure ? structure.assemblies : [];
+            const options = { '': 'Asymmetric unit' };
+            for (const assembly of assemblies) options[assembly.id] = assemblyLabel(assembly);
+            setSelectOptions(assemblySelect, options, '');
+            assemblyGroup.hidden = assemblies.length === 0;
+
+            const count = structure ? structure.models.length : 0;
+            modelGroup.hidden = count < 2;
+            slider.max = Math.max(1, count);
+            // representations.setStructure() starts on the first model
+            if (count > 1) showModel(0);
+        },
+        // Steps to the next model while playing (loops around)
+        update() {
+            if (!playing) return;
+            const now = performance.now();
+            if (now - lastStep < 1000 / rate) return;
+            lastStep = now;
+            const index = allInput.checked ? 0 : slider.value % structure.models.length;
+            showModel(index);
+        },
+        // For view states: { assembly, model, playing }, model null when all are shown
+        state() {
+            const model = representations.model();
+            return {
+                assembly: representations.assembly() ? representations.assembly().id : null,
+                model: model && structure ? structure.models.indexOf(model) : null,
+                playing
+            };
+        },
+        applyState(state) {
+            if (!state || !structure) return;
+            const assemblyId = state.assembly || '';
+            if (assemblyId !== assemblySelect.value) showAssembly(assemblyId);
+            if (structure.models.length > 1) {
+                // null shows all models; anything but a model index keeps the current one
+                if (state.model === null) showModel(null);
+                else if (Number.isInteger(state.model)) showModel(Math.min(Math.max(0, state.model), structure.models.length - 1));
+                setPlaying(Boolean(state.playing));
+            }
+        }
+    };
+    return controls;
+}
+
+function addGroup(toolbar) {
+    const group = document.createElement('span');
+    group.className = 'viewer-toolbar-group';
+    group.hidden = true;
+    toolbar.appendChild(group);
+    return group;
+}
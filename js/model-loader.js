@@ -0,0 +1,174 @@
+import * as THREE from 'three';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+
+// Mesh models exported from Chimera/ChimeraX, Blender and friends: OBJ (+ its MTL material
+// library), glTF/GLB and STL all load through loadModel() and come back as one Object3D.
+// Files that a model refers to (MTL, textures, .bin buffers) are fetched next to the model's URL,
+// or, for dropped/picked files, looked up by name among the other files given with it.
+
+// --- Configuration ---
+export const MODEL_FORMATS = {
+    obj: 'OBJ',
+    gltf: 'glTF',
+    glb: 'glTF',
+    stl: 'STL'
+};
+export const MODEL_ACCEPT = Object.keys(MODEL_FORMATS).map((extension) => `.${extension}`).concat('.mtl', '.bin', 'image/*').join(',');
+const DEFAULT_FIT = { center: true, size: 3 }; // size: longest side after scaling, 0 keeps the file's units
+
+// --- Sources ---
+// { type: 'url' | 'file', name, url?, file?, resources? }, like the structure sources in structure-source.js.
+// resources are the other files given with a dropped/picked model, by file name.
+export function modelSourceFromUrl(url) {
+    const name = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop()) || url;
+    return { type: 'url', name, url };
+}
+
+// The first file with a model extension is the model, the rest are its resources.
+// Returns null when none of the files is a model.
+export function modelSourceFromFiles(files) {
+    const list = Array.from(files);
+    const file = list.find((f) => modelFormat(f.name));
+    if (!file) return null;
+    const resources = new Map(list.filter((f) => f !== file).map((f) => [f.name, f]));
+    return { type: 'file', name: file.name, file, resources };
+}
+
+// ?model= wins over the page's default model path.
+export function resolveModelSource(defaultUrl, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    return modelSourceFromUrl(params.get('model') || defaultUrl);
+}
+
+export function modelFormat(name) {
+    const extension = name.toLowerCase().split('.').pop();
+    return Object.hasOwn(MODEL_FORMATS, extension) ? extension : null;
+}
+
+// --- Loading ---
+// Resolves with the model as an Object3D. onProgress receives the model file's ProgressEvents.
+export function loadModel(source, onProgress) {
+    const format = modelFormat(source.name);
+    if (!format) return Promise.reject(new Error(`Unsupported model format: ${source.name}`));
+
+    const { manager, url } = createResourceContext(source);
+    switch (format) {
+        case 'obj': return loadObj(url, manager, onProgress);
+        case 'gltf':
+        case 'glb': return new GLTFLoader(manager).loadAsync(url, onProgress).then((gltf) => gltf.scene);
+        case 'stl': return new STLLoader(manager).loadAsync(url, onProgress).then(stlMesh);
+    }
+}
+
+// Local files get object URLs; every URL a loader asks for is matched to the given files by
+// its last path segment, so "mtllib TESTING.mtl" or a texture path find the dropped files.
+function createResourceContext(source) {
+    const manager = new THREE.LoadingManager();
+    if (source.type !== 'file') return { manager, url: source.url };
+
+    const objectUrls = new Map();
+    for (const file of [source.file, ...source.resources.values()]) objectUrls.set(file.name, URL.createObjectURL(file));
+    manager.setURLModifier((url) => {
+        const name = decodeURIComponent(url.split(/[\\/]/).pop());
+        return objectUrls.get(name) || url;
+    });
+    // Fires once the model and everything it pulled in (textures load late) are done
+    manager.onLoad = () => objectUrls.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+    return { manager, url: objectUrls.get(source.name) };
+}
+
+// Materials come from the file's mtllib; a missing library falls back to OBJLoader's default grey.
+function loadObj(url, manager, onProgress) {
+    return new THREE.FileLoader(manager).loadAsync(url, onProgress).then((text) => {
+        const library = /^mtllib\s+(.+?)\s*$/m.exec(text);
+        const materials = library ? loadMaterials(library[1], THREE.LoaderUtils.extractUrlBase(url), manager) : Promise.resolve(null);
+        return materials.then((materialCreator) => {
+            const loader = new OBJLoader(manager);
+            if (materialCreator) loader.setMaterials(materialCreator);
+            return loader.parse(text);
+        });
+    });
+}
+
+function loadMaterials(name, basePath, manager) {
+    return new MTLLoader(manager).setPath(basePath).loadAsync(name).then((materialCreator) => {
+        materialCreator.preload();
+        return materialCreator;
+    }).catch((err) => {
+        console.warn(`Material library ${name} could not be loaded, using default materials:`, err);
+        return null;
+    });
+}
+
+// Binary STL may carry per-face colors (the Materialise/VisCAM extension)
+function stlMesh(geometry) {
+    const material = geometry.hasColors
+        ? new THREE.MeshPhongMaterial({ vertexColors: true, opacity: geometry.alpha, transparent: geometry.alpha < 1 })
+        : new THREE.MeshPhongMaterial({ color: 0xaaaaaa, specular: 0x111111, shininess: 100 });
+    return new THREE.Mesh(geometry, material);
+}
+
+// --- Fitting ---
+// Fit options from the page URL: ?center=0 keeps the file's origin, ?size=<n> sets the longest
+// side (0 keeps the file's units).
+export function resolveFitOptions(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const options = { ...DEFAULT_FIT };
+    if (params.has('center')) options.center = !['0', 'false', 'no'].includes(params.get('center').toLowerCase());
+    const size = parseFloat(params.get('size'));
+    if (Number.isFinite(size) && size >= 0) options.size = size;
+    return options;
+}
+
+// Moves and scales the model in place (any earlier fit is undone first).
+// Returns the bounding sphere of the fitted model, for framing the camera.
+export function fitModel(object, { center = DEFAULT_FIT.center, size = DEFAULT_FIT.size } = {}) {
+    object.position.set(0, 0, 0);
+    object.scale.setScalar(1);
+    object.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return new THREE.Sphere();
+    const maxDim = Math.max(...box.getSize(new THREE.Vector3()).toArray());
+    const scale = size > 0 && maxDim > 0 ? size / maxDim : 1;
+    object.scale.setScalar(scale);
+    if (center) object.position.copy(box.getCenter(new THREE.Vector3())).multiplyScalar(-scale); // Pivot at the origin
+    object.updateMatrixWorld(true);
+    return new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+}
+
+// --- Disposal ---
+export function disposeModel(object) {
+    object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        const materials = Array.isArray(child.material) ? child.material : child.material ? [child.material] : [];
+        for (const material of materials) {
+            for (const value of Object.values(material)) {
+                if (value && value.isTexture) value.dispose();
+            }
+            material.dispose();
+        }
+    });
+}
+
+// --- Drag and Drop ---
+// Calls onSource for the model among the dropped files (its MTL/textures can be dropped with it).
+export function enableModelDrop(target, onSource, onError = console.error) {
+    target.addEventListener('dragover', (event) => {
+        event.preventDefault(); // Required, otherwise the browser opens the file
+        event.dataTransfer.dropEffect = 'copy';
+    });
+    target.addEventListener('drop', (event) => {
+        event.preventDefault();
+        if (event.dataTransfer.files.length === 0) return;
+        const source = modelSourceFromFiles(event.dataTransfer.files);
+        if (source) {
+            onSource(source);
+        } else {
+            onError(new Error('No OBJ, glTF or STL model among the dropped files'));
+        }
+    });
+}
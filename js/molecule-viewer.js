@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+import { createViewerScene } from './viewer-scene.js';
+import { parseStructureAsync } from './structure-parser.js';
+import { readSource, describeSource, isPdbId, sourceFromPdbId, sourceFromUrl } from './structure-source.js';
+import { createRepresentationSet, REPRESENTATION_TYPES } from './representations.js';
+import { prepareColorScheme, COLOR_SCHEMES } from './color-schemes.js';
+
+// <molecule-viewer>: a self-contained structure viewer for embedding, e.g.
+//
+//   <script type="module" src="../js/molecule-viewer.js"></script>
+//   <molecule-viewer src="1CRN" representation="cartoon" color="chain" spin></molecule-viewer>
+//
+// Attributes (all can change at runtime):
+//   src             PDB ID or URL of a PDB / mmCIF file
+//   representation  one of REPRESENTATION_TYPES (representations.js), default cartoon
+//   color           one of COLOR_SCHEMES (color-schemes.js), default element
+//   spin            present: the molecule turns around the vertical axis
+// The element sizes itself from its own box (400 px tall unless styled otherwise), so any
+// number of them can live on one page; removing one from the page frees its WebGL context.
+
+// --- Configuration ---
+const DEFAULT_REPRESENTATION = 'cartoon';
+const DEFAULT_COLOR = 'element';
+const SPIN_SPEED = 0.3; // Radians per second
+const WAVE_OPTIONS = { speed: 0.5, frequency: 0.1 }; // For the animated 'wave' scheme
+
+const STYLE = `
+:host { display: block; position: relative; height: 400px; overflow: hidden; }
+:host([hidden]) { display: none; }
+.canvas { position: absolute; inset: 0; }
+.status { position: absolute; left: 8px; top: 8px; color: #ffffff; text-shadow: 0 0 3px #000000; font: 12px sans-serif; pointer-events: none; }
+.status.error { color: #ff7777; }
+`;
+
+// --- Viewer ---
+// What one element draws into `container`; status shows loading and error messages.
+// Returns { load(src), setRepresentation(type), setColor(id), setSpin(enabled), start(), dispose() }.
+export function createEmbeddedViewer(container, status) {
+    const clock = new THREE.Clock();
+    let structure = null;
+    let colors = null;
+    let colorScheme = null;
+    let colorId = DEFAULT_COLOR;
+    let spinning = false;
+    let loadCounter = 0;
+
+    const view = createViewerScene(container, { onFrame: frame });
+    // The pivot turns around the molecule center, the group inside it is moved onto the pivot
+    const pivot = new THREE.Group();
+    const moleculeGroup = new THREE.Group();
+    pivot.add(moleculeGroup);
+    view.scene.add(pivot);
+    const representations = createRepresentationSet(moleculeGroup);
+    const layer = representations.add(DEFAULT_REPRESENTATION);
+
+    function frame() {
+        const delta = clock.getDelta();
+        if (spinning) pivot.rotation.y += SPIN_SPEED * delta;
+        if (colorScheme && colorScheme.animated) {
+            representations.setColorWave({ ...WAVE_OPTIONS, time: clock.getElapsedTime() });
+        }
+    }
+
+    function showStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    function applyColorScheme() {
+        if (!structure) return;
+        colorScheme = prepareColorScheme(colorId, structure);
+        representations.applyColors(colorScheme.fill(colors, { ...WAVE_OPTIONS, time: clock.getElapsedTime() }));
+        if (!colorScheme.animated) representations.setColorWave(null);
+    }
+
+    function frameMolecule() {
+        const box = representations.boundingBox();
+        if (box.isEmpty()) return;
+        const center = box.getCenter(new THREE.Vector3());
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        moleculeGroup.position.copy(center).negate();
+        pivot.rotation.set(0, 0, 0);
+        view.camera.position.set(0, 0, Math.max(sphere.radius * 2.5, 150));
+        view.controls.target.set(0, 0, 0);
+        view.controls.update();
+    }
+
+    const viewer = {
+        // Resolves with true once the structure is shown (false if it failed or a newer load won)
+        load(src) {
+            const loadId = ++loadCounter;
+            if (!src) {
+                moleculeGroup.visible = false; // Nothing to show until the next src
+                showStatus('');
+                return Promise.resolve(false);
+            }
+            const source = isPdbId(src) ? sourceFromPdbId(src) : sourceFromUrl(src);
+            const label = describeSource(source);
+            showStatus(`Loading ${label}...`);
+            return readSource(source)
+                .then((text) => (loadId === loadCounter ? parseStructureAsync(text, source.name) : null))
+                .then((result) => {
+                    if (!result || loadId !== loadCounter) return false;
+                    structure = result.structure;
+                    colors = new Float32Array(structure.atoms.length * 3);
+                    representations.setStructure(structure, colors);
+                    moleculeGroup.visible = true;
+                    applyColorScheme();
+                    frameMolecule();
+                    showStatus('');
+                    return true;
+                })
+                .catch((err) => {
+                    if (loadId !== loadCounter) return false;
+                    console.error(`<molecule-viewer> could not load ${label}:`, err);
+                    showStatus(`Error loading ${label}`, true);
+                    return false;
+                });
+        },
+        setRepresentation(type) {
+            representations.setType(layer, Object.hasOwn(REPRESENTATION_TYPES, type) ? type : DEFAULT_REPRESENTATION);
+        },
+        setColor(id) {
+            colorId = Object.hasOwn(COLOR_SCHEMES, id) ? id : DEFAULT_COLOR;
+            applyColorScheme();
+        },
+        setSpin(enabled) {
+            spinning = enabled;
+        },
+        start() {
+            clock.start();
+            view.start();
+        },
+        dispose() {
+            loadCounter++; // Drops loads still in flight
+            view.dispose();
+        }
+    };
+    return viewer;
+}
+
+// --- Element ---
+class MoleculeViewerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'representation', 'color', 'spin'];
+    }
+
+    constructor() {
+        super();
+        const root = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        this.canvasContainer = document.createElement('div');
+        this.canvasContainer.className = 'canvas';
+        this.status = document.createElement('div');
+        this.status.className = 'status';
+        root.append(style, this.canvasContainer, this.status);
+        this.viewer = null;
+    }
+
+    // Built when added to the page and disposed when removed (moving it rebuilds it)
+    connectedCallback() {
+        if (this.viewer) return;
+        this.viewer = createEmbeddedViewer(this.canvasContainer, this.status);
+        this.viewer.setRepresentation(this.getAttribute('representation'));
+        this.viewer.setColor(this.getAttribute('color'));
+        this.viewer.setSpin(this.hasAttribute('spin'));
+        this.viewer.load(this.getAttribute('src'));
+        this.viewer.start();
+    }
+
+    disconnectedCallback() {
+        if (!this.viewer) return;
+        this.viewer.dispose();
+        this.viewer = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.viewer || oldValue === value) return;
+        if (name === 'src') this.viewer.load(value);
+        else if (name === 'representation') this.viewer.setRepresentation(value);
+        else if (name === 'color') this.viewer.setColor(value);
+        else if (name === 'spin') this.viewer.setSpin(value !== null);
+    }
+}
+
+if (!customElements.get('molecule-viewer')) customElements.define('molecule-viewer', MoleculeViewerElement);
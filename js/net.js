@@ -1,12 +1,105 @@
+// Particle network drawn on the page's .canvas: particles drift, bounce off the edges and off
+// obstacle elements (the .title by default), and particles closer than linkDistance are linked.
+//
+// Options come from the defaults below, then data-* attributes on the canvas (e.g.
+// data-count="80", data-link-distance="180", data-mouse="repel"), then window.netOptions when
+// set before this script runs. window.particleNetwork.setOptions({...}) changes them later.
+// Unless colors / linkColor are given in one of these ways, they follow the site theme (see
+// theme.js); setting them to null hands them back to the theme.
+//
+// Links are found with a uniform grid of linkDistance-sized cells, so each particle is only
+// compared with the particles of its own and the neighboring cells, and they are drawn as a
+// few batched paths (one per opacity step) instead of one stroke() per link. Thousands of
+// particles stay smooth that way.
 document.addEventListener('DOMContentLoaded', function(){
 const canvas = document.querySelector('.canvas');
 const c = canvas.getContext('2d');
-canvas.width = window.innerWidth;
-canvas.height = window.innerHeight;
+let width = 0;  // Canvas size in CSS px; the backing store is devicePixelRatio times larger
+let height = 0;
+
+// --- Options ---
+const DEFAULT_OPTIONS = {
+  count: 30,              // Number of particles, unless density is set
+  density: 0,             // Particles per 100,000 px² of canvas; overrides count when > 0
+  colors: null,           // Each particle picks one of them; null: THEME_COLORS
+  linkColor: null,        // 'r, g, b' of the links, their opacity fades with distance; null: THEME_COLORS
+  linkWidth: 2,
+  linkDistance: 250,
+  radius: 2,
+  speed: 2,               // Largest initial velocity per axis, in px per frame
+  obstacles: '.title',    // Selector of the elements particles bounce off
+  mouse: 'attract',       // 'attract', 'repel' or 'none'
+  mouseRadius: 150,       // Px around the cursor in which particles react
+  mouseForce: 0.05,
+  clickSpawn: 4,          // Particles added per click (0 to switch off)
+  maxParticles: 5000
+};
+// Numeric options and their smallest values; larger ones are kept, others are raised to these
+// and non-numbers are dropped (linkDistance sizes the link grid, so 0 or NaN would break it)
+const NUMBER_OPTIONS = {
+  count: 0,
+  density: 0,
+  linkWidth: 0.1,
+  linkDistance: 10,
+  radius: 0.5,
+  speed: 0,
+  mouseRadius: 0,
+  mouseForce: 0,
+  clickSpawn: 0,
+  maxParticles: 1
+};
+const EDGE_TOLERANCE = 10; // Px a particle may be inside an obstacle and still count as coming from that side
+const DENSITY_AREA = 100000;
+const OPACITY_STEPS = 16; // Links are batched into this many opacity levels
+
+const THEME_COLORS = {
+  dark: { colors: ['rgb(255, 255, 255)'], linkColor: '255, 255, 255' },
+  light: { colors: ['rgb(40, 40, 40)'], linkColor: '40, 40, 40' }
+};
+
+let options = Object.assign({}, DEFAULT_OPTIONS, checkNumbers(optionsFromDataset(canvas.dataset)), checkNumbers(window.netOptions || {}));
+// Keys that follow the theme; the ones set by the page or through setOptions are left alone
+const themedKeys = new Set(['colors', 'linkColor'].filter((key) => !options[key]));
+Object.assign(options, themeColors(currentTheme()));
+
+function currentTheme() {
+  return window.siteTheme ? window.siteTheme.get() : 'dark';
+}
+
+// The theme's colors for the options not set explicitly
+function themeColors(theme) {
+  const palette = THEME_COLORS[theme] || THEME_COLORS.dark;
+  const result = {};
+  for (const key of themedKeys) result[key] = palette[key];
+  return result;
+}
+
+function optionsFromDataset(dataset) {
+  const result = {};
+  for (const key of Object.keys(DEFAULT_OPTIONS)) {
+    if (dataset[key] === undefined) continue;
+    if (Object.hasOwn(NUMBER_OPTIONS, key)) result[key] = parseFloat(dataset[key]);
+    else if (key === 'colors') result[key] = dataset[key].split(';').map((color) => color.trim());
+    else result[key] = dataset[key];
+  }
+  return result;
+}
+
+function checkNumbers(newOptions) {
+  const result = Object.assign({}, newOptions);
+  for (const [key, min] of Object.entries(NUMBER_OPTIONS)) {
+    if (!(key in result)) continue;
+    if (typeof result[key] !== 'number' || !Number.isFinite(result[key])) delete result[key];
+    else result[key] = Math.max(min, result[key]);
+  }
+  return result;
+}
 
 let particlesArray = [];
-let title = document.querySelector('.title');
-let titleBox = title.getBoundingClientRect();
+let obstacleBoxes = [];
+let mouse = null; // { x, y } while the pointer is over the page
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+let frameId = 0;
 
 class Particle {
   constructor(x, y, radius, color) {
@@ -16,90 +109,286 @@ class Particle {
     this.color = color;
     this.baseX = this.x;
     this.baseY = this.y;
-    this.directionX = Math.random() * 4 - 2;
-    this.directionY = Math.random() * 4 - 2;
+    this.directionX = (Math.random() * 2 - 1) * options.speed;
+    this.directionY = (Math.random() * 2 - 1) * options.speed;
     this.collision = false;
   }
-  draw() {
-    c.beginPath();
+  // Adds the particle to the current path (filled once per color by draw())
+  trace() {
+    c.moveTo(this.x + this.radius, this.y);
     c.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-    c.fillStyle = this.color;
-    c.fill();
-    c.closePath();
   }
   update() {
+    this.followMouse();
     this.x += this.directionX;
     this.y += this.directionY;
-    if (this.x + this.radius + this.directionX >= canvas.width || this.x - this.radius + this.directionX <= 0) {
+    if (this.x + this.radius + this.directionX >= width || this.x - this.radius + this.directionX <= 0) {
       this.directionX = -this.directionX;
     }
-    if (this.y + this.radius + this.directionY >= canvas.height || this.y - this.radius + this.directionY <= 0) {
+    if (this.y + this.radius + this.directionY >= height || this.y - this.radius + this.directionY <= 0) {
       this.directionY = -this.directionY;
     }
-    
-    if (this.x + this.radius > titleBox.left && this.x - this.radius < titleBox.left + titleBox.width && this.y + this.radius > titleBox.top && this.y - this.radius < titleBox.top + titleBox.height) {
-      this.collision = true;
-    } else {
-      this.collision = false;    
+
+    this.collision = false;
+    for (const box of obstacleBoxes) {
+      if (this.bounceOff(box)) this.collision = true;
     }
-    if (this.collision === true && this.x + this.radius < titleBox.left + 10) {
-      this.directionX = -this.directionX;
-    } else if (this.collision === true && this.x - this.radius > titleBox.left + titleBox.width - 10) {
-      this.directionX = -this.directionX;
-    } else if (this.collision === true && this.y + this.radius < titleBox.top + 10) {
-      this.directionY = -this.directionY;
-    } else if (this.collision === true && this.y - this.radius > titleBox.top + titleBox.height - 10) {
-      this.directionY = -this.directionY;
+  }
+  // Reverses the direction when the particle entered the box, depending on the side it came from
+  bounceOff(box) {
+    const inside = this.x + this.radius > box.left && this.x - this.radius < box.right && this.y + this.radius > box.top && this.y - this.radius < box.bottom;
+    if (!inside) return false;
+    if (this.x + this.radius < box.left + EDGE_TOLERANCE) {
+      this.directionX = -Math.abs(this.directionX);
+    } else if (this.x - this.radius > box.right - EDGE_TOLERANCE) {
+      this.directionX = Math.abs(this.directionX);
+    } else if (this.y + this.radius < box.top + EDGE_TOLERANCE) {
+      this.directionY = -Math.abs(this.directionY);
+    } else if (this.y - this.radius > box.bottom - EDGE_TOLERANCE) {
+      this.directionY = Math.abs(this.directionY);
     }
-    
+    return true;
+  }
+  // Pulls the particle towards the cursor (or pushes it away), stronger when closer.
+  // The speed is kept at most options.speed per axis so particles don't pile up.
+  followMouse() {
+    if (!mouse || options.mouse === 'none') return;
+    const dx = mouse.x - this.x;
+    const dy = mouse.y - this.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance === 0 || distance > options.mouseRadius) return;
+    const force = (1 - distance / options.mouseRadius) * options.mouseForce * (options.mouse === 'repel' ? -1 : 1);
+    this.directionX = clamp(this.directionX + (dx / distance) * force * options.speed, options.speed);
+    this.directionY = clamp(this.directionY + (dy / distance) * force * options.speed, options.speed);
   }
 }
 
+function clamp(value, limit) {
+  return Math.max(-limit, Math.min(limit, value));
+}
+
+function randomColor() {
+  return options.colors[Math.floor(Math.random() * options.colors.length)];
+}
+
+function particleCount() {
+  const count = options.density > 0 ? Math.round(width * height / DENSITY_AREA * options.density) : options.count;
+  return Math.min(count, options.maxParticles);
+}
+
+// Obstacle boxes relative to the canvas; they move when the page scrolls or reflows
+function updateObstacles() {
+  const origin = canvas.getBoundingClientRect();
+  obstacleBoxes = options.obstacles ? Array.from(document.querySelectorAll(options.obstacles), (element) => {
+    const box = element.getBoundingClientRect();
+    return { left: box.left - origin.left, right: box.right - origin.left, top: box.top - origin.top, bottom: box.bottom - origin.top };
+  }) : [];
+}
+
+function addParticle(x, y) {
+  particlesArray.push(new Particle(x, y, options.radius, randomColor()));
+}
+
 function init() {
-  for (let i = 0; i < 30; i++) {
-    let x = Math.random() * canvas.width;
-    let y = Math.random() * canvas.height;
-    // let radius = Math.random() * 10 +2;
-    const radius = 2;
-    // let color = `rgb(${Math.floor(Math.random() * 256)}, ${Math.floor(Math.random() * 256)}, ${Math.floor(Math.random() * 256)})`;
-    const color = `rgb(255, 255, 255)`;
-    particlesArray.push(new Particle(x, y, radius, color));
+  particlesArray = [];
+  updateObstacles();
+  for (let i = 0; i < particleCount(); i++) addParticle(Math.random() * width, Math.random() * height);
+}
+
+// --- Size ---
+// The canvas covers the window; its backing store follows devicePixelRatio so lines stay sharp
+// on HiDPI screens, while everything else works in CSS px.
+function resize() {
+  const ratio = window.devicePixelRatio || 1;
+  width = window.innerWidth;
+  height = window.innerHeight;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  c.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+  // Keep the particles on the canvas, and the density when it is set
+  for (const particle of particlesArray) {
+    particle.x = Math.min(particle.x, width - particle.radius);
+    particle.y = Math.min(particle.y, height - particle.radius);
   }
+  if (options.density > 0) {
+    const count = particleCount();
+    if (particlesArray.length > count) particlesArray.length = count;
+    while (particlesArray.length < count) addParticle(Math.random() * width, Math.random() * height);
+  }
+  updateObstacles();
 }
+resize();
 init();
 
-function animate() {
-  c.clearRect(0,0,canvas.width,canvas.height);
-  
+// --- Neighbor grid ---
+// Cells as linked lists: cellStart[cell] is the first particle, next[i] the one after i
+let cellStart = new Int32Array(0);
+let next = new Int32Array(0);
+let columns = 0;
+let rows = 0;
+
+function fillGrid(cellSize) {
+  columns = Math.max(1, Math.ceil(width / cellSize));
+  rows = Math.max(1, Math.ceil(height / cellSize));
+  if (cellStart.length < columns * rows) cellStart = new Int32Array(columns * rows);
+  if (next.length < particlesArray.length) next = new Int32Array(particlesArray.length * 2);
+  cellStart.fill(-1, 0, columns * rows);
   for (let i = 0; i < particlesArray.length; i++) {
-    particlesArray[i].draw();
-    particlesArray[i].update();
-    for (let j = i; j < particlesArray.length; j++) {
-      // const angle = Math.atan2(particlesArray[i].y - particlesArray[j].y, 
-      //                       particlesArray[i].x - particlesArray[j].x);
-      // const velocity = {
-      //   x: Math.cos(angle) * 3,
-      //   y: Math.sin(angle) * 3
-      // }
-      let dx = particlesArray[i].x - particlesArray[j].x;
-      let dy = particlesArray[i].y - particlesArray[j].y;
-      let distance = Math.sqrt(dx * dx + dy * dy);
-      const maxDistance = 250;
-      let opacity = 1 - distance/maxDistance;
-      if (distance < maxDistance) {
-        c.lineWidth = 2;
-        c.strokeStyle = `rgba(255,255,255,${opacity})`;
-        // c.strokeStyle = `rgba(255,255,255,1)`
-        c.beginPath();
-        c.moveTo(particlesArray[i].x, particlesArray[i].y);
-        c.lineTo(particlesArray[j].x, particlesArray[j].y);
-        c.stroke();
+    const cell = cellOf(particlesArray[i], cellSize);
+    next[i] = cellStart[cell];
+    cellStart[cell] = i;
+  }
+}
+
+function cellOf(particle, cellSize) {
+  const column = Math.min(columns - 1, Math.max(0, Math.floor(particle.x / cellSize)));
+  const row = Math.min(rows - 1, Math.max(0, Math.floor(particle.y / cellSize)));
+  return row * columns + column;
+}
+
+// Same cell plus the right, lower-left, lower and lower-right ones: every pair is seen once
+const NEIGHBOR_CELLS = [[0, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Adds every link to the path of its opacity step
+function traceLinks(paths) {
+  const maxDistance = options.linkDistance;
+  const maxSquared = maxDistance * maxDistance;
+  fillGrid(maxDistance);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      for (let i = cellStart[row * columns + column]; i !== -1; i = next[i]) {
+        const a = particlesArray[i];
+        for (const [dx, dy] of NEIGHBOR_CELLS) {
+          const otherColumn = column + dx;
+          const otherRow = row + dy;
+          if (otherColumn < 0 || otherColumn >= columns || otherRow >= rows) continue;
+          // In the own cell only the particles after a in the list, so pairs aren't repeated
+          let j = dx === 0 && dy === 0 ? next[i] : cellStart[otherRow * columns + otherColumn];
+          for (; j !== -1; j = next[j]) {
+            const b = particlesArray[j];
+            const distanceX = a.x - b.x;
+            const distanceY = a.y - b.y;
+            const squared = distanceX * distanceX + distanceY * distanceY;
+            if (squared >= maxSquared) continue;
+            const opacity = 1 - Math.sqrt(squared) / maxDistance;
+            const path = paths[Math.min(OPACITY_STEPS - 1, Math.floor(opacity * OPACITY_STEPS))];
+            path.moveTo(a.x, a.y);
+            path.lineTo(b.x, b.y);
+          }
+        }
       }
     }
   }
-  // console.log(particlesArray[0].collision)
-  requestAnimationFrame(animate);
 }
-animate();
 
-});
\ No newline at end of file
+function draw() {
+  c.clearRect(0, 0, width, height);
+
+  // Links, one stroke per opacity step (drawn at the step's upper opacity)
+  const paths = Array.from({ length: OPACITY_STEPS }, () => new Path2D());
+  traceLinks(paths);
+  c.lineWidth = options.linkWidth;
+  paths.forEach((path, step) => {
+    c.strokeStyle = `rgba(${options.linkColor},${(step + 1) / OPACITY_STEPS})`;
+    c.stroke(path);
+  });
+
+  // Particles, one fill per color
+  for (const color of new Set(options.colors)) {
+    c.beginPath();
+    for (const particle of particlesArray) {
+      if (particle.color === color) particle.trace();
+    }
+    c.fillStyle = color;
+    c.fill();
+  }
+}
+
+function animate() {
+  for (const particle of particlesArray) particle.update();
+  draw();
+  frameId = requestAnimationFrame(animate);
+}
+
+// --- Running ---
+// Reduced motion draws a still network; hidden tabs don't animate at all
+function start() {
+  stop();
+  if (reducedMotion.matches) draw(); else animate();
+}
+
+function stop() {
+  cancelAnimationFrame(frameId);
+  frameId = 0;
+}
+
+reducedMotion.addEventListener('change', start);
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) stop(); else start();
+});
+window.addEventListener('resize', () => {
+  resize();
+  if (!frameId) draw();
+});
+window.addEventListener('scroll', updateObstacles, { passive: true });
+start();
+
+// --- Mouse ---
+window.addEventListener('pointermove', (event) => {
+  const rect = canvas.getBoundingClientRect();
+  mouse = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+});
+document.addEventListener('pointerout', (event) => {
+  if (!event.relatedTarget) mouse = null; // Left the window
+});
+window.addEventListener('blur', () => { mouse = null; });
+
+// Clicks on links and form controls keep their usual meaning
+document.addEventListener('click', (event) => {
+  if (event.target.closest('a, button, input, select, textarea, label')) return;
+  const rect = canvas.getBoundingClientRect();
+  const spawn = Math.min(options.clickSpawn, options.maxParticles - particlesArray.length);
+  for (let i = 0; i < spawn; i++) addParticle(event.clientX - rect.left, event.clientY - rect.top);
+  if (!frameId) draw();
+});
+
+// --- API ---
+window.particleNetwork = {
+  get options() {
+    return Object.assign({}, options);
+  },
+  setOptions(newOptions) {
+    newOptions = checkNumbers(newOptions);
+    for (const key of Object.keys(THEME_COLORS.dark)) {
+      if (!(key in newOptions)) continue;
+      if (newOptions[key]) themedKeys.delete(key); else themedKeys.add(key);
+    }
+    applyOptions(Object.assign({}, newOptions, themeColors(currentTheme())));
+  }
+};
+
+// Changing the count, density, radius or speed starts a new network; new colors are handed out
+// to the particles there are
+function applyOptions(newOptions) {
+  const previous = options;
+  options = Object.assign({}, options, newOptions);
+  const rebuild = ['count', 'density', 'radius', 'speed', 'maxParticles'].some((key) => options[key] !== previous[key]);
+  if (rebuild) {
+    init();
+  } else {
+    updateObstacles();
+    if (options.colors !== previous.colors) {
+      for (const particle of particlesArray) particle.color = randomColor();
+    }
+  }
+  if (!frameId) draw();
+}
+
+window.addEventListener('themechange', (event) => {
+  applyOptions(themeColors(event.detail.theme));
+});
+
+});
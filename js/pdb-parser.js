@@ -0,0 +1,152 @@
+// Fixed-column PDB reader for the fields PDBLoader throws away.
+// Atoms come out in the same order as PDBLoader's json.atoms (every ATOM/HETATM line, all models),
+// so atom i here is atom i in geometryAtoms and instance i in the viewers' InstancedMesh.
+
+// --- Atom Records ---
+// Same record fields as parseMmcifAtoms(), bonds as [atomIndexA, atomIndexB] from CONECT and
+// HELIX/SHEET ranges as { type, chainId, startSeq, startICode, endSeq, endICode }.
+// Biological assemblies come from REMARK 350 (see assemblies.js), and the deposited sequence
+// of every chain from SEQRES as { chainId, residues: [{ name }] } (missing residues included).
+export function parsePdbAtoms(text) {
+    const lines = text.split('\n');
+    const atoms = [];
+    const conect = [];
+    const secondaryStructure = [];
+    const assemblyRemarks = [];
+    const sequences = new Map(); // chainId -> { chainId, residues }
+    let model = 1;
+
+    for (const line of lines) {
+        const record = line.slice(0, 6);
+
+        if (record.slice(0, 4) === 'ATOM' || record === 'HETATM') {
+            const name = line.slice(12, 16).trim();
+            atoms.push({
+                serial: parseInt(line.slice(6, 11), 10),
+                name,
+                altLoc: line.slice(16, 17).trim(),
+                resName: line.slice(17, 20).trim(),
+                chainId: line.slice(21, 22).trim(),
+                resSeq: parseInt(line.slice(22, 26), 10) || 0,
+                iCode: line.slice(26, 27).trim(),
+                x: parseFloat(line.slice(30, 38)),
+                y: parseFloat(line.slice(38, 46)),
+                z: parseFloat(line.slice(46, 54)),
+                occupancy: parseFloatOr(line.slice(54, 60), 1),
+                bFactor: parseFloatOr(line.slice(60, 66), 0),
+                // Same fallback as PDBLoader when the element column is empty
+                element: line.slice(76, 78).trim() || line.slice(12, 14).trim(),
+                hetero: record === 'HETATM',
+                model
+            });
+        } else if (record === 'MODEL ') {
+            model = parseInt(line.slice(10, 14), 10) || model + 1;
+        } else if (record === 'HELIX ') {
+            secondaryStructure.push(parseRange('helix', line, 19, 21, 25, 33, 37));
+        } else if (record === 'SHEET ') {
+            secondaryStructure.push(parseRange('sheet', line, 21, 22, 26, 33, 37));
+        } else if (record === 'SEQRES') {
+            const chainId = line.slice(11, 12).trim();
+            if (!sequences.has(chainId)) sequences.set(chainId, { chainId, residues: [] });
+            for (const name of line.slice(19, 70).trim().split(/\s+/).filter(Boolean)) sequences.get(chainId).residues.push({ name });
+        } else if (record === 'REMARK' && line.slice(7, 10) === '350') {
+            assemblyRemarks.push(line.slice(11));
+        } else if (record === 'CONECT') {
+            const from = parseInt(line.slice(6, 11), 10);
+            for (let start = 11; start < 31; start += 5) {
+                const to = parseInt(line.slice(start, start + 5), 10);
+                if (to) conect.push([from, to]);
+            }
+        }
+    }
+
+    return {
+        atoms,
+        bonds: resolveConect(atoms, conect),
+        secondaryStructure,
+        assemblies: parseBiomt(assemblyRemarks),
+        sequences: Array.from(sequences.values())
+    };
+}
+
+// Column offsets differ between HELIX and SHEET records
+function parseRange(type, line, chainCol, startCol, startICodeCol, endCol, endICodeCol) {
+    return {
+        type,
+        chainId: line.slice(chainCol, chainCol + 1).trim(),
+        startSeq: parseInt(line.slice(startCol, startICodeCol), 10),
+        startICode: line.slice(startICodeCol, startICodeCol + 1).trim(),
+        endSeq: parseInt(line.slice(endCol, endICodeCol), 10),
+        endICode: line.slice(endICodeCol, endICodeCol + 1).trim()
+    };
+}
+
+// CONECT refers to serial numbers; turn them into atom indices and drop duplicates (each bond is listed twice)
+function resolveConect(atoms, conect) {
+    const indexBySerial = new Map();
+    atoms.forEach((atom, index) => {
+        if (!indexBySerial.has(atom.serial)) indexBySerial.set(atom.serial, index);
+    });
+
+    const seen = new Set();
+    const bonds = [];
+    for (const [from, to] of conect) {
+        const a = indexBySerial.get(from);
+        const b = indexBySerial.get(to);
+        if (a === undefined || b === undefined) continue;
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        bonds.push([a, b]);
+    }
+    return bonds;
+}
+
+// REMARK 350: a BIOMOLECULE line per assembly, then chain lists, each followed by its
+// BIOMT1-3 rows (one 3x4 operator per serial number)
+function parseBiomt(remarks) {
+    const assemblies = [];
+    let assembly = null;
+    let generator = null;
+    let authorDetails = false;
+
+    for (const remark of remarks) {
+        let match;
+        if ((match = /^BIOMOLECULE:\s*(\S+)/.exec(remark))) {
+            assembly = { id: match[1], details: '', generators: [] };
+            assemblies.push(assembly);
+            generator = null;
+            authorDetails = false;
+        } else if (!assembly) {
+            continue;
+        } else if ((match = /^(AUTHOR DETERMINED BIOLOGICAL UNIT|SOFTWARE DETERMINED QUATERNARY STRUCTURE):\s*(.*)$/.exec(remark))) {
+            // The author's description wins over the software's
+            const isAuthor = match[1].startsWith('AUTHOR');
+            if (isAuthor || !authorDetails) assembly.details = match[2].trim().toLowerCase();
+            authorDetails = authorDetails || isAuthor;
+        } else if ((match = /APPLY THE FOLLOWING TO CHAINS:(.*)$/.exec(remark))) {
+            generator = { chains: splitChains(match[1]), operators: [] };
+            assembly.generators.push(generator);
+        } else if ((match = /^\s*AND CHAINS:(.*)$/.exec(remark)) && generator) {
+            generator.chains.push(...splitChains(match[1]));
+        } else if ((match = /^\s*BIOMT([123])\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)/.exec(remark)) && generator) {
+            const row = parseInt(match[1], 10) - 1;
+            if (row === 0) generator.operators.push({ id: match[2], matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0] });
+            if (generator.operators.length === 0) continue;
+            const { matrix } = generator.operators[generator.operators.length - 1];
+            for (let col = 0; col < 4; col++) matrix[row * 4 + col] = parseFloat(match[3 + col]);
+        }
+    }
+
+    return assemblies.filter((a) => a.generators.some((g) => g.operators.length > 0));
+}
+
+function splitChains(list) {
+    return list.split(/[,\s]+/).filter(Boolean);
+}
+
+// --- Helpers ---
+function parseFloatOr(text, fallback) {
+    const value = parseFloat(text);
+    return Number.isNaN(value) ? fallback : value;
+}
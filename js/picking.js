@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+import { createSpatialGrid } from './spatial-grid.js';
+import { atomDetails, atomInspection, atomLabel } from './structure-model.js';
+import { createTooltip, showTooltip, createPanel, showDetails } from './viewer-ui.js';
+
+// Atom picking for the viewers: hover shows a tooltip, click pins the atom, highlights its
+// residue and opens a side panel. Instead of testing the ray against every instance, the
+// ray is walked through a spatial grid of the atoms (see spatial-grid.js), which keeps
+// hovering smooth on structures with tens of thousands of atoms.
+
+// --- Configuration ---
+const CLICK_TOLERANCE = 5; // Pixels the pointer may move between down and up and still count as a click
+const HIGHLIGHT_COLOR = 0xffff00;
+const HIGHLIGHT_PADDING = 0.3; // Angstrom added around the drawn atom size
+const HIGHLIGHT_MIN_RADIUS = 0.5; // For atoms that are only drawn as cartoon or not at all
+
+// --- Picker ---
+// getRadii() returns the per-atom radius of what is drawn (representations.pickRadii()).
+// Returns { setStructure(structure), pick(clientX, clientY) -> atom | null }.
+export function createAtomPicker(camera, domElement, group, getRadii) {
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const ray = new THREE.Ray();
+    const inverse = new THREE.Matrix4();
+    let grid = null;
+
+    return {
+        setStructure(structure) {
+            grid = structure ? createSpatialGrid(structure.atoms) : null;
+        },
+        pick(clientX, clientY) {
+            const radii = getRadii();
+            if (!grid || !radii) return null;
+
+            const rect = domElement.getBoundingClientRect();
+            pointer.set(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+            raycaster.setFromCamera(pointer, camera);
+
+            // Atom coordinates are local to the (centered, maybe rotating) molecule group
+            group.updateWorldMatrix(true, false);
+            ray.copy(raycaster.ray).applyMatrix4(inverse.copy(group.matrixWorld).invert());
+            ray.direction.normalize();
+
+            const hit = grid.raycast(ray.origin, ray.direction, (atom) => radii[atom.index]);
+            return hit ? hit.atom : null;
+        }
+    };
+}
+
+// --- Pointer events ---
+// Hover is coalesced to one callback per frame; a click only counts when the pointer barely
+// moved, so orbiting the camera doesn't change the selection. Returns a function removing the listeners.
+export function listenForPicks(domElement, { onHover, onClick }) {
+    let hoverEvent = null;
+    let hoverFrame = 0;
+    let downX = 0;
+    let downY = 0;
+
+    function pointerMove(event) {
+        if (event.buttons) {
+            onHover(null); // Dragging: no tooltip
+            return;
+        }
+        hoverEvent = event;
+        if (!hoverFrame) {
+            hoverFrame = requestAnimationFrame(() => {
+                hoverFrame = 0;
+                onHover(hoverEvent);
+            });
+        }
+    }
+    function pointerLeave() {
+        cancelAnimationFrame(hoverFrame);
+        hoverFrame = 0;
+        onHover(null);
+    }
+    function pointerDown(event) {
+        downX = event.clientX;
+        downY = event.clientY;
+    }
+    function pointerUp(event) {
+        if (event.button !== 0) return;
+        if (Math.hypot(event.clientX - downX, event.clientY - downY) <= CLICK_TOLERANCE) onClick(event);
+    }
+
+    domElement.addEventListener('pointermove', pointerMove);
+    domElement.addEventListener('pointerleave', pointerLeave);
+    domElement.addEventListener('pointerdown', pointerDown);
+    domElement.addEventListener('pointerup', pointerUp);
+    return () => {
+        cancelAnimationFrame(hoverFrame);
+        domElement.removeEventListener('pointermove', pointerMove);
+        domElement.removeEventListener('pointerleave', pointerLeave);
+        domElement.removeEventListener('pointerdown', pointerDown);
+        domElement.removeEventListener('pointerup', pointerUp);
+    };
+}
+
+// --- Highlight ---
+// Translucent shells around a set of atoms, drawn over whatever representation is active.
+// Returns { show(atoms, radiusOf), clear() }.
+export function createHighlight(group, color = HIGHLIGHT_COLOR) {
+    const geometry = new THREE.IcosahedronGeometry(1, 2);
+    const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false });
+    let mesh = null;
+
+    function clear() {
+        if (!mesh) return;
+        mesh.removeFromParent();
+        mesh.dispose();
+        mesh = null;
+    }
+
+    return {
+        show(atoms, radiusOf) {
+            clear();
+            if (atoms.length === 0) return;
+            mesh = new THREE.InstancedMesh(geometry, material, atoms.length);
+            const matrix = new THREE.Matrix4();
+            atoms.forEach((atom, i) => {
+                const radius = radiusOf(atom);
+                matrix.makeScale(radius, radius, radius).setPosition(atom.x, atom.y, atom.z);
+                mesh.setMatrixAt(i, matrix);
+            });
+            mesh.userData.atomIndices = Int32Array.from(atoms, (atom) => atom.index);
+            mesh.userData.highlight = true; // Outlined by render-effects.js
+            mesh.renderOrder = 1; // After the opaque representations
+            group.add(mesh);
+        },
+        clear
+    };
+}
+
+// Shell radius that fits around an atom as it is currently drawn
+export function highlightRadius(representations, atom) {
+    const radii = representations.pickRadii();
+    return Math.max(radii ? radii[atom.index] : 0, HIGHLIGHT_MIN_RADIUS) + HIGHLIGHT_PADDING;
+}
+
+// --- Inspector ---
+// Puts the pieces together for a viewer: tooltip on hover, selection + panel on click.
+// onSelect(atom | null) is called whenever the pinned atom changes, onHover(atom | null)
+// whenever the atom under the pointer does.
+// Returns { setStructure(structure), select(atom), selected() }.
+export function createAtomInspector(camera, domElement, group, representations, onSelect = null, onHover = null) {
+    const picker = createAtomPicker(camera, domElement, group, () => representations.pickRadii());
+    const highlight = createHighlight(group);
+    const tooltip = createTooltip();
+    const panel = createPanel('Selection', () => select(null));
+    let selectedAtom = null;
+    let hoveredAtom = null;
+
+    function select(atom) {
+        selectedAtom = atom;
+        if (!atom) {
+            highlight.clear();
+            panel.close();
+        } else {
+            highlight.show(atom.residue.atoms, (a) => highlightRadius(representations, a));
+            panel.title.textContent = atomLabel(atom);
+            showDetails(panel.body, atomInspection(atom));
+            panel.open();
+        }
+        if (onSelect) onSelect(atom);
+    }
+
+    listenForPicks(domElement, {
+        onHover(event) {
+            const atom = event ? picker.pick(event.clientX, event.clientY) : null;
+            showTooltip(tooltip, atom ? atomDetails(atom) : null, event && event.clientX, event && event.clientY);
+            domElement.style.cursor = atom ? 'pointer' : '';
+            if (atom !== hoveredAtom && onHover) onHover(atom);
+            hoveredAtom = atom;
+        },
+        onClick(event) {
+            select(picker.pick(event.clientX, event.clientY)); // Clicking empty space clears the selection
+        }
+    });
+
+    return {
+        setStructure(structure) {
+            select(null);
+            picker.setStructure(structure);
+        },
+        select,
+        selected() {
+            return selectedAtom;
+        }
+    };
+}
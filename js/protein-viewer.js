@@ -1,8 +1,20 @@
-import * as THREE from 'three';
-import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-
-let scene, camera, renderer, controls, container;
+import { createViewerScene } from './viewer-scene.js';
+import { loadModel, resolveModelSource, modelSourceFromFiles, resolveFitOptions, fitModel, disposeModel, enableModelDrop, MODEL_ACCEPT } from './model-loader.js';
+import { createToolbar, addFileButton, addCheckbox, addNumberInput } from './viewer-ui.js';
+
+let view; // Scene, camera, renderer, controls and render loop (see viewer-scene.js)
+let scene, camera, controls, container;
+let model = null; // The loaded OBJ/glTF/STL model
+let errorMsg = null; // Error message shown over the canvas
+let loadCounter = 0; // Used to ignore results of loads that were superseded by a newer one
+
+// --- IMPORTANT: Path to your model file ---
+// Relative path from protein.html (in pages/) to TESTING.obj (in root); ?model= overrides it.
+// OBJ files pick up their mtllib (e.g. Chimera's TESTING.mtl) from the same directory.
+const defaultModelPath = '../TESTING.obj';
+// ----------------------------------------
+// Centering and scaling of loaded models, from ?center= and ?size= (see model-loader.js)
+const fitOptions = resolveFitOptions();
 
 function init() {
     // Get the container element
@@ -12,110 +24,107 @@ function init() {
         return;
     }
 
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0xcccccc); // Light grey background
-
-    // Camera
-    const fov = 75; // Field of view
-    const aspect = container.clientWidth / container.clientHeight; // Aspect ratio
-    const near = 0.1; // Near clipping plane
-    const far = 1000; // Far clipping plane
-    camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
-    camera.position.z = 5; // Move camera back so we can see the object
-
-    // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true }); // Enable anti-aliasing
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(window.devicePixelRatio); // Adjust for high-DPI screens
-    container.appendChild(renderer.domElement); // Add the canvas to the container
-
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true; // Add inertia to camera movement
-    controls.dampingFactor = 0.05;
-    controls.screenSpacePanning = false;
-    controls.minDistance = 1; // Prevent zooming too close
-    controls.maxDistance = 500; // Prevent zooming too far out
-
-    // Lighting
-    const ambientLight = new THREE.AmbientLight(0x404040, 2); // Soft white light
-    scene.add(ambientLight);
-
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.5);
-    directionalLight.position.set(1, 1, 1).normalize();
-    scene.add(directionalLight);
-
-    // OBJ Loader
-    const loader = new OBJLoader();
-
-    // --- IMPORTANT: Path to your OBJ file ---
-    // Relative path from protein.html (in pages/) to TESTING.obj (in root)
-    const objPath = '../TESTING.obj';
-    // ----------------------------------------
-
-    loader.load(
-        // Resource URL
-        objPath,
-        // Called when resource is loaded
-        function ( object ) {
-            // Optional: Center the object geometry
-            const box = new THREE.Box3().setFromObject(object);
-            const center = box.getCenter(new THREE.Vector3());
-            object.position.sub(center); // Center the object's pivot point
+    // Scene, camera, lights and controls; the canvas follows the container's size
+    view = createViewerScene(container, {
+        background: { dark: 0x333333, light: 0xcccccc }, // Light grey unless the site is dark
+        fov: 75,
+        near: 0.1,
+        far: 1000,
+        cameraDistance: 5, // Move camera back so we can see the object
+        ambientLight: [0x404040, 2], // Soft white light
+        directionalLight: [0xffffff, 1.5],
+        minDistance: 1, // Prevent zooming too close
+        maxDistance: 500 // Prevent zooming too far out
+    });
+    ({ scene, camera, controls } = view);
+
+    // Models can also be picked or dropped, together with their MTL/texture/.bin files
+    const toolbar = createToolbar();
+    addFileButton(toolbar, 'Open model', MODEL_ACCEPT, (files) => {
+        const source = modelSourceFromFiles(files);
+        if (source) loadModelSource(source); else showError('No OBJ, glTF or STL model among the chosen files');
+    }, { multiple: true });
+    addCheckbox(toolbar, 'Center', fitOptions.center, (enabled) => {
+        fitOptions.center = enabled;
+        refitModel();
+    });
+    addNumberInput(toolbar, 'Size', { min: 0, step: 0.5, value: fitOptions.size }, (size) => {
+        fitOptions.size = Math.max(0, size); // 0 keeps the file's own units
+        refitModel();
+    });
+    enableModelDrop(container, loadModelSource, (error) => showError(error.message));
+
+    loadModelSource(resolveModelSource(defaultModelPath));
+}
 
-            // Optional: Scale the object if it's too big or small
-            // const desiredSize = 2; // Example: make the longest dimension 2 units
-            // const currentSize = box.getSize(new THREE.Vector3());
-            // const maxDim = Math.max(currentSize.x, currentSize.y, currentSize.z);
-            // const scale = desiredSize / maxDim;
-            // object.scale.set(scale, scale, scale);
+// --- Load a model (OBJ+MTL, glTF/GLB or STL) ---
+function loadModelSource(source) {
+    const loadId = ++loadCounter;
+    showError(null);
 
-            scene.add( object );
-            console.log('OBJ loaded successfully');
-        },
+    loadModel(
+        source,
         // Called while loading is progressing
         function ( xhr ) {
-            console.log( ( xhr.loaded / xhr.total * 100 ) + '% loaded' );
-        },
-        // Called when loading has errors
-        function ( error ) {
-            console.error( 'An error happened during OBJ loading:', error );
-            // Display an error message to the user
-            const errorMsg = document.createElement('p');
-            errorMsg.textContent = `Error loading model: ${error}. Check console and file path (${objPath}).`;
-            errorMsg.style.color = 'red';
-            errorMsg.style.position = 'absolute';
-            errorMsg.style.top = '10px';
-            errorMsg.style.left = '10px';
-            container.appendChild(errorMsg);
+            if (xhr.lengthComputable) console.log( ( xhr.loaded / xhr.total * 100 ) + '% loaded' );
         }
-    );
-
-    // Handle window resize
-    window.addEventListener('resize', onWindowResize);
+    ).then((object) => {
+        if (loadId !== loadCounter) { // A newer model was requested meanwhile
+            disposeModel(object);
+            return;
+        }
+        if (model) {
+            scene.remove(model);
+            disposeModel(model);
+        }
+        model = object;
+        scene.add(model);
+        refitModel();
+        console.log(`${source.name} loaded successfully`);
+    }).catch((error) => {
+        console.error('An error happened during model loading:', error);
+        if (loadId !== loadCounter) return;
+        // Display an error message to the user
+        showError(`Error loading model: ${error.message || error}. Check console and file path (${source.url || source.name}).`);
+    });
 }
 
-function onWindowResize() {
-    if (!container) return;
-    // Update camera aspect ratio
-    camera.aspect = container.clientWidth / container.clientHeight;
+// --- Center/scale the model and frame the camera on it ---
+function refitModel() {
+    if (!model) return;
+    const sphere = fitModel(model, fitOptions);
+    const radius = Math.max(sphere.radius, 0.01);
+
+    // Keep the viewing direction, move back far enough to see the whole model
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    if (direction.lengthSq() === 0) direction.set(0, 0, 1);
+    controls.target.copy(sphere.center);
+    camera.position.copy(sphere.center).addScaledVector(direction, radius * 2.5);
+    // Unscaled models (e.g. in Angstrom) can be much larger than the defaults allow
+    controls.maxDistance = Math.max(500, radius * 10);
+    camera.far = Math.max(1000, radius * 20);
     camera.updateProjectionMatrix();
-
-    // Update renderer size
-    renderer.setSize(container.clientWidth, container.clientHeight);
+    controls.update();
 }
 
-function animate() {
-    requestAnimationFrame(animate); // Loop the animation
-
-    controls.update(); // Required if controls.enableDamping is true
-
-    renderer.render(scene, camera); // Render the scene
+function showError(message) {
+    if (!message) {
+        if (errorMsg) errorMsg.remove();
+        return;
+    }
+    if (!errorMsg) {
+        errorMsg = document.createElement('p');
+        errorMsg.style.color = 'red';
+        errorMsg.style.position = 'absolute';
+        errorMsg.style.top = '10px';
+        errorMsg.style.left = '10px';
+    }
+    errorMsg.textContent = message;
+    container.appendChild(errorMsg);
 }
 
 // Start the process
 init();
-if (renderer) { // Only start animation if init was successful
-    animate();
+if (view) { // Only start animation if init was successful
+    view.start();
 }
\ No newline at end of file
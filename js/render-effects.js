@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { GTAOPass } from 'three/addons/postprocessing/GTAOPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { addSelect, addCheckbox, addRange, addButton, createPanel } from './viewer-ui.js';
+
+// Depth aids for crowded structures, on top of a viewer scene (see viewer-scene.js):
+//   fog          depth cueing, fading the far side of the molecule into the background
+//   occlusion    screen-space ambient occlusion (three's GTAOPass) darkening pockets and crevices
+//   outline      edges around the highlighted atoms (picked atom, selections; see picking.js)
+//   slab         near and far clipping planes facing the camera, to look into the core;
+//                Shift+wheel moves it, Alt+wheel makes it thicker or thinner
+// Presets switch all of them at once, from a 'publication' look to a 'fast' one. Occlusion and
+// outlines run through an EffectComposer, so they only cost anything while switched on. PNG and
+// turntable exports (export.js) get a composer of their own at the export size through
+// createExportFrames. dispose() runs with the view's (see viewer-scene.js).
+// Returns { applyPreset(id), setBounds(box), setSize(width, height), createExportFrames(width, height),
+// dispose(), settings, slab }.
+
+// --- Configuration ---
+export const EFFECT_PRESETS = {
+    publication: { label: 'Publication', fog: true, occlusion: true, outline: true },
+    standard: { label: 'Standard', fog: true, occlusion: false, outline: true },
+    fast: { label: 'Fast', fog: false, occlusion: false, outline: false }
+};
+const OCCLUSION = { radius: 4, distanceExponent: 1, thickness: 2, scale: 1.5, samples: 16 }; // Å, about an atom
+const FOG_START = -0.2; // Fog from this many radii in front of the molecule center...
+const FOG_END = 1.5; // ...to this many behind it
+const OUTLINE_COLORS = { dark: 0xffffff, light: 0x222222 }; // Follows the site theme
+const MIN_SLAB = 1; // Å
+
+// --- Effects ---
+// group: the molecule group, whose bounds (setBounds, in group coordinates) place the fog and
+// size the slab controls.
+export function createRenderEffects(view, toolbar, { group, preset = 'fast' }) {
+    const { scene, camera, renderer, controls } = view;
+    const settings = { fog: false, occlusion: false, outline: false };
+    const slab = { enabled: false, thickness: 20, offset: 0 }; // Å, offset from the molecule center
+    const bounds = new THREE.Sphere(new THREE.Vector3(), -1); // Empty until setBounds()
+    const worldBounds = new THREE.Sphere();
+    const fog = new THREE.Fog(0x000000, 1, 2);
+    fog.color = scene.background; // The themed color object of viewer-scene.js, so the fog follows the theme
+    const nearPlane = new THREE.Plane();
+    const farPlane = new THREE.Plane();
+    const direction = new THREE.Vector3();
+    const point = new THREE.Vector3();
+    let composer = null; // Built the first time occlusion or outlines are switched on
+    let occlusionPass = null;
+    let outlinePass = null;
+
+    // --- Controls ---
+    const presetOptions = { custom: 'Custom' };
+    for (const [id, { label }] of Object.entries(EFFECT_PRESETS)) presetOptions[id] = label;
+    const presetSelect = addSelect(toolbar, 'Look', presetOptions, preset, (id) => effects.applyPreset(id));
+    const panel = createPanel('Rendering');
+    addButton(toolbar, 'Rendering', () => {
+        if (panel.element.hidden) panel.open(); else panel.close();
+    });
+    const inputs = {};
+    for (const [key, label] of [['fog', 'Depth cueing'], ['occlusion', 'Ambient occlusion'], ['outline', 'Outline selection']]) {
+        inputs[key] = addCheckbox(panelRow(), label, false, (enabled) => {
+            set(key, enabled);
+            presetSelect.value = 'custom';
+        });
+    }
+    const slabToggle = addCheckbox(panelRow(), 'Clipping slab', false, (enabled) => setSlab(enabled));
+    const thicknessInput = addRange(panelRow(), 'Thickness (Å)', { min: MIN_SLAB, max: 100, step: 0.5, value: slab.thickness }, (value) => {
+        slab.thickness = value;
+    });
+    const offsetInput = addRange(panelRow(), 'Position (Å)', { min: -50, max: 50, step: 0.5, value: slab.offset }, (value) => {
+        slab.offset = value;
+    });
+    const hint = document.createElement('div');
+    hint.className = 'viewer-status';
+    hint.textContent = 'Shift+wheel moves the slab, Alt+wheel changes its thickness';
+    panel.body.appendChild(hint);
+
+    function panelRow() {
+        const row = document.createElement('div');
+        row.className = 'viewer-panel-row';
+        panel.body.appendChild(row);
+        return row;
+    }
+
+    function set(key, enabled) {
+        settings[key] = enabled;
+        inputs[key].checked = enabled;
+        scene.fog = settings.fog ? fog : null;
+        if ((settings.occlusion || settings.outline) && !composer) buildComposer();
+        if (occlusionPass) occlusionPass.enabled = settings.occlusion;
+        if (outlinePass) outlinePass.enabled = settings.outline;
+    }
+
+    function setSlab(enabled) {
+        slab.enabled = enabled;
+        slabToggle.checked = enabled;
+        renderer.clippingPlanes = enabled ? [nearPlane, farPlane] : [];
+    }
+
+    // Modifier + wheel adjusts the slab instead of zooming; the listener runs before OrbitControls'
+    function onWheel(event) {
+        if (!slab.enabled || !(event.shiftKey || event.altKey)) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        const step = Math.sign(event.deltaY || event.deltaX) * Math.max(0.5, bounds.radius / 50);
+        if (event.altKey) {
+            slab.thickness = Math.max(MIN_SLAB, slab.thickness + step);
+            thicknessInput.value = slab.thickness;
+        } else {
+            slab.offset += step;
+            offsetInput.value = slab.offset;
+        }
+    }
+    renderer.domElement.addEventListener('wheel', onWheel, { capture: true, passive: false });
+
+    // --- Post-processing ---
+    // Scene, occlusion and outline passes, width x height in CSS px
+    function createComposer(width, height, pixelRatio) {
+        const target = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 }); // Keeps the antialiasing
+        const passes = { composer: new EffectComposer(renderer, target) };
+        passes.composer.setPixelRatio(pixelRatio);
+        passes.composer.setSize(width, height);
+        passes.composer.addPass(new RenderPass(scene, camera));
+        passes.occlusion = new GTAOPass(scene, camera, width, height, undefined, OCCLUSION);
+        passes.composer.addPass(passes.occlusion);
+        passes.outline = new OutlinePass(new THREE.Vector2(width, height), scene, camera);
+        passes.outline.edgeStrength = 4;
+        passes.outline.edgeThickness = 1;
+        passes.outline.hiddenEdgeColor.set(0x000000); // Nothing where the atom is behind others
+        passes.outline.visibleEdgeColor.set(OUTLINE_COLORS[window.siteTheme.get()]);
+        passes.composer.addPass(passes.outline);
+        return passes;
+    }
+
+    function buildComposer() {
+        const size = renderer.getSize(new THREE.Vector2());
+        ({ composer, occlusion: occlusionPass, outline: outlinePass } = createComposer(size.x, size.y, renderer.getPixelRatio()));
+        composer.addPass(new OutputPass());
+    }
+
+    // The render targets are freed by the composer, the passes' own ones by the passes
+    function disposeComposer(effectComposer) {
+        for (const pass of effectComposer.passes) pass.dispose();
+        effectComposer.dispose();
+    }
+
+    function applyOutlineTheme() {
+        if (outlinePass) outlinePass.visibleEdgeColor.set(OUTLINE_COLORS[window.siteTheme.get()]);
+    }
+    const removeThemeListener = window.siteTheme.onChange(applyOutlineTheme);
+
+    function highlighted() {
+        const objects = [];
+        group.traverse((object) => {
+            if (object.userData.highlight && object.visible) objects.push(object);
+        });
+        return objects;
+    }
+
+    // --- Every frame ---
+    // Slab and fog are placed along the current view direction, around the molecule center (the
+    // orbit target until there are bounds). The fog spans the molecule, or the slab while there
+    // is one (its back then two thirds faded).
+    function updateDepth() {
+        camera.getWorldDirection(direction);
+        const cameraDepth = camera.position.dot(direction);
+        if (!bounds.isEmpty()) {
+            group.updateWorldMatrix(true, false);
+            worldBounds.copy(bounds).applyMatrix4(group.matrixWorld);
+        }
+        const center = bounds.isEmpty() ? controls.target : worldBounds.center;
+        let front = center.dot(direction) - cameraDepth + FOG_START * worldBounds.radius;
+        let back = center.dot(direction) - cameraDepth + FOG_END * worldBounds.radius;
+        if (slab.enabled) {
+            const middle = point.copy(center).addScaledVector(direction, slab.offset).dot(direction);
+            nearPlane.normal.copy(direction);
+            nearPlane.constant = slab.thickness / 2 - middle;
+            farPlane.normal.copy(direction).negate();
+            farPlane.constant = middle + slab.thickness / 2;
+            front = middle - cameraDepth - slab.thickness / 2;
+            back = front + slab.thickness * 1.5;
+        } else if (bounds.isEmpty()) {
+            return;
+        }
+        fog.near = Math.max(0, front);
+        fog.far = Math.max(fog.near + 1, back);
+    }
+
+    function render() {
+        updateDepth();
+        if (composer && (settings.occlusion || settings.outline)) {
+            if (settings.outline) outlinePass.selectedObjects = highlighted();
+            composer.render();
+        } else {
+            renderer.render(scene, camera);
+        }
+    }
+    view.setRender(render);
+
+    const effects = {
+        settings,
+        slab,
+        applyPreset(id) {
+            const chosen = EFFECT_PRESETS[id];
+            if (!chosen) return;
+            presetSelect.value = id;
+            for (const key of Object.keys(settings)) set(key, chosen[key]);
+        },
+        // box: what the molecule group draws (representations.boundingBox()); the slab starts
+        // as thick as the molecule's radius and centered on it
+        setBounds(box) {
+            if (box.isEmpty()) {
+                bounds.makeEmpty();
+                return;
+            }
+            box.getBoundingSphere(bounds);
+            const extent = Math.ceil(bounds.radius * 2);
+            thicknessInput.max = extent;
+            offsetInput.min = -extent;
+            offsetInput.max = extent;
+            slab.thickness = thicknessInput.value = Math.max(MIN_SLAB, Math.round(bounds.radius));
+            slab.offset = offsetInput.value = 0;
+        },
+        // Call from the viewer's onResize
+        setSize(width, height) {
+            if (!composer) return;
+            composer.setPixelRatio(renderer.getPixelRatio());
+            composer.setSize(width, height);
+        },
+        // Export frames with occlusion and outlines (see export.js), or null while both are off and
+        // a plain render does. The passes render at the export size; the final output pass then
+        // writes the sRGB-encoded result into an 8-bit target the pixels are read from.
+        // Returns { target, render(), dispose() }.
+        createExportFrames(width, height) {
+            if (!settings.occlusion && !settings.outline) return null;
+            const passes = createComposer(width, height, 1);
+            passes.composer.renderToScreen = false;
+            passes.occlusion.enabled = settings.occlusion;
+            passes.outline.enabled = settings.outline;
+            const outputPass = new OutputPass();
+            const target = new THREE.WebGLRenderTarget(width, height);
+            return {
+                target,
+                render() {
+                    updateDepth();
+                    if (settings.outline) passes.outline.selectedObjects = highlighted();
+                    passes.composer.render();
+                    outputPass.render(renderer, target, passes.composer.readBuffer);
+                },
+                dispose() {
+                    disposeComposer(passes.composer);
+                    outputPass.dispose();
+                    target.dispose();
+                }
+            };
+        },
+        // Switches the effects off and frees them; the view then renders plainly again
+        dispose() {
+            renderer.domElement.removeEventListener('wheel', onWheel, { capture: true });
+            removeThemeListener();
+            view.setRender(null);
+            scene.fog = null;
+            renderer.clippingPlanes = [];
+            if (composer) disposeComposer(composer);
+            composer = occlusionPass = outlinePass = null;
+        }
+    };
+    effects.applyPreset(preset);
+    view.onDispose(effects.dispose);
+    return effects;
+}
@@ -0,0 +1,809 @@
+import * as THREE from 'three';
+import { edgeTable, triTable } from 'three/addons/objects/MarchingCubes.js';
+import { vdwRadius } from './elements.js';
+import { residueKind } from './residues.js';
+import { extractIsosurface } from './marching-cubes.js';
+import { createColorWave } from './color-wave.js';
+import { isIdentityOperator } from './assemblies.js';
+
+// Molecular representations built from a structure (see structure-model.js).
+// Every representation is a layer: one style applied to a set of atoms. Several layers can
+// live side by side in the same group, e.g. a cartoon for the protein and sticks for a ligand.
+// Colors are always passed in per atom (Float32Array, 3 linear RGB floats per atom index).
+
+// --- Configuration ---
+// Level of detail for instanced atoms and bonds: [subdivisions, used from this camera distance
+// measured in atom/stick radii]. Icosahedron detail 3/1/0 is 320/80/20 faces.
+const SPHERE_LODS = [[3, 0], [1, 40], [0, 120]];
+const STICK_LODS = [[8, 0], [5, 60], [3, 150]]; // Cylinder segments
+const CHUNK_MIN_SIZE = 20; // Angstrom; instances are split into chunks at least this big...
+const CHUNK_MAX_COUNT = 256; // ...and at most this many, so draw calls stay bounded
+const BALL_RADIUS = 0.4; // Ball-and-stick atom radius (the old fixed atom sphere size)
+const STICK_RADIUS = 0.15;
+const LICORICE_RADIUS = 0.3;
+const CARTOON_SAMPLES = 6; // Spline points per residue
+const CARTOON_RING = 8; // Vertices around the ribbon/tube cross-section
+const CARTOON_SHAPES = { // Half width and half thickness of the cross-section per secondary structure
+    helix: [1.2, 0.25],
+    sheet: [1.0, 0.25],
+    coil: [0.3, 0.3]
+};
+const SURFACE_SPACING = 0.8; // Grid spacing in Angstrom, increased for big structures
+const SURFACE_MAX_VOXELS = 4e6;
+const SURFACE_FALLOFF = 2.0; // Sharpness of the gaussian atoms; higher = closer to the vdW spheres
+
+export const REPRESENTATION_TYPES = {
+    'ball-and-stick': 'Ball and stick',
+    spacefill: 'Spacefill',
+    licorice: 'Licorice',
+    cartoon: 'Cartoon',
+    surface: 'Surface'
+};
+
+// --- Layers ---
+// atomIndices: the atoms this layer draws (null = all atoms).
+// Returns { type, atomIndices, object, applyColors(colors), dispose() }.
+export function createRepresentation(type, structure, atomIndices = null) {
+    const atoms = atomIndices ? Array.from(atomIndices, (i) => structure.atoms[i]) : structure.atoms;
+    let parts;
+
+    switch (type) {
+        case 'ball-and-stick':
+            parts = [buildSpheres(atoms, () => BALL_RADIUS), buildSticks(structure, atoms, STICK_RADIUS)];
+            break;
+        case 'spacefill':
+            parts = [buildSpheres(atoms, (atom) => vdwRadius(atom.element))];
+            break;
+        case 'licorice':
+            parts = [buildSpheres(atoms, () => LICORICE_RADIUS), buildSticks(structure, atoms, LICORICE_RADIUS)];
+            break;
+        case 'cartoon':
+            parts = [buildCartoon(atoms)];
+            break;
+        case 'surface':
+            parts = [buildSurface(atoms)];
+            break;
+        default:
+            throw new Error(`Unknown representation: ${type}`);
+    }
+
+    const object = new THREE.Group();
+    object.name = type;
+    parts.filter(Boolean).forEach((part) => object.add(part.object));
+
+    return {
+        type,
+        atomIndices,
+        object,
+        applyColors(colors) {
+            parts.forEach((part) => part && part.applyColors(colors));
+        },
+        dispose() {
+            object.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            object.removeFromParent();
+        }
+    };
+}
+
+// Radius of the sphere an atom occupies in a style (0 = not drawn), used for picking.
+function pickRadius(type, atom) {
+    switch (type) {
+        case 'ball-and-stick':
+            return BALL_RADIUS;
+        case 'licorice':
+            return LICORICE_RADIUS;
+        case 'spacefill':
+        case 'surface':
+            return vdwRadius(atom.element);
+        case 'cartoon':
+            return atom.name === 'CA' || atom.name === 'P' ? CARTOON_SHAPES.helix[0] : 0;
+        default:
+            return 0;
+    }
+}
+
+// Keeps the layers of one viewer in a group and rebuilds them when the structure changes.
+// Multi-model files (NMR ensembles, trajectories) show one model at a time (see setModel), and
+// a biological assembly is drawn as copies of the layers sharing their GPU buffers (see setAssembly).
+export function createRepresentationSet(group) {
+    const layers = [];
+    let structure = null;
+    let colors = null;
+    let radii = null; // Cached pickRadii(), reset whenever the layers change
+    let hidden = null; // Uint8Array, 1 for atoms left out of every layer (see setHidden)
+    let model = null; // Model shown on its own, null = all models
+    let assembly = null; // Biological assembly drawn instead of the deposited chains
+    let parts = null; // Cached drawnParts(), reset whenever the model or assembly changes
+    const wave = createColorWave(); // GPU color wave shared by all layers
+
+    // What every layer draws: [{ mask, matrices, pickable }], the atoms (Uint8Array, null = all)
+    // and the copies to place (THREE.Matrix4 list, null = once where they are). Picking only knows
+    // the atom coordinates, so atoms are only pickable when one copy stays in place.
+    function drawnParts() {
+        if (parts) return parts;
+        const modelMask = model ? modelAtomMask(structure, model) : null;
+        if (!assembly) {
+            parts = [{ mask: modelMask, matrices: null, pickable: true }];
+            return parts;
+        }
+        parts = assembly.generators.map(({ chains, operators }) => {
+            const chainIds = new Set(chains);
+            const mask = new Uint8Array(structure.atoms.length);
+            for (const atom of structure.atoms) {
+                mask[atom.index] = chainIds.has(atom.residue.chain.id) && (!modelMask || modelMask[atom.index]) ? 1 : 0;
+            }
+            return {
+                mask,
+                matrices: operators.map(({ matrix }) => operatorMatrix(matrix)),
+                pickable: operators.some(({ matrix }) => isIdentityOperator(matrix))
+            };
+        });
+        return parts;
+    }
+
+    function build(layer) {
+        radii = null;
+        if (layer.type === 'none') return; // Layer kept (e.g. in the UI) but hidden
+        const representations = drawnParts().map(({ mask, matrices, pickable }) => {
+            let atomIndices = layer.atomIndices;
+            if (hidden || mask) {
+                atomIndices = Array.from(atomIndices || structure.atoms.keys()).filter((i) => (!hidden || !hidden[i]) && (!mask || mask[i]));
+            }
+            const representation = createRepresentation(layer.type, structure, atomIndices);
+            if (colors) representation.applyColors(colors);
+            wave.attach(representation.object);
+            if (matrices) placeCopies(representation, matrices);
+            if (!pickable) representation.atomIndices = [];
+            return representation;
+        });
+        layer.representation = representations.length === 1 ? representations[0] : combineRepresentations(layer.type, representations);
+        group.add(layer.representation.object);
+    }
+
+    function rebuild() {
+        if (!structure) return;
+        layers.forEach((layer) => {
+            if (layer.representation) layer.representation.dispose();
+            layer.representation = null;
+            build(layer);
+        });
+    }
+
+    return {
+        layers,
+        setStructure(newStructure, newColors) {
+            structure = newStructure;
+            colors = newColors;
+            hidden = null;
+            model = structure.models.length > 1 ? structure.models[0] : null;
+            assembly = null;
+            parts = null;
+            wave.setStructure(structure);
+            layers.forEach((layer) => {
+                if (layer.representation) layer.representation.dispose();
+                // Selections refer to atom indices of the old structure
+                layer.atomIndices = layer.select ? layer.select(structure) : null;
+                build(layer);
+            });
+        },
+        // select(structure) returns the atom indices for this layer (omit it for all atoms),
+        // so the layer follows along when another structure is loaded.
+        add(type, select = null, label = 'all') {
+            const layer = { type, select, label, atomIndices: null, representation: null };
+            layers.push(layer);
+            if (structure) {
+                layer.atomIndices = select ? select(structure) : null;
+                build(layer);
+            }
+            return layer;
+        },
+        setType(layer, type) {
+            layer.type = type;
+            if (layer.representation) layer.representation.dispose();
+            layer.representation = null;
+            radii = null;
+            if (structure) build(layer);
+        },
+        remove(layer) {
+            const index = layers.indexOf(layer);
+            if (index === -1) return; // Already removed, or of another set
+            if (layer.representation) layer.representation.dispose();
+            layer.representation = null;
+            layers.splice(index, 1);
+            radii = null;
+        },
+        // Hides atoms in all layers; mask is a per-atom array with 1 = hidden, or null to show everything.
+        setHidden(mask) {
+            hidden = mask;
+            rebuild();
+        },
+        hidden() {
+            return hidden;
+        },
+        // Shows only one of structure.models, or all of them superimposed (null).
+        // A new structure starts on its first model.
+        setModel(newModel) {
+            model = newModel;
+            parts = null;
+            rebuild();
+        },
+        model() {
+            return model;
+        },
+        // Draws one of structure.assemblies (see assemblies.js), or the deposited chains (null)
+        setAssembly(newAssembly) {
+            assembly = newAssembly;
+            parts = null;
+            rebuild();
+        },
+        assembly() {
+            return assembly;
+        },
+        // Box around everything drawn (in the group's coordinates), copies included
+        boundingBox() {
+            const box = new THREE.Box3();
+            if (!structure) return box;
+            const partBox = new THREE.Box3();
+            const point = new THREE.Vector3();
+            for (const { mask, matrices } of drawnParts()) {
+                partBox.makeEmpty();
+                for (const atom of structure.atoms) {
+                    if (!mask || mask[atom.index]) partBox.expandByPoint(point.set(atom.x, atom.y, atom.z));
+                }
+                if (partBox.isEmpty()) continue;
+                if (!matrices) box.union(partBox);
+                for (const matrix of matrices || []) box.union(partBox.clone().applyMatrix4(matrix));
+            }
+            return box;
+        },
+        // Per-atom radius of what is currently drawn (Float32Array by atom index, 0 = hidden)
+        pickRadii() {
+            if (radii || !structure) return radii;
+            radii = new Float32Array(structure.atoms.length);
+            for (const layer of layers) {
+                if (!layer.representation) continue;
+                const { atomIndices } = layer.representation;
+                const atoms = atomIndices ? Array.from(atomIndices, (i) => structure.atoms[i]) : structure.atoms;
+                for (const atom of atoms) {
+                    radii[atom.index] = Math.max(radii[atom.index], pickRadius(layer.type, atom));
+                }
+            }
+            return radii;
+        },
+        applyColors(newColors) {
+            colors = newColors;
+            layers.forEach((layer) => {
+                if (layer.representation) layer.representation.applyColors(colors);
+            });
+        },
+        // Animated rainbow wave drawn on the GPU (see color-wave.js): options { time, speed, frequency }
+        // or null to show the applied colors. Cheap enough to call every frame.
+        setColorWave(options) {
+            wave.update(options);
+        },
+        // mask: per-atom array, 1 = keep the applied color under the wave (e.g. selection colors)
+        setColorWaveExcluded(mask) {
+            wave.setExcluded(mask);
+            layers.forEach((layer) => {
+                if (layer.representation) wave.attach(layer.representation.object);
+            });
+        }
+    };
+}
+
+// --- Models and assemblies ---
+function modelAtomMask(structure, model) {
+    const mask = new Uint8Array(structure.atoms.length);
+    for (const chain of model.chains) {
+        for (const residue of chain.residues) {
+            for (const atom of residue.atoms) mask[atom.index] = 1;
+        }
+    }
+    return mask;
+}
+
+// Row-major 3x4 operator from assemblies.js
+function operatorMatrix(m) {
+    return new THREE.Matrix4().set(m[0], m[1], m[2], m[3], m[4], m[5], m[6], m[7], m[8], m[9], m[10], m[11], 0, 0, 0, 1);
+}
+
+// Puts the representation's object in place once per matrix: the first copy is the object itself,
+// the others share its geometry, materials and instance buffers, so each costs only its draw calls.
+function placeCopies(representation, matrices) {
+    const { object: original, dispose } = representation;
+    const object = new THREE.Group();
+    object.name = original.name;
+    matrices.forEach((matrix, i) => {
+        const copy = i === 0 ? original : shareObject(original);
+        copy.matrixAutoUpdate = false;
+        copy.matrix.copy(matrix);
+        object.add(copy);
+    });
+    representation.object = object;
+    representation.dispose = () => {
+        dispose();
+        object.removeFromParent();
+    };
+}
+
+// Another drawing of object on the same buffers (see placeCopies)
+function shareObject(source) {
+    let copy;
+    if (source.isInstancedMesh) {
+        copy = new THREE.InstancedMesh(source.geometry, source.material, 0);
+        copy.instanceMatrix = source.instanceMatrix;
+        copy.instanceColor = source.instanceColor;
+        copy.count = source.count;
+        copy.boundingSphere = source.boundingSphere;
+    } else if (source.isLOD) {
+        copy = new THREE.LOD();
+        source.levels.forEach((level) => copy.addLevel(shareObject(level.object), level.distance, level.hysteresis));
+    } else if (source.isMesh) {
+        copy = new THREE.Mesh(source.geometry, source.material);
+    } else {
+        copy = new THREE.Group();
+    }
+    copy.name = source.name;
+    copy.position.copy(source.position);
+    copy.quaternion.copy(source.quaternion);
+    copy.scale.copy(source.scale);
+    copy.frustumCulled = source.frustumCulled;
+    if (!source.isLOD) source.children.forEach((child) => copy.add(shareObject(child)));
+    return copy;
+}
+
+// One layer drawn from several representations (the generators of an assembly)
+function combineRepresentations(type, representations) {
+    const object = new THREE.Group();
+    object.name = type;
+    representations.forEach((representation) => object.add(representation.object));
+    return {
+        type,
+        atomIndices: representations.flatMap((representation) => Array.from(representation.atomIndices || [])),
+        object,
+        applyColors(colors) {
+            representations.forEach((representation) => representation.applyColors(colors));
+        },
+        dispose() {
+            representations.forEach((representation) => representation.dispose());
+            object.removeFromParent();
+        }
+    };
+}
+
+// --- Common selections ---
+export function polymerAtoms(structure) {
+    return atomsWhere(structure, (atom) => {
+        const kind = residueKind(atom.residue);
+        return kind === 'protein' || kind === 'nucleic';
+    });
+}
+
+export function ligandAtoms(structure) {
+    return atomsWhere(structure, (atom) => {
+        const kind = residueKind(atom.residue);
+        return kind === 'ligand' || kind === 'ion';
+    });
+}
+
+export function atomsWhere(structure, predicate) {
+    const indices = [];
+    for (const atom of structure.atoms) {
+        if (predicate(atom)) indices.push(atom.index);
+    }
+    return indices;
+}
+
+// --- Spheres ---
+// Chunked instances (see buildInstanceChunks); userData.atomIndices maps instanceId -> atom index.
+function buildSpheres(atoms, radiusOf) {
+    let maxRadius = 0;
+    for (const atom of atoms) maxRadius = Math.max(maxRadius, radiusOf(atom));
+    const levels = SPHERE_LODS.map(([detail, distance]) => [new THREE.IcosahedronGeometry(1, detail), distance * maxRadius]);
+
+    return buildInstanceChunks(atoms.length, levels, {
+        centerAt(i, target) {
+            return target.set(atoms[i].x, atoms[i].y, atoms[i].z);
+        },
+        matrixAt(i, target) {
+            const radius = radiusOf(atoms[i]);
+            return target.makeScale(radius, radius, radius).setPosition(atoms[i].x, atoms[i].y, atoms[i].z);
+        },
+        atomAt: (i) => atoms[i].index
+    });
+}
+
+// --- Sticks ---
+// Two instanced half-cylinders per bond, each colored like the atom it starts from.
+function buildSticks(structure, atoms, radius) {
+    const included = new Set(atoms.map((atom) => atom.index));
+    const bonds = structure.bonds.filter(([a, b]) => included.has(a) && included.has(b));
+    if (bonds.length === 0) return null;
+
+    const levels = STICK_LODS.map(([segments, distance]) => [new THREE.CylinderGeometry(1, 1, 1, segments, 1, true), distance * radius]);
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    const middle = new THREE.Vector3();
+
+    // Half i * 2 runs from atom a to the bond middle, half i * 2 + 1 from the middle to atom b
+    function halfEnds(i) {
+        const [a, b] = bonds[i >> 1];
+        start.set(structure.atoms[a].x, structure.atoms[a].y, structure.atoms[a].z);
+        end.set(structure.atoms[b].x, structure.atoms[b].y, structure.atoms[b].z);
+        middle.addVectors(start, end).multiplyScalar(0.5);
+        return i % 2 === 0 ? [start, middle] : [middle, end];
+    }
+
+    return buildInstanceChunks(bonds.length * 2, levels, {
+        centerAt(i, target) {
+            const [from, to] = halfEnds(i);
+            return target.addVectors(from, to).multiplyScalar(0.5);
+        },
+        matrixAt(i, target) {
+            const [from, to] = halfEnds(i);
+            return cylinderMatrix(from, to, radius, target);
+        },
+        atomAt: (i) => bonds[i >> 1][i % 2]
+    });
+}
+
+// --- Chunked instancing ---
+// Instances are bucketed into spatial chunks. Each chunk is a THREE.LOD holding one InstancedMesh
+// per detail level (levels: [[geometry, fromDistance], ...]), so distant chunks are drawn with
+// coarse geometry and chunks outside the view are frustum-culled as a whole. The levels of a
+// chunk share their instance matrices and colors; instance matrices are relative to the chunk.
+function buildInstanceChunks(count, levels, { centerAt, matrixAt, atomAt }) {
+    const material = new THREE.MeshPhongMaterial({ shininess: 30 });
+    const group = new THREE.Group();
+    const chunks = [];
+    const center = new THREE.Vector3();
+    const matrix = new THREE.Matrix4();
+
+    for (const items of chunkInstances(count, centerAt)) {
+        const box = new THREE.Box3();
+        for (const i of items) box.expandByPoint(centerAt(i, center));
+        const chunkCenter = box.getCenter(new THREE.Vector3());
+        const chunkRadius = box.getBoundingSphere(new THREE.Sphere()).radius;
+
+        const matrices = new THREE.InstancedBufferAttribute(new Float32Array(items.length * 16), 16);
+        const colors = new THREE.InstancedBufferAttribute(new Float32Array(items.length * 3), 3);
+        const atomIndices = new Int32Array(items.length);
+        items.forEach((item, i) => {
+            matrixAt(item, matrix);
+            matrix.elements[12] -= chunkCenter.x;
+            matrix.elements[13] -= chunkCenter.y;
+            matrix.elements[14] -= chunkCenter.z;
+            matrix.toArray(matrices.array, i * 16);
+            atomIndices[i] = atomAt(item);
+        });
+
+        const lod = new THREE.LOD();
+        lod.position.copy(chunkCenter);
+        let boundingSphere = null;
+        for (const [geometry, distance] of levels) {
+            const mesh = new THREE.InstancedMesh(shareGeometry(geometry), material, 0);
+            mesh.count = items.length;
+            mesh.instanceMatrix = matrices;
+            mesh.instanceColor = colors;
+            if (!boundingSphere) {
+                mesh.computeBoundingSphere();
+                boundingSphere = mesh.boundingSphere;
+            }
+            mesh.boundingSphere = boundingSphere; // Same instances in every level
+            mesh.userData.atomIndices = atomIndices;
+            lod.addLevel(mesh, distance > 0 ? distance + chunkRadius : 0);
+        }
+        group.add(lod);
+        chunks.push({ atomIndices, colors });
+    }
+
+    return {
+        object: group,
+        applyColors(colors) {
+            for (const chunk of chunks) copyColors(colors, chunk.atomIndices, chunk.colors);
+        }
+    };
+}
+
+// Instance indices grouped by grid cell (counting sort, like spatial-grid.js)
+function chunkInstances(count, centerAt) {
+    if (count === 0) return [];
+    const centers = new Float32Array(count * 3);
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+    const point = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        centerAt(i, point).toArray(centers, i * 3);
+        min.min(point);
+        max.max(point);
+    }
+
+    const size = new THREE.Vector3().subVectors(max, min);
+    const volume = Math.max(size.x, 1) * Math.max(size.y, 1) * Math.max(size.z, 1);
+    let cellSize = Math.max(CHUNK_MIN_SIZE, Math.cbrt(volume / CHUNK_MAX_COUNT));
+    let nx, ny, nz;
+    for (;;) {
+        nx = Math.floor(size.x / cellSize) + 1;
+        ny = Math.floor(size.y / cellSize) + 1;
+        nz = Math.floor(size.z / cellSize) + 1;
+        if (nx * ny * nz <= CHUNK_MAX_COUNT) break;
+        cellSize *= 1.1; // Partly filled cells at the edges
+    }
+
+    const cells = new Int32Array(count);
+    const starts = new Int32Array(nx * ny * nz + 1);
+    for (let i = 0; i < count; i++) {
+        const x = Math.floor((centers[i * 3] - min.x) / cellSize);
+        const y = Math.floor((centers[i * 3 + 1] - min.y) / cellSize);
+        const z = Math.floor((centers[i * 3 + 2] - min.z) / cellSize);
+        cells[i] = x + nx * (y + ny * z);
+        starts[cells[i] + 1]++;
+    }
+    for (let c = 0; c < nx * ny * nz; c++) starts[c + 1] += starts[c];
+    const sorted = new Int32Array(count);
+    const fill = starts.slice(0, -1);
+    for (let i = 0; i < count; i++) sorted[fill[cells[i]]++] = i;
+
+    const chunks = [];
+    for (let c = 0; c < nx * ny * nz; c++) {
+        if (starts[c + 1] > starts[c]) chunks.push(sorted.subarray(starts[c], starts[c + 1]));
+    }
+    return chunks;
+}
+
+// New geometry on the same buffers, so every mesh can carry its own extra attributes (see color-wave.js)
+function shareGeometry(base) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(base.index);
+    for (const [name, attribute] of Object.entries(base.attributes)) geometry.setAttribute(name, attribute);
+    if (!base.boundingSphere) base.computeBoundingSphere();
+    geometry.boundingSphere = base.boundingSphere;
+    return geometry;
+}
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _direction = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _rotation = new THREE.Quaternion();
+
+// CylinderGeometry is a unit-height cylinder along Y; stretch and turn it from `from` to `to`.
+export function cylinderMatrix(from, to, radius, target) {
+    _direction.subVectors(to, from);
+    const length = _direction.length();
+    _rotation.setFromUnitVectors(_up, _direction.divideScalar(length || 1));
+    _center.addVectors(from, to).multiplyScalar(0.5);
+    _scale.set(radius, length, radius);
+    return target.compose(_center, _rotation, _scale);
+}
+
+// --- Cartoon ---
+// Spline through the CA (protein) or P (nucleic acid) atoms of each chain, swept with a
+// flat ribbon for helices and sheets and a thin tube for coil.
+function buildCartoon(atoms) {
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    const vertexAtoms = [];
+
+    for (const segment of traceSegments(atoms)) {
+        sweepSegment(segment, positions, normals, indices, vertexAtoms);
+    }
+    if (positions.length === 0) return null;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(new Float32Array(positions.length), 3));
+    geometry.setIndex(indices);
+
+    const material = new THREE.MeshPhongMaterial({ vertexColors: true, shininess: 30, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(geometry, material);
+    const atomIndices = Int32Array.from(vertexAtoms);
+    mesh.userData.vertexAtomIndices = atomIndices;
+
+    return {
+        object: mesh,
+        applyColors(colors) {
+            copyColors(colors, atomIndices, geometry.getAttribute('color'));
+        }
+    };
+}
+
+// Splits each chain into runs of consecutive trace atoms (chain breaks over 4.2 A for CA, 8 A for P).
+function traceSegments(atoms) {
+    const residues = new Set();
+    for (const atom of atoms) residues.add(atom.residue);
+
+    const segments = [];
+    let segment = [];
+    let previous = null;
+
+    for (const residue of residues) {
+        const kind = residueKind(residue);
+        if (kind !== 'protein' && kind !== 'nucleic') continue;
+        const trace = residue.atoms.find((atom) => atom.name === (kind === 'protein' ? 'CA' : 'P'));
+        if (!trace) continue;
+
+        const maxGap = kind === 'protein' ? 4.2 : 8.0;
+        if (previous && (previous.residue.chain !== residue.chain || distance(previous, trace) > maxGap)) {
+            if (segment.length > 1) segments.push(segment);
+            segment = [];
+        }
+        // Orientation hint: the carbonyl oxygen for protein, the O4' for nucleic acids
+        const guide = residue.atoms.find((atom) => atom.name === (kind === 'protein' ? 'O' : 'O4\''));
+        segment.push({ atom: trace, guide, ss: residue.ss });
+        previous = trace;
+    }
+    if (segment.length > 1) segments.push(segment);
+    return segments;
+}
+
+function sweepSegment(segment, positions, normals, indices, vertexAtoms) {
+    const points = segment.map((s) => new THREE.Vector3(s.atom.x, s.atom.y, s.atom.z));
+    const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+    const sides = ribbonSides(segment, points);
+
+    const sampleCount = (points.length - 1) * CARTOON_SAMPLES + 1;
+    const firstVertex = positions.length / 3;
+    const point = new THREE.Vector3();
+    const tangent = new THREE.Vector3();
+    const side = new THREE.Vector3();
+    const up = new THREE.Vector3();
+
+    for (let s = 0; s < sampleCount; s++) {
+        const t = s / (sampleCount - 1);
+        curve.getPoint(t, point);
+        curve.getTangent(t, tangent);
+
+        // Interpolate the side vector between residues, then make it perpendicular to the tangent
+        const u = t * (points.length - 1);
+        const i0 = Math.min(Math.floor(u), points.length - 1);
+        const i1 = Math.min(i0 + 1, points.length - 1);
+        side.lerpVectors(sides[i0], sides[i1], u - i0);
+        side.addScaledVector(tangent, -side.dot(tangent)).normalize();
+        up.crossVectors(tangent, side).normalize();
+
+        const residueIndex = Math.round(u);
+        const [width, thickness] = CARTOON_SHAPES[segment[residueIndex].ss] || CARTOON_SHAPES.coil;
+
+        for (let r = 0; r < CARTOON_RING; r++) {
+            const angle = (r / CARTOON_RING) * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            positions.push(
+                point.x + side.x * cos * width + up.x * sin * thickness,
+                point.y + side.y * cos * width + up.y * sin * thickness,
+                point.z + side.z * cos * width + up.z * sin * thickness
+            );
+            // Normal of an ellipse: scale the axes by the inverse radii
+            const nx = side.x * cos / width + up.x * sin / thickness;
+            const ny = side.y * cos / width + up.y * sin / thickness;
+            const nz = side.z * cos / width + up.z * sin / thickness;
+            const length = Math.hypot(nx, ny, nz) || 1;
+            normals.push(nx / length, ny / length, nz / length);
+            vertexAtoms.push(segment[residueIndex].atom.index);
+        }
+
+        if (s > 0) {
+            const ring = firstVertex + s * CARTOON_RING;
+            const previousRing = ring - CARTOON_RING;
+            for (let r = 0; r < CARTOON_RING; r++) {
+                const next = (r + 1) % CARTOON_RING;
+                indices.push(previousRing + r, ring + r, ring + next);
+                indices.push(previousRing + r, ring + next, previousRing + next);
+            }
+        }
+    }
+}
+
+// One side vector per residue, flipped when needed so the ribbon doesn't twist.
+function ribbonSides(segment, points) {
+    const sides = segment.map((s, i) => {
+        if (s.guide) return new THREE.Vector3(s.guide.x - s.atom.x, s.guide.y - s.atom.y, s.guide.z - s.atom.z);
+        // No guide atom (CA-only models): point away from the neighbours
+        const previous = points[Math.max(i - 1, 0)];
+        const next = points[Math.min(i + 1, points.length - 1)];
+        return points[i].clone().multiplyScalar(2).sub(previous).sub(next);
+    });
+    for (let i = 0; i < sides.length; i++) {
+        if (sides[i].lengthSq() < 1e-6) sides[i].set(1, 0, 0);
+        sides[i].normalize();
+        if (i > 0 && sides[i].dot(sides[i - 1]) < 0) sides[i].negate();
+    }
+    return sides;
+}
+
+// --- Surface ---
+// Gaussian surface: every atom adds a gaussian of its vdW radius to a grid, and the
+// surface is the 1.0 level of the sum. Each vertex takes the color of the atom that
+// contributes most at the nearest grid point.
+function buildSurface(atoms) {
+    if (atoms.length === 0) return null;
+
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+    for (const atom of atoms) {
+        min.min(_center.set(atom.x, atom.y, atom.z));
+        max.max(_center);
+    }
+    const padding = 5;
+    min.subScalar(padding);
+    max.addScalar(padding);
+
+    const size = new THREE.Vector3().subVectors(max, min);
+    const spacing = Math.max(SURFACE_SPACING, Math.cbrt((size.x * size.y * size.z) / SURFACE_MAX_VOXELS));
+    const dims = [Math.ceil(size.x / spacing) + 1, Math.ceil(size.y / spacing) + 1, Math.ceil(size.z / spacing) + 1];
+    const values = new Float32Array(dims[0] * dims[1] * dims[2]);
+    const strongest = new Float32Array(values.length);
+    const owners = new Int32Array(values.length).fill(-1);
+
+    for (const atom of atoms) {
+        const radius = vdwRadius(atom.element);
+        const cutoff = radius * 2;
+        const gx = (atom.x - min.x) / spacing;
+        const gy = (atom.y - min.y) / spacing;
+        const gz = (atom.z - min.z) / spacing;
+        const reach = Math.ceil(cutoff / spacing);
+
+        for (let z = Math.max(0, Math.floor(gz - reach)); z <= Math.min(dims[2] - 1, Math.ceil(gz + reach)); z++) {
+            for (let y = Math.max(0, Math.floor(gy - reach)); y <= Math.min(dims[1] - 1, Math.ceil(gy + reach)); y++) {
+                for (let x = Math.max(0, Math.floor(gx - reach)); x <= Math.min(dims[0] - 1, Math.ceil(gx + reach)); x++) {
+                    const dx = (x - gx) * spacing;
+                    const dy = (y - gy) * spacing;
+                    const dz = (z - gz) * spacing;
+                    const d2 = dx * dx + dy * dy + dz * dz;
+                    if (d2 > cutoff * cutoff) continue;
+
+                    const value = Math.exp(-SURFACE_FALLOFF * (d2 / (radius * radius) - 1));
+                    const index = x + y * dims[0] + z * dims[0] * dims[1];
+                    values[index] += value;
+                    if (value > strongest[index]) {
+                        strongest[index] = value;
+                        owners[index] = atom.index;
+                    }
+                }
+            }
+        }
+    }
+
+    const surface = extractIsosurface({ values, dims, origin: min.toArray(), spacing: [spacing, spacing, spacing] }, 1.0, { edgeTable, triTable });
+    if (surface.positions.length === 0) return null;
+
+    const vertexAtoms = Int32Array.from(surface.gridIndices, (gridIndex) => (owners[gridIndex] >= 0 ? owners[gridIndex] : atoms[0].index));
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(surface.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(surface.normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(surface.positions.length), 3));
+
+    const material = new THREE.MeshPhongMaterial({ vertexColors: true, shininess: 20 });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.userData.vertexAtomIndices = vertexAtoms;
+
+    return {
+        object: mesh,
+        applyColors(colors) {
+            copyColors(colors, vertexAtoms, geometry.getAttribute('color'));
+        }
+    };
+}
+
+// --- Helpers ---
+// Copies per-atom colors into a per-instance / per-vertex attribute.
+function copyColors(colors, atomIndices, attribute) {
+    const target = attribute.array;
+    for (let i = 0; i < atomIndices.length; i++) {
+        const a = atomIndices[i] * 3;
+        target[i * 3] = colors[a];
+        target[i * 3 + 1] = colors[a + 1];
+        target[i * 3 + 2] = colors[a + 2];
+    }
+    attribute.needsUpdate = true;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
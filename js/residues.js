@@ -0,0 +1,48 @@
+// Residue name tables: what kind of residue is this and what is its one-letter code.
+
+// --- Tables ---
+export const AMINO_ACIDS = {
+    ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G', HIS: 'H', ILE: 'I',
+    LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S', THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V',
+    // Common modified / non-standard residues, mapped to their parent
+    MSE: 'M', SEC: 'U', PYL: 'O', HSD: 'H', HSE: 'H', HSP: 'H', HID: 'H', HIE: 'H', HIP: 'H', CYX: 'C',
+    SEP: 'S', TPO: 'T', PTR: 'Y', MLY: 'K', CSO: 'C', HYP: 'P', UNK: 'X'
+};
+
+export const NUCLEOTIDES = {
+    A: 'A', C: 'C', G: 'G', U: 'U', I: 'I', T: 'T',
+    DA: 'A', DC: 'C', DG: 'G', DT: 'T', DU: 'U', DI: 'I'
+};
+
+const WATER = new Set(['HOH', 'WAT', 'H2O', 'DOD', 'SOL', 'TIP', 'TIP3']);
+
+// Ions and small crystallisation anions, not counted as ligands
+const IONS = new Set([
+    'NA', 'K', 'LI', 'RB', 'CS', 'MG', 'CA', 'SR', 'BA', 'ZN', 'FE', 'FE2', 'CU', 'CU1', 'MN', 'CO', 'NI', 'CD',
+    'HG', 'PB', 'AL', 'CL', 'BR', 'IOD', 'F', 'SO4', 'PO4', 'NH4'
+]);
+
+// --- Classification ---
+// 'protein' | 'nucleic' | 'water' | 'ion' | 'ligand', cached on the residue after the first call
+export function residueKind(residue) {
+    if (!residue.kind) residue.kind = classify(residue);
+    return residue.kind;
+}
+
+function classify(residue) {
+    const name = residue.name;
+    if (WATER.has(name)) return 'water';
+    if (AMINO_ACIDS[name] && (!residue.hetero || residue.atoms.some((atom) => atom.name === 'CA'))) return 'protein';
+    if (NUCLEOTIDES[name] && (!residue.hetero || residue.atoms.some((atom) => atom.name === 'P'))) return 'nucleic';
+    if (IONS.has(name)) return 'ion';
+    return 'ligand';
+}
+
+export function isPolymer(residue) {
+    const kind = residueKind(residue);
+    return kind === 'protein' || kind === 'nucleic';
+}
+
+export function oneLetterCode(residue) {
+    return AMINO_ACIDS[residue.name] || NUCLEOTIDES[residue.name] || 'X';
+}
@@ -0,0 +1,144 @@
+import { residueKind } from './residues.js';
+import { findAtom } from './structure-model.js';
+import { createSpatialGrid } from './spatial-grid.js';
+
+// DSSP-style secondary structure (Kabsch & Sander 1983) for files without HELIX/SHEET or
+// struct_conf records. Backbone hydrogen bonds are found with the DSSP electrostatic energy;
+// two consecutive i -> i+4 turns make an alpha helix, and bridges between strands that
+// continue over neighbouring residues make a sheet. Only residue.ss is changed
+// ('helix' | 'sheet' | 'coil'); 3-10/pi helices, turns and bends stay coil.
+
+// --- Configuration ---
+const HBOND_ENERGY_CUTOFF = -0.5; // kcal/mol
+const HBOND_MIN_ENERGY = -9.9; // DSSP clamps very close contacts to this
+const MAX_CA_DISTANCE = 9.0; // Residues further apart than this can't be hydrogen bonded
+const PEPTIDE_BOND_MAX = 2.5; // C(i-1)-N(i) distance still counted as connected
+
+// --- Assignment ---
+// Returns { helix, sheet } residue counts.
+export function computeSecondaryStructure(structure) {
+    const backbone = backboneResidues(structure);
+    const hbonds = findHydrogenBonds(backbone);
+    const hbond = (acceptor, donor) => acceptor >= 0 && donor >= 0 && hbonds.has(acceptor * backbone.length + donor);
+
+    // k residues further along the chain, or -1 at a break
+    const step = (i, k) => {
+        let j = i;
+        for (let n = 0; n < Math.abs(k) && j >= 0; n++) j = k > 0 ? backbone[j].next : backbone[j].previous;
+        return j;
+    };
+
+    const ss = new Array(backbone.length).fill('coil');
+
+    // Alpha helices: turn(i-1, 4) and turn(i, 4) -> residues i..i+3 are helical
+    const turn4 = backbone.map((_, i) => hbond(i, step(i, 4)));
+    for (let i = 0; i < backbone.length; i++) {
+        const previous = backbone[i].previous;
+        if (previous < 0 || !turn4[previous] || !turn4[i]) continue;
+        for (let k = 0, j = i; k < 4 && j >= 0; k++, j = backbone[j].next) ss[j] = 'helix';
+    }
+
+    // Bridges between residue pairs close enough to be in neighbouring strands
+    const bridged = new Uint8Array(backbone.length);
+    const caGrid = createSpatialGrid(backbone.map((entry, i) => ({ index: i, x: entry.CA.x, y: entry.CA.y, z: entry.CA.z })));
+    for (let i = 0; i < backbone.length; i++) {
+        const iPrevious = backbone[i].previous;
+        const iNext = backbone[i].next;
+        if (iPrevious < 0 || iNext < 0) continue;
+        const { CA } = backbone[i];
+        caGrid.forEachNear(CA.x, CA.y, CA.z, MAX_CA_DISTANCE, ({ index: j }) => {
+            if (j <= i) return;
+            const jPrevious = backbone[j].previous;
+            const jNext = backbone[j].next;
+            if (jPrevious < 0 || jNext < 0) return;
+            if (step(i, 1) === j || step(i, 2) === j) return; // Too close along the chain
+            const parallel = (hbond(iPrevious, j) && hbond(j, iNext)) || (hbond(jPrevious, i) && hbond(i, jNext));
+            const antiparallel = (hbond(i, j) && hbond(j, i)) || (hbond(iPrevious, jNext) && hbond(jPrevious, iNext));
+            if (parallel || antiparallel) {
+                bridged[i] = 1;
+                bridged[j] = 1;
+            }
+        });
+    }
+
+    // A lone bridge is not a strand: keep residues whose chain neighbour is bridged too
+    for (let i = 0; i < backbone.length; i++) {
+        if (!bridged[i] || ss[i] === 'helix') continue;
+        const { previous, next } = backbone[i];
+        if ((previous >= 0 && bridged[previous]) || (next >= 0 && bridged[next])) ss[i] = 'sheet';
+    }
+
+    const counts = { helix: 0, sheet: 0 };
+    backbone.forEach((entry, i) => {
+        entry.residue.ss = ss[i];
+        if (ss[i] !== 'coil') counts[ss[i]]++;
+    });
+    return counts;
+}
+
+// --- Backbone ---
+// Protein residues with N, CA, C and O, linked to their peptide-bonded neighbours.
+// H is placed DSSP-style: 1 A from N, opposite the previous residue's C=O.
+function backboneResidues(structure) {
+    const backbone = [];
+    for (const chain of structure.chains) {
+        let previousEntry = null;
+        for (const residue of chain.residues) {
+            if (residueKind(residue) !== 'protein') continue;
+            const N = findAtom(residue, 'N');
+            const CA = findAtom(residue, 'CA');
+            const C = findAtom(residue, 'C');
+            const O = findAtom(residue, 'O');
+            if (!N || !CA || !C || !O) {
+                previousEntry = null;
+                continue;
+            }
+
+            const entry = { residue, N, CA, C, O, H: null, previous: -1, next: -1 };
+            const index = backbone.length;
+            if (previousEntry && distance(previousEntry.C, N) < PEPTIDE_BOND_MAX) {
+                entry.previous = index - 1;
+                previousEntry.next = index;
+                if (residue.name !== 'PRO') {
+                    const dx = previousEntry.C.x - previousEntry.O.x;
+                    const dy = previousEntry.C.y - previousEntry.O.y;
+                    const dz = previousEntry.C.z - previousEntry.O.z;
+                    const length = Math.hypot(dx, dy, dz) || 1;
+                    entry.H = { x: N.x + dx / length, y: N.y + dy / length, z: N.z + dz / length };
+                }
+            }
+            backbone.push(entry);
+            previousEntry = entry;
+        }
+    }
+    return backbone;
+}
+
+// Set of acceptor * n + donor keys for every C=O(acceptor) ... H-N(donor) bond.
+function findHydrogenBonds(backbone) {
+    const hbonds = new Set();
+    const caGrid = createSpatialGrid(backbone.map((entry, i) => ({ index: i, x: entry.CA.x, y: entry.CA.y, z: entry.CA.z })));
+
+    backbone.forEach((acceptor, i) => {
+        const { CA } = acceptor;
+        caGrid.forEachNear(CA.x, CA.y, CA.z, MAX_CA_DISTANCE, ({ index: j }) => {
+            const donor = backbone[j];
+            if (j === i || !donor.H || donor.residue.chain.model !== acceptor.residue.chain.model) return;
+            if (hbondEnergy(acceptor, donor) < HBOND_ENERGY_CUTOFF) hbonds.add(i * backbone.length + j);
+        });
+    });
+    return hbonds;
+}
+
+// DSSP electrostatic energy in kcal/mol: q1 * q2 * f * (1/rON + 1/rCH - 1/rOH - 1/rCN)
+function hbondEnergy(acceptor, donor) {
+    const energy = 0.084 * 332 * (
+        1 / distance(acceptor.O, donor.N) + 1 / distance(acceptor.C, donor.H)
+        - 1 / distance(acceptor.O, donor.H) - 1 / distance(acceptor.C, donor.N)
+    );
+    return Math.max(energy, HBOND_MIN_ENERGY);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import { selectAtoms, SelectionSyntaxError } from './selection.js';
+import { createHighlight, highlightRadius } from './picking.js';
+import { addTextInput, addSelect, addColorInput, addButton } from './viewer-ui.js';
+
+// Toolbar controls for typed selections (see selection.js): the atoms matching an expression
+// are highlighted, hidden, shown or recolored in the viewer's molecule group, or get a
+// representation layer of their own (see layer-panel.js).
+
+// --- Configuration ---
+export const SELECTION_ACTIONS = {
+    highlight: 'Highlight',
+    hide: 'Hide',
+    show: 'Show',
+    only: 'Show only',
+    color: 'Color',
+    layer: 'New layer'
+};
+const HIGHLIGHT_COLOR = 0x00e5ff;
+const DEFAULT_COLOR = '#ff00ff';
+
+// --- Tool ---
+// getStructure() returns the loaded structure; onColorsChanged() should refill the atom colors
+// (the viewer calls paint(colors) after its color scheme so these colors win). layers is the
+// viewer's layer panel, without it there is no 'New layer' action.
+// Returns { apply(expression, action, color), history(), selected(), paint(colors, painted), clear(), reset() }.
+export function createSelectionTool(toolbar, { group, representations, getStructure, onColorsChanged, layers = null }) {
+    const highlight = createHighlight(group, HIGHLIGHT_COLOR);
+    let colorOverrides = []; // { indices, color } in the order they were applied
+    let history = []; // { action, expression, color } of every successful apply, for view states
+    let selected = []; // Atom indices matched by the last expression
+    let action = 'highlight';
+    let colorHex = DEFAULT_COLOR;
+
+    const input = addTextInput(toolbar, 'Select, e.g. chain A and resi 10-50', (text) => apply(text, action, colorHex));
+    input.classList.add('viewer-selection-input');
+    const actions = { ...SELECTION_ACTIONS };
+    if (!layers) delete actions.layer;
+    const actionSelect = addSelect(toolbar, 'Action', actions, action, (value) => { action = value; });
+    const colorInput = addColorInput(toolbar, 'Selection color', colorHex, (value) => { colorHex = value; });
+    addButton(toolbar, 'Reset selection', () => tool.reset());
+    const status = document.createElement('span');
+    status.className = 'viewer-status';
+    toolbar.appendChild(status);
+
+    function showStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('viewer-error', isError);
+        input.classList.toggle('viewer-input-error', isError);
+    }
+
+    // Returns false when the expression has an error (shown next to the input)
+    function apply(expression, mode, color) {
+        const structure = getStructure();
+        if (!structure) return false;
+        let indices;
+        try {
+            indices = selectAtoms(structure, expression);
+        } catch (error) {
+            if (!(error instanceof SelectionSyntaxError)) throw error;
+            showStatus(error.message, true);
+            return false;
+        }
+        showStatus(`${indices.length} atom${indices.length === 1 ? '' : 's'}`);
+        selected = indices;
+        if (mode !== 'layer') history.push({ action: mode, expression, color }); // Layers are saved with the layers
+
+        switch (mode) {
+            case 'highlight':
+                highlight.show(indices.map((i) => structure.atoms[i]), (atom) => highlightRadius(representations, atom));
+                break;
+            case 'hide':
+            case 'show':
+            case 'only': {
+                const current = representations.hidden();
+                const mask = mode === 'only' ? new Uint8Array(structure.atoms.length).fill(1)
+                    : current ? current.slice() : new Uint8Array(structure.atoms.length);
+                for (const i of indices) mask[i] = mode === 'hide' ? 1 : 0;
+                representations.setHidden(mask.includes(1) ? mask : null);
+                break;
+            }
+            case 'color':
+                colorOverrides.push({ indices, color: new THREE.Color(color) });
+                onColorsChanged();
+                break;
+            case 'layer':
+                if (layers) layers.add(expression);
+                break;
+        }
+        return true;
+    }
+
+    const tool = {
+        // Same as typing the expression with the given action and color selected
+        apply(expression, newAction = action, newColor = colorHex) {
+            input.value = expression;
+            action = actionSelect.value = newAction;
+            colorHex = colorInput.value = newColor;
+            return apply(expression, action, colorHex);
+        },
+        history() {
+            return history.map((entry) => ({ ...entry }));
+        },
+        // Atom indices of the last applied expression, whatever its action
+        selected() {
+            return [...selected];
+        },
+        // Writes the selection colors over the scheme colors; painted (per-atom array, optional)
+        // gets 1 for every atom that was given a selection color
+        paint(colors, painted = null) {
+            for (const { indices, color } of colorOverrides) {
+                for (const i of indices) {
+                    if (painted) painted[i] = 1;
+                    colors[i * 3] = color.r;
+                    colors[i * 3 + 1] = color.g;
+                    colors[i * 3 + 2] = color.b;
+                }
+            }
+            return colors;
+        },
+        // Forget everything tied to the current structure (call before loading another one)
+        clear() {
+            highlight.clear();
+            colorOverrides = [];
+            history = [];
+            selected = [];
+            showStatus('');
+        },
+        // Back to the plain view: no highlight, nothing hidden, scheme colors only
+        reset() {
+            tool.clear();
+            representations.setHidden(null);
+            onColorsChanged();
+        }
+    };
+    return tool;
+}
@@ -0,0 +1,263 @@
+import { residueKind } from './residues.js';
+import { normalizeElement } from './elements.js';
+import { createSpatialGrid } from './spatial-grid.js';
+
+// PyMOL/VMD-like selection expressions over a structure (see structure-model.js):
+//
+//   chain A and resi 10-50
+//   resn HEM or (element Fe and not hetero)
+//   within 5 of ligand
+//
+// Property keywords take one or more values, separated by spaces or '+':
+//   chain A B, resi 10-50+60, resn ALA GLY, element C N, name CA C*   ('*' matches any ending)
+// Set keywords: all, none, hetero, protein, nucleic, polymer, water, ligand, ion
+// Operators, loosest first: or, and, not / within N of (N in Å, up to 100). `not` and `within`
+// apply to the term right after them, so `within 5 of ligand and chain A` is
+// (within 5 of ligand) and chain A.
+// Matching is case-insensitive.
+
+// --- Errors ---
+// position is the character offset in the expression where the problem was found.
+export class SelectionSyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} (at position ${position + 1})`);
+        this.name = 'SelectionSyntaxError';
+        this.position = position;
+    }
+}
+
+// --- Keywords ---
+const PROPERTIES = ['chain', 'resi', 'resn', 'element', 'name'];
+const SETS = {
+    all: () => true,
+    none: () => false,
+    hetero: (atom) => atom.hetero,
+    protein: (atom) => residueKind(atom.residue) === 'protein',
+    nucleic: (atom) => residueKind(atom.residue) === 'nucleic',
+    polymer: (atom) => {
+        const kind = residueKind(atom.residue);
+        return kind === 'protein' || kind === 'nucleic';
+    },
+    water: (atom) => residueKind(atom.residue) === 'water',
+    ligand: (atom) => residueKind(atom.residue) === 'ligand',
+    ion: (atom) => residueKind(atom.residue) === 'ion'
+};
+const OPERATORS = ['and', 'or', 'not', 'within', 'of'];
+const MAX_WITHIN_DISTANCE = 100; // Å; more is all of any structure that loads, and slow to find
+const RESERVED = new Set([...PROPERTIES, ...Object.keys(SETS), ...OPERATORS]);
+
+// --- Tokenizer ---
+// Tokens are { type: 'word' | '(' | ')' | 'end', value, position }.
+// '+' separates values like whitespace does.
+export function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s+|\+|([()])|([^\s()+]+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1]) tokens.push({ type: match[1], value: match[1], position: match.index });
+        else if (match[2]) tokens.push({ type: 'word', value: match[2], position: match.index });
+    }
+    tokens.push({ type: 'end', value: '', position: text.length });
+    return tokens;
+}
+
+// --- Parser ---
+// Recursive descent over the tokens. Returns an AST of
+//   { type: 'or' | 'and', left, right }, { type: 'not', operand }, { type: 'within', distance, operand },
+//   { type: 'set', name }, { type: 'chain' | 'resn' | 'element' | 'name', values }, { type: 'resi', ranges }
+export function parseSelection(text) {
+    const tokens = tokenize(text);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const isKeyword = (token, keyword) => token.type === 'word' && token.value.toLowerCase() === keyword;
+
+    function describe(token) {
+        return token.type === 'end' ? 'end of selection' : `"${token.value}"`;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isKeyword(peek(), 'or')) {
+            current++;
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseUnary();
+        while (isKeyword(peek(), 'and')) {
+            current++;
+            left = { type: 'and', left, right: parseUnary() };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (isKeyword(token, 'not')) {
+            current++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        if (isKeyword(token, 'within')) {
+            current++;
+            const number = peek();
+            const distance = number.type === 'word' ? Number(number.value) : NaN;
+            if (!(distance >= 0)) throw new SelectionSyntaxError(`Expected a distance after "within", found ${describe(number)}`, number.position);
+            if (!(distance <= MAX_WITHIN_DISTANCE)) throw new SelectionSyntaxError(`Distance ${number.value} is too large (at most ${MAX_WITHIN_DISTANCE} Å)`, number.position);
+            current++;
+            if (!isKeyword(peek(), 'of')) throw new SelectionSyntaxError(`Expected "of" after "within ${number.value}", found ${describe(peek())}`, peek().position);
+            current++;
+            return { type: 'within', distance, operand: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (token.type === '(') {
+            current++;
+            const expression = parseOr();
+            if (peek().type !== ')') throw new SelectionSyntaxError(`Expected ")" to close the "(" at position ${token.position + 1}, found ${describe(peek())}`, peek().position);
+            current++;
+            return expression;
+        }
+        if (token.type !== 'word') throw new SelectionSyntaxError(`Expected a selection, found ${describe(token)}`, token.position);
+
+        const keyword = token.value.toLowerCase();
+        if (Object.hasOwn(SETS, keyword)) {
+            current++;
+            return { type: 'set', name: keyword };
+        }
+        if (PROPERTIES.includes(keyword)) {
+            current++;
+            const values = parseValues(keyword, token);
+            return keyword === 'resi' ? { type: 'resi', ranges: values.map(parseRange) } : { type: keyword, values: values.map((v) => v.value) };
+        }
+        if (RESERVED.has(keyword)) throw new SelectionSyntaxError(`"${token.value}" can't start a selection here`, token.position);
+        throw new SelectionSyntaxError(`Unknown keyword "${token.value}"`, token.position);
+    }
+
+    // Value tokens up to the next keyword, operator or parenthesis
+    function parseValues(keyword, keywordToken) {
+        const values = [];
+        while (peek().type === 'word' && !RESERVED.has(peek().value.toLowerCase())) {
+            values.push(peek());
+            current++;
+        }
+        if (values.length === 0) throw new SelectionSyntaxError(`Expected a value after "${keywordToken.value}", found ${describe(peek())}`, peek().position);
+        return values;
+    }
+
+    // '10', '10-50', '10:50', '-5--1'
+    function parseRange(token) {
+        const match = /^(-?\d+)(?:[-:](-?\d+))?$/.exec(token.value);
+        if (!match) throw new SelectionSyntaxError(`Expected a residue number or range like 10-50, found "${token.value}"`, token.position);
+        const from = parseInt(match[1], 10);
+        const to = match[2] !== undefined ? parseInt(match[2], 10) : from;
+        return [Math.min(from, to), Math.max(from, to)];
+    }
+
+    if (peek().type === 'end') throw new SelectionSyntaxError('Empty selection', 0);
+    const ast = parseOr();
+    if (peek().type !== 'end') {
+        throw new SelectionSyntaxError(`Unexpected ${describe(peek())}; combine selections with "and" / "or"`, peek().position);
+    }
+    return ast;
+}
+
+// --- Evaluation ---
+// Returns a Uint8Array with 1 for every selected atom (indexed like structure.atoms).
+export function evaluateSelection(ast, structure) {
+    const atoms = structure.atoms;
+
+    function where(predicate) {
+        const mask = new Uint8Array(atoms.length);
+        for (const atom of atoms) mask[atom.index] = predicate(atom) ? 1 : 0;
+        return mask;
+    }
+
+    function evaluate(node) {
+        switch (node.type) {
+            case 'or':
+            case 'and': {
+                const left = evaluate(node.left);
+                const right = evaluate(node.right);
+                for (let i = 0; i < left.length; i++) left[i] = node.type === 'or' ? left[i] | right[i] : left[i] & right[i];
+                return left;
+            }
+            case 'not': {
+                const mask = evaluate(node.operand);
+                for (let i = 0; i < mask.length; i++) mask[i] = 1 - mask[i];
+                return mask;
+            }
+            case 'within':
+                return within(structure, evaluate(node.operand), node.distance);
+            case 'set':
+                return where(SETS[node.name]);
+            case 'chain': {
+                const matches = matcher(node.values);
+                return where((atom) => matches(atom.residue.chain.id));
+            }
+            case 'resn': {
+                const matches = matcher(node.values);
+                return where((atom) => matches(atom.residue.name));
+            }
+            case 'name': {
+                const matches = matcher(node.values);
+                return where((atom) => matches(atom.name));
+            }
+            case 'element': {
+                const elements = new Set(node.values.map(normalizeElement));
+                return where((atom) => elements.has(normalizeElement(atom.element)));
+            }
+            case 'resi':
+                return where((atom) => node.ranges.some(([from, to]) => atom.residue.seq >= from && atom.residue.seq <= to));
+            default:
+                throw new Error(`Unknown selection node: ${node.type}`);
+        }
+    }
+
+    return evaluate(ast);
+}
+
+// Parses and evaluates in one go; returns the selected atom indices.
+export function selectAtoms(structure, text) {
+    const mask = evaluateSelection(parseSelection(text), structure);
+    const indices = [];
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i]) indices.push(i);
+    }
+    return indices;
+}
+
+// --- Helpers ---
+// Case-insensitive value test; a trailing '*' matches any ending (C* = C, CA, CB, ...)
+function matcher(values) {
+    const exact = new Set();
+    const prefixes = [];
+    for (const value of values) {
+        const upper = value.toUpperCase();
+        if (upper.endsWith('*')) prefixes.push(upper.slice(0, -1));
+        else exact.add(upper);
+    }
+    return (text) => {
+        const upper = String(text).toUpperCase();
+        return exact.has(upper) || prefixes.some((prefix) => upper.startsWith(prefix));
+    };
+}
+
+// One grid per structure, built the first time a within query needs it
+const grids = new WeakMap();
+
+function within(structure, mask, distance) {
+    if (!grids.has(structure)) grids.set(structure, createSpatialGrid(structure.atoms));
+    const grid = grids.get(structure);
+    const result = new Uint8Array(mask.length);
+    for (const atom of structure.atoms) {
+        if (!mask[atom.index]) continue;
+        grid.forEachNear(atom.x, atom.y, atom.z, distance, (near) => { result[near.index] = 1; });
+    }
+    return result;
+}
@@ -0,0 +1,291 @@
+import * as THREE from 'three';
+import { isPolymer, oneLetterCode } from './residues.js';
+import { findAtom, findResidue, residueInModel, residueLabel } from './structure-model.js';
+import { alignSequences } from './superposition.js';
+import { createHighlight, highlightRadius } from './picking.js';
+import { addCheckbox, ensureViewerStyles } from './viewer-ui.js';
+
+// One-letter sequence track per chain, kept in sync with the 3D view: hovering a residue in
+// the track highlights it in the scene, clicking selects it through the atom inspector (see
+// picking.js), and dragging over a range highlights the range and zooms the camera onto it.
+// The other way round, the viewer passes the inspector's hovered and selected atoms to
+// showHovered() / showSelected(), which mark them in the track.
+// Tracks follow the deposited sequence (SEQRES) when the file has one, so residues without
+// coordinates show up as missing; otherwise they are built from the observed residues with a
+// gap marker wherever the numbering jumps. Helices and strands are tinted.
+// Returns { setStructure(structure), showHovered(atom), showSelected(atom), setVisible(visible) }.
+
+// --- Configuration ---
+const HOVER_COLOR = 0x00ff88;
+const RANGE_COLOR = 0xff66cc;
+const FIT_PADDING = 1.2; // Range sphere radius multiplier when zooming onto it
+const MIN_FIT_RADIUS = 5; // Angstrom, so a single residue isn't filling the screen
+
+// --- Tracks ---
+// One track per polymer chain of the model: { chainId, items }, every item being
+// { code, name, number, residue } (residue null when it has no coordinates) or a gap marker
+// { gap: count of missing residue numbers }.
+export function buildSequenceTracks(structure, model = structure.models[0]) {
+    if (!model) return [];
+    const tracks = [];
+    for (const chain of model.chains) {
+        const observed = chain.residues.filter(isPolymer);
+        if (observed.length === 0) continue;
+        const sequence = structure.sequences.find((s) => s.chainId === chain.id);
+        let items;
+        if (!sequence || sequence.residues.length === 0) {
+            items = observedItems(observed);
+        } else if (sequence.residues.every((r) => Number.isFinite(r.seq))) {
+            // mmCIF numbers every SEQRES residue like the coordinates
+            items = sequence.residues.map((r) => item(r.name, `${r.seq}${r.iCode}`, findResidue(chain, r.seq, r.iCode, r.name)));
+        } else {
+            items = alignedItems(sequence.residues, observed);
+        }
+        tracks.push({ chainId: chain.id, items });
+    }
+    return tracks;
+}
+
+function item(name, number, residue) {
+    return { code: oneLetterCode({ name }), name, number, residue };
+}
+
+function observedItems(residues) {
+    const items = [];
+    residues.forEach((residue, i) => {
+        const missing = i > 0 ? residue.seq - residues[i - 1].seq - 1 : 0;
+        if (missing > 0) items.push({ gap: missing });
+        items.push(item(residue.name, `${residue.seq}${residue.iCode}`, residue));
+    });
+    return items;
+}
+
+// PDB SEQRES has no residue numbers, so the observed residues are matched by sequence
+function alignedItems(sequence, residues) {
+    const pairs = alignSequences(sequence.map((r) => oneLetterCode(r)), residues.map((r) => oneLetterCode(r)));
+    const observedAt = new Map(pairs.map(([i, j]) => [i, residues[j]]));
+    return sequence.map((r, i) => {
+        const residue = observedAt.get(i) || null;
+        return item(r.name, residue ? `${residue.seq}${residue.iCode}` : '', residue);
+    });
+}
+
+// --- Panel ---
+// inspector: the viewer's atom inspector; camera and controls are moved to fit a range.
+export function createSequencePanel(toolbar, { group, representations, inspector, camera, controls, visible = true, parent = document.body }) {
+    ensureViewerStyles();
+    const element = document.createElement('div');
+    element.className = 'viewer-sequence';
+    const status = document.createElement('div');
+    status.className = 'viewer-sequence-status';
+    const rows = document.createElement('div');
+    rows.className = 'viewer-sequence-rows';
+    element.append(status, rows);
+    parent.appendChild(element);
+
+    const hoverHighlight = createHighlight(group, HOVER_COLOR);
+    const rangeHighlight = createHighlight(group, RANGE_COLOR);
+    let shown = visible;
+    let tracks = [];
+    let spans = []; // Per track, the span of every item
+    let positions = new Map(); // Residue key -> { track, index }
+    let marked = { hovered: null, selected: null };
+    let drag = null; // { track, start, end } while selecting a range
+    let range = null;
+
+    addCheckbox(toolbar, 'Sequence', visible, (enabled) => panel.setVisible(enabled));
+
+    // --- Track <-> scene ---
+    // Residues of the track belong to the first model; the highlight follows the shown one
+    function shownResidue(residue) {
+        const model = representations.model();
+        return model ? residueInModel(residue, model) : residue;
+    }
+
+    function radiusOf(atom) {
+        return highlightRadius(representations, atom);
+    }
+
+    function itemAt(target) {
+        const span = target.closest && target.closest('[data-index]');
+        if (!span || !rows.contains(span)) return null;
+        return { track: Number(span.dataset.track), index: Number(span.dataset.index) };
+    }
+
+    function hoverItem(position) {
+        const entry = position && tracks[position.track].items[position.index];
+        const residue = entry && entry.residue && shownResidue(entry.residue);
+        if (residue) hoverHighlight.show(residue.atoms, radiusOf); else hoverHighlight.clear();
+        mark('hovered', residue ? position : null);
+        status.textContent = entry && !entry.gap ? describeItem(tracks[position.track], entry) : '';
+    }
+
+    function selectItem(position) {
+        const entry = tracks[position.track].items[position.index];
+        const residue = entry.residue && shownResidue(entry.residue);
+        if (!residue) return;
+        clearRange();
+        inspector.select(findAtom(residue, 'CA') || findAtom(residue, "C4'") || residue.atoms[0]);
+    }
+
+    function selectRange(track, start, end) {
+        clearRange();
+        range = { track, start: Math.min(start, end), end: Math.max(start, end) };
+        const atoms = [];
+        for (let i = range.start; i <= range.end; i++) {
+            spans[track][i].classList.add('viewer-sequence-range');
+            const residue = tracks[track].items[i].residue && shownResidue(tracks[track].items[i].residue);
+            if (residue) atoms.push(...residue.atoms);
+        }
+        rangeHighlight.show(atoms, radiusOf);
+        fitAtoms(atoms);
+    }
+
+    function clearRange() {
+        if (range) {
+            for (let i = range.start; i <= range.end; i++) spans[range.track][i].classList.remove('viewer-sequence-range');
+        }
+        range = null;
+        rangeHighlight.clear();
+    }
+
+    // Keeps the viewing direction and moves target and camera onto the atoms' bounding sphere
+    function fitAtoms(atoms) {
+        if (atoms.length === 0) return;
+        group.updateWorldMatrix(true, false);
+        const box = new THREE.Box3();
+        const point = new THREE.Vector3();
+        for (const atom of atoms) box.expandByPoint(point.set(atom.x, atom.y, atom.z).applyMatrix4(group.matrixWorld));
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const radius = Math.max(sphere.radius, MIN_FIT_RADIUS) * FIT_PADDING;
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const direction = new THREE.Vector3().subVectors(camera.position, controls.target).normalize();
+        controls.target.copy(sphere.center);
+        camera.position.copy(sphere.center).addScaledVector(direction, THREE.MathUtils.clamp(distance, controls.minDistance, controls.maxDistance));
+        controls.update();
+    }
+
+    // Marks one item per kind ('hovered' / 'selected') in the track
+    function mark(kind, position, scroll = false) {
+        const previous = marked[kind];
+        if (previous) spans[previous.track][previous.index].classList.remove(`viewer-sequence-${kind}`);
+        marked[kind] = position;
+        if (!position) return;
+        const span = spans[position.track][position.index];
+        span.classList.add(`viewer-sequence-${kind}`);
+        if (scroll && shown) span.scrollIntoView({ block: 'nearest', inline: 'center' });
+    }
+
+    function positionOf(atom) {
+        return (atom && positions.get(residueKey(atom.residue))) || null;
+    }
+
+    // --- Pointer events (delegated) ---
+    rows.addEventListener('pointerover', (event) => {
+        const position = itemAt(event.target);
+        if (drag && position && position.track === drag.track) {
+            drag.end = position.index;
+            showDrag();
+        }
+        hoverItem(position);
+    });
+    rows.addEventListener('pointerleave', () => hoverItem(null));
+    rows.addEventListener('pointerdown', (event) => {
+        const position = itemAt(event.target);
+        if (event.button !== 0 || !position) return;
+        event.preventDefault(); // No text selection while dragging
+        drag = { track: position.track, start: position.index, end: position.index };
+    });
+    window.addEventListener('pointerup', () => {
+        if (!drag) return;
+        const { track, start, end } = drag;
+        showDrag(true);
+        drag = null;
+        if (start === end) selectItem({ track, index: start }); else selectRange(track, start, end);
+    });
+
+    // Range preview while dragging
+    function showDrag(clear = false) {
+        spans[drag.track].forEach((span, i) => {
+            const inside = !clear && i >= Math.min(drag.start, drag.end) && i <= Math.max(drag.start, drag.end);
+            span.classList.toggle('viewer-sequence-dragging', inside);
+        });
+    }
+
+    // --- DOM ---
+    function render() {
+        rows.replaceChildren();
+        spans = tracks.map((track, t) => {
+            const row = document.createElement('div');
+            row.className = 'viewer-sequence-row';
+            const label = document.createElement('span');
+            label.className = 'viewer-sequence-label';
+            label.textContent = track.chainId;
+            const residues = document.createElement('span');
+            const trackSpans = track.items.map((entry, i) => {
+                const span = document.createElement('span');
+                span.dataset.track = t;
+                span.dataset.index = i;
+                if (entry.gap) {
+                    span.className = 'viewer-sequence-gap';
+                    span.textContent = '/';
+                    span.title = `${entry.gap} missing residue${entry.gap === 1 ? '' : 's'}`;
+                } else {
+                    span.textContent = entry.code;
+                    span.title = describeItem(track, entry);
+                    if (!entry.residue) span.className = 'viewer-sequence-missing';
+                    else if (entry.residue.ss !== 'coil') span.className = `viewer-sequence-${entry.residue.ss}`;
+                }
+                residues.appendChild(span);
+                return span;
+            });
+            row.append(label, residues);
+            rows.appendChild(row);
+            return trackSpans;
+        });
+    }
+
+    const panel = {
+        element,
+        setStructure(structure) {
+            drag = null;
+            range = null;
+            marked = { hovered: null, selected: null };
+            hoverHighlight.clear();
+            rangeHighlight.clear();
+            status.textContent = '';
+            tracks = structure ? buildSequenceTracks(structure) : [];
+            positions = new Map();
+            tracks.forEach((track, t) => track.items.forEach((entry, index) => {
+                if (entry.residue) positions.set(residueKey(entry.residue), { track: t, index });
+            }));
+            render();
+            element.hidden = !shown || tracks.length === 0;
+        },
+        // Atom under the pointer in the 3D view (or null)
+        showHovered(atom) {
+            mark('hovered', positionOf(atom));
+        },
+        // Atom picked in the 3D view (or null); scrolls its residue into view
+        showSelected(atom) {
+            mark('selected', positionOf(atom), true);
+        },
+        setVisible(value) {
+            shown = value;
+            element.hidden = !shown || tracks.length === 0;
+            if (!shown) hoverItem(null);
+        }
+    };
+    panel.setVisible(visible);
+    return panel;
+}
+
+// Same key for a residue in every model
+function residueKey(residue) {
+    return `${residue.chain.id}|${residue.seq}|${residue.iCode}|${residue.name}`;
+}
+
+function describeItem(track, entry) {
+    if (entry.residue) return residueLabel(entry.residue);
+    return `${entry.name} (chain ${track.chainId}, not observed)`;
+}
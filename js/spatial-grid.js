@@ -0,0 +1,156 @@
+// Uniform grid over atom positions for neighbour searches and ray picking.
+// Atoms are bucketed once (counting sort into flat arrays), so queries only look at
+// the few cells around a point or along a ray instead of every atom.
+
+// --- Building ---
+// atoms: objects with x, y, z and index (structure.atoms or a subset of it).
+export function createSpatialGrid(atoms, cellSize = 4) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (const atom of atoms) {
+        minX = Math.min(minX, atom.x); maxX = Math.max(maxX, atom.x);
+        minY = Math.min(minY, atom.y); maxY = Math.max(maxY, atom.y);
+        minZ = Math.min(minZ, atom.z); maxZ = Math.max(maxZ, atom.z);
+    }
+    if (atoms.length === 0) minX = minY = minZ = maxX = maxY = maxZ = 0;
+
+    const nx = Math.floor((maxX - minX) / cellSize) + 1;
+    const ny = Math.floor((maxY - minY) / cellSize) + 1;
+    const nz = Math.floor((maxZ - minZ) / cellSize) + 1;
+
+    // cellStart[c] .. cellStart[c + 1] indexes the atoms of cell c in cellAtoms
+    const cellOf = new Int32Array(atoms.length);
+    const cellStart = new Int32Array(nx * ny * nz + 1);
+    atoms.forEach((atom, i) => {
+        const cx = Math.floor((atom.x - minX) / cellSize);
+        const cy = Math.floor((atom.y - minY) / cellSize);
+        const cz = Math.floor((atom.z - minZ) / cellSize);
+        cellOf[i] = cx + cy * nx + cz * nx * ny;
+        cellStart[cellOf[i] + 1]++;
+    });
+    for (let c = 0; c < nx * ny * nz; c++) cellStart[c + 1] += cellStart[c];
+    const fill = cellStart.slice(0, -1);
+    const cellAtoms = new Array(atoms.length);
+    atoms.forEach((atom, i) => {
+        cellAtoms[fill[cellOf[i]]++] = atom;
+    });
+
+    // Calls visit(atom) for every atom in the cell, if the cell exists
+    function visitCell(cx, cy, cz, visit) {
+        if (cx < 0 || cy < 0 || cz < 0 || cx >= nx || cy >= ny || cz >= nz) return;
+        const c = cx + cy * nx + cz * nx * ny;
+        for (let k = cellStart[c]; k < cellStart[c + 1]; k++) visit(cellAtoms[k]);
+    }
+
+    return {
+        cellSize,
+
+        // Calls callback(atom, distanceSquared) for every atom within `radius` of (x, y, z).
+        forEachNear(x, y, z, radius, callback) {
+            const r2 = radius * radius;
+            const reach = Math.ceil(radius / cellSize);
+            const cx = Math.floor((x - minX) / cellSize);
+            const cy = Math.floor((y - minY) / cellSize);
+            const cz = Math.floor((z - minZ) / cellSize);
+            // Only the cells that exist, however large the radius
+            for (let iz = Math.max(0, cz - reach); iz <= Math.min(nz - 1, cz + reach); iz++) {
+                for (let iy = Math.max(0, cy - reach); iy <= Math.min(ny - 1, cy + reach); iy++) {
+                    for (let ix = Math.max(0, cx - reach); ix <= Math.min(nx - 1, cx + reach); ix++) {
+                        visitCell(ix, iy, iz, (atom) => {
+                            const ex = atom.x - x;
+                            const ey = atom.y - y;
+                            const ez = atom.z - z;
+                            const d2 = ex * ex + ey * ey + ez * ez;
+                            if (d2 <= r2) callback(atom, d2);
+                        });
+                    }
+                }
+            }
+        },
+
+        // Nearest sphere hit along a ray. origin/direction are {x, y, z} in the atoms' frame,
+        // direction normalized; radiusOf(atom) gives the sphere radius (0 = not pickable, at most cellSize).
+        // Returns { atom, distance } or null.
+        raycast(origin, direction, radiusOf) {
+            // Clip the ray to the grid box, grown by one cell so spheres poking out still count
+            const lo = [minX - cellSize, minY - cellSize, minZ - cellSize];
+            const hi = [minX + (nx + 1) * cellSize, minY + (ny + 1) * cellSize, minZ + (nz + 1) * cellSize];
+            const o = [origin.x, origin.y, origin.z];
+            const d = [direction.x, direction.y, direction.z];
+            let tEnter = 0;
+            let tExit = Infinity;
+            for (let axis = 0; axis < 3; axis++) {
+                if (Math.abs(d[axis]) < 1e-12) {
+                    if (o[axis] < lo[axis] || o[axis] > hi[axis]) return null;
+                    continue;
+                }
+                const t1 = (lo[axis] - o[axis]) / d[axis];
+                const t2 = (hi[axis] - o[axis]) / d[axis];
+                tEnter = Math.max(tEnter, Math.min(t1, t2));
+                tExit = Math.min(tExit, Math.max(t1, t2));
+            }
+            if (tEnter > tExit) return null;
+
+            // Walk the cells along the ray (Amanatides & Woo). A sphere that touches the ray inside
+            // a cell has its center in that cell or a neighbour, so each step tests the 3x3x3 block.
+            const cell = [0, 0, 0];
+            const step = [0, 0, 0];
+            const tMax = [0, 0, 0];
+            const tDelta = [0, 0, 0];
+            const start = [0, 1, 2].map((axis) => o[axis] + d[axis] * tEnter);
+            const mins = [minX, minY, minZ];
+            for (let axis = 0; axis < 3; axis++) {
+                cell[axis] = Math.floor((start[axis] - mins[axis]) / cellSize);
+                step[axis] = d[axis] > 0 ? 1 : -1;
+                const boundary = mins[axis] + (cell[axis] + (d[axis] > 0 ? 1 : 0)) * cellSize;
+                tMax[axis] = Math.abs(d[axis]) < 1e-12 ? Infinity : tEnter + (boundary - start[axis]) / d[axis];
+                tDelta[axis] = Math.abs(d[axis]) < 1e-12 ? Infinity : cellSize / Math.abs(d[axis]);
+            }
+
+            let best = null;
+            const tested = new Set();
+            const testAtom = (atom) => {
+                if (tested.has(atom)) return;
+                tested.add(atom);
+                const radius = radiusOf(atom);
+                if (radius <= 0) return;
+                const t = intersectSphere(o, d, atom, radius);
+                if (t !== null && (!best || t < best.distance)) best = { atom, distance: t };
+            };
+
+            let tCell = tEnter;
+            while (tCell <= tExit) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            visitCell(cell[0] + dx, cell[1] + dy, cell[2] + dz, testAtom);
+                        }
+                    }
+                }
+                // Nothing further along the ray can be closer than a hit inside this cell
+                if (best && best.distance <= Math.min(tMax[0], tMax[1], tMax[2])) break;
+
+                const axis = tMax[0] < tMax[1] ? (tMax[0] < tMax[2] ? 0 : 2) : (tMax[1] < tMax[2] ? 1 : 2);
+                tCell = tMax[axis];
+                cell[axis] += step[axis];
+                tMax[axis] += tDelta[axis];
+            }
+            return best;
+        }
+    };
+}
+
+// --- Helpers ---
+// Distance along the ray to the first intersection with the sphere, or null.
+function intersectSphere(o, d, atom, radius) {
+    const lx = atom.x - o[0];
+    const ly = atom.y - o[1];
+    const lz = atom.z - o[2];
+    const tca = lx * d[0] + ly * d[1] + lz * d[2];
+    const d2 = lx * lx + ly * ly + lz * lz - tca * tca;
+    const r2 = radius * radius;
+    if (d2 > r2) return null;
+    const thc = Math.sqrt(r2 - d2);
+    const t = tca - thc >= 0 ? tca - thc : tca + thc;
+    return t >= 0 ? t : null;
+}
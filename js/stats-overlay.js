@@ -0,0 +1,50 @@
+import { ensureViewerStyles } from './viewer-ui.js';
+
+// Small performance readout in the corner: frame rate, frame time, atom count and what the
+// last frame drew (renderer.info). Call update() once per frame, after rendering.
+// Returns { element, update(), setAtomCount(count), setVisible(visible) }.
+
+// --- Configuration ---
+const REFRESH_INTERVAL = 500; // ms between text updates
+
+// --- Overlay ---
+export function createStatsOverlay(renderer, parent = document.body) {
+    ensureViewerStyles();
+    const element = document.createElement('div');
+    element.className = 'viewer-stats';
+    parent.appendChild(element);
+
+    let atomCount = 0;
+    let frames = 0;
+    let lastRefresh = performance.now();
+
+    return {
+        element,
+        update() {
+            if (element.hidden) return;
+            frames++;
+            const now = performance.now();
+            const elapsed = now - lastRefresh;
+            if (elapsed < REFRESH_INTERVAL) return;
+
+            const { calls, triangles } = renderer.info.render;
+            const fps = (frames * 1000) / elapsed;
+            element.textContent = [
+                `${fps.toFixed(0)} fps (${(elapsed / frames).toFixed(1)} ms)`,
+                `Atoms: ${atomCount.toLocaleString()}`,
+                `Triangles: ${triangles.toLocaleString()}`,
+                `Draw calls: ${calls}`
+            ].join('\n');
+            frames = 0;
+            lastRefresh = now;
+        },
+        setAtomCount(count) {
+            atomCount = count;
+        },
+        setVisible(visible) {
+            element.hidden = !visible;
+            frames = 0;
+            lastRefresh = performance.now();
+        }
+    };
+}
@@ -0,0 +1,158 @@
+import { capitalizeElement } from './elements.js';
+
+// Hierarchical molecular model: structure -> model -> chain -> residue -> atom.
+// Built from the flat atom records of pdb-parser.js / mmcif-parser.js. Selection, coloring
+// and labelling work on this instead of PDBLoader's position/color buffers.
+//
+// atom.index is the atom's position in the parsed file, which is also its index in
+// geometryAtoms. Representation meshes map their instances back to it through
+// userData.atomIndices (see representations.js).
+
+// --- Building ---
+// secondaryStructure: HELIX/SHEET style ranges from the parsers; residues outside them are 'coil'.
+// assemblies (see assemblies.js) and sequences (SEQRES, see sequence-panel.js) are kept as they are.
+export function buildStructure(records, { id = '', bonds = [], secondaryStructure = [], assemblies = [], sequences = [] } = {}) {
+    const structure = { id, models: [], chains: [], residues: [], atoms: [], bonds, assemblies, sequences };
+    const modelsById = new Map();
+
+    records.forEach((record, index) => {
+        // Model
+        let model = modelsById.get(record.model);
+        if (!model) {
+            model = { id: record.model, chains: [], chainsById: new Map(), structure };
+            modelsById.set(record.model, model);
+            structure.models.push(model);
+        }
+
+        // Chain (a chain ID can show up again after other chains, e.g. its waters)
+        let chain = model.chainsById.get(record.chainId);
+        if (!chain) {
+            chain = { id: record.chainId, residues: [], residuesByKey: new Map(), model };
+            model.chainsById.set(record.chainId, chain);
+            model.chains.push(chain);
+            structure.chains.push(chain);
+        }
+
+        // Residue
+        const residueKey = residueKeyOf(record.resSeq, record.iCode, record.resName);
+        let residue = chain.residuesByKey.get(residueKey);
+        if (!residue) {
+            residue = {
+                index: structure.residues.length,
+                name: record.resName,
+                seq: record.resSeq,
+                iCode: record.iCode,
+                hetero: record.hetero,
+                ss: 'coil',
+                atoms: [],
+                chain
+            };
+            chain.residuesByKey.set(residueKey, residue);
+            chain.residues.push(residue);
+            structure.residues.push(residue);
+        }
+
+        // Atom
+        const atom = {
+            index,
+            serial: record.serial,
+            name: record.name,
+            element: record.element,
+            altLoc: record.altLoc,
+            x: record.x,
+            y: record.y,
+            z: record.z,
+            occupancy: record.occupancy,
+            bFactor: record.bFactor,
+            hetero: record.hetero,
+            residue
+        };
+        residue.atoms.push(atom);
+        structure.atoms.push(atom);
+    });
+
+    assignSecondaryStructure(structure, secondaryStructure);
+    return structure;
+}
+
+function assignSecondaryStructure(structure, ranges) {
+    for (const range of ranges) {
+        for (const chain of structure.chains) {
+            if (chain.id !== range.chainId) continue;
+            const start = chain.residues.findIndex((r) => r.seq === range.startSeq && r.iCode === range.startICode);
+            const end = chain.residues.findIndex((r) => r.seq === range.endSeq && r.iCode === range.endICode);
+            if (start === -1 || end === -1) continue;
+            for (let i = start; i <= end; i++) chain.residues[i].ss = range.type;
+        }
+    }
+}
+
+function residueKeyOf(seq, iCode, name) {
+    return `${seq}|${iCode}|${name}`;
+}
+
+// --- Lookups ---
+// Atom drawn by instance `instanceId` of an InstancedMesh; meshes without a mapping draw structure.atoms in order.
+export function atomForInstance(structure, mesh, instanceId) {
+    const atomIndices = mesh.userData.atomIndices;
+    return structure.atoms[atomIndices ? atomIndices[instanceId] : instanceId] || null;
+}
+
+// Residue with the same chain, number and name in another model (null if that model lacks it)
+export function residueInModel(residue, model) {
+    if (residue.chain.model === model) return residue;
+    const chain = model.chainsById.get(residue.chain.id);
+    return (chain && chain.residuesByKey.get(residueKeyOf(residue.seq, residue.iCode, residue.name))) || null;
+}
+
+// Residue of a chain by number, insertion code and name
+export function findResidue(chain, seq, iCode, name) {
+    return chain.residuesByKey.get(residueKeyOf(seq, iCode, name)) || null;
+}
+
+export function findAtom(residue, name) {
+    return residue.atoms.find((atom) => atom.name === name) || null;
+}
+
+export function countStructure(structure) {
+    return {
+        models: structure.models.length,
+        chains: structure.models.length > 0 ? structure.models[0].chains.length : 0,
+        residues: structure.residues.length,
+        atoms: structure.atoms.length
+    };
+}
+
+// --- Labels ---
+export function residueLabel(residue) {
+    return `${residue.name} ${residue.seq}${residue.iCode}${residue.chain.id ? ` (${residue.chain.id})` : ''}`;
+}
+
+export function atomLabel(atom) {
+    return `${atom.name} ${residueLabel(atom.residue)}`;
+}
+
+// [label, value] rows for tooltips and the inspect panel
+export function atomDetails(atom) {
+    const residue = atom.residue;
+    return [
+        ['Element', capitalizeElement(atom.element)],
+        ['Atom', `${atom.name}${atom.altLoc ? ` (alt ${atom.altLoc})` : ''}`],
+        ['Residue', `${residue.name} ${residue.seq}${residue.iCode}`],
+        ['Chain', residue.chain.id || '-'],
+        ['Position', [atom.x, atom.y, atom.z].map((v) => v.toFixed(2)).join(', ')]
+    ];
+}
+
+// atomDetails plus the numbers that only fit in the side panel
+export function atomInspection(atom) {
+    const residue = atom.residue;
+    return [
+        ...atomDetails(atom),
+        ['Serial', String(atom.serial)],
+        ['Occupancy', atom.occupancy.toFixed(2)],
+        ['B-factor', atom.bFactor.toFixed(2)],
+        ['Secondary structure', residue.ss],
+        ['Residue atoms', residue.atoms.map((a) => a.name).join(' ')]
+    ];
+}
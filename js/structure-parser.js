@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import { elementColor, capitalizeElement } from './elements.js';
+import { parseMmcifAtoms } from './mmcif-parser.js';
+import { buildStructure } from './structure-model.js';
+import { bondPositions } from './bonds.js';
+import { detectFormat, readStructure, unpackStructureData } from './structure-reader.js';
+
+// Picks the right parser for a structure file. Both return PDBLoader's
+// { geometryAtoms, geometryBonds, json } shape, with `format` and the
+// hierarchical `structure` (see structure-model.js) added.
+// Bonds are completed from atom distances (CONECT records rarely cover the polymer), and
+// secondary structure is computed when the file doesn't list any (see structure-reader.js).
+// parseStructureAsync() does that work in a Web Worker so big entries don't freeze the page.
+
+export { detectFormat };
+
+// --- Parsing ---
+export function parseStructure(text, name = '') {
+    return structureFromData(readStructure(text, name));
+}
+
+// Same result as parseStructure(), parsed in structure-worker.js. Falls back to parsing on the
+// main thread when module workers aren't available (older browsers, some file:// setups).
+export function parseStructureAsync(text, name = '') {
+    const worker = getWorker();
+    if (!worker) return Promise.resolve().then(() => parseStructure(text, name));
+
+    const id = ++requestCounter;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject, text, name });
+        worker.postMessage({ id, text, name });
+    }).then(structureFromData);
+}
+
+// Structure and geometry from readStructure()'s result
+function structureFromData({ format, id, atoms, bonds, ss, assemblies, sequences }) {
+    const result = buildGeometry(atoms, bonds);
+    result.format = format;
+    result.structure = buildStructure(atoms, { id, bonds, assemblies, sequences });
+    result.structure.residues.forEach((residue, i) => { residue.ss = ss[i]; });
+    return result;
+}
+
+// --- Worker ---
+let worker = null;
+let workerFailed = false;
+let requestCounter = 0;
+const pendingRequests = new Map(); // id -> { resolve, reject, text, name }
+
+function getWorker() {
+    if (worker || workerFailed) return worker;
+    try {
+        worker = new Worker(new URL('./structure-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        workerFailed = true;
+        return null;
+    }
+    worker.addEventListener('message', (event) => {
+        const { id, data, error } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+        pendingRequests.delete(id);
+        if (error) request.reject(new Error(error)); else request.resolve(unpackStructureData(data));
+    });
+    // The worker script itself failed (e.g. no module worker support): parse here instead
+    worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        console.warn('Structure worker unavailable, parsing on the main thread:', event.message);
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+        for (const [id, request] of pendingRequests) {
+            pendingRequests.delete(id);
+            try {
+                request.resolve(readStructure(request.text, request.name));
+            } catch (err) {
+                request.reject(err);
+            }
+        }
+    });
+    return worker;
+}
+
+// --- Loader ---
+export class MMCIFLoader {
+    parse(text) {
+        const { atoms, bonds } = parseMmcifAtoms(text);
+        return buildGeometry(atoms, bonds);
+    }
+}
+
+// Same output as PDBLoader's buildGeometry(): json.atoms entries are [x, y, z, [r, g, b], 'El'].
+export function buildGeometry(atoms, bonds) {
+    const verticesAtoms = new Float32Array(atoms.length * 3);
+    const colorsAtoms = new Float32Array(atoms.length * 3);
+    const jsonAtoms = new Array(atoms.length);
+    const color = new THREE.Color();
+
+    atoms.forEach((atom, i) => {
+        const rgb = elementColor(atom.element);
+        verticesAtoms[i * 3] = atom.x;
+        verticesAtoms[i * 3 + 1] = atom.y;
+        verticesAtoms[i * 3 + 2] = atom.z;
+        color.setRGB(rgb[0] / 255, rgb[1] / 255, rgb[2] / 255).convertSRGBToLinear();
+        color.toArray(colorsAtoms, i * 3);
+        jsonAtoms[i] = [atom.x, atom.y, atom.z, rgb, capitalizeElement(atom.element)];
+    });
+
+    const geometryAtoms = new THREE.BufferGeometry();
+    geometryAtoms.setAttribute('position', new THREE.BufferAttribute(verticesAtoms, 3));
+    geometryAtoms.setAttribute('color', new THREE.BufferAttribute(colorsAtoms, 3));
+
+    const geometryBonds = new THREE.BufferGeometry();
+    geometryBonds.setAttribute('position', new THREE.BufferAttribute(bondPositions(atoms, bonds), 3));
+
+    return { geometryAtoms, geometryBonds, json: { atoms: jsonAtoms } };
+}
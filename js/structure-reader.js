@@ -0,0 +1,100 @@
+import { parseMmcifAtoms } from './mmcif-parser.js';
+import { parsePdbAtoms } from './pdb-parser.js';
+import { buildStructure } from './structure-model.js';
+import { perceiveBonds, mergeBonds } from './bonds.js';
+import { computeSecondaryStructure } from './secondary-structure.js';
+
+// The expensive, three.js-free half of loading a structure file: parsing, bond perception and
+// secondary structure. structure-parser.js runs it directly or in structure-worker.js and
+// builds the structure and geometry from the result.
+//
+// Result: { format, id, atoms: [record, ...], bonds: [[a, b], ...], ss: ['helix' | 'sheet' | 'coil', ...], assemblies, sequences }
+// with one ss entry per residue, in buildStructure() order, assemblies as in assemblies.js and
+// the SEQRES sequences of the parsers.
+
+// --- Configuration ---
+// mmCIF always opens with a data_ block (possibly after comments)
+const CIF_HEADER = /^(\s*#[^\n]*\n)*\s*data_/i;
+const SS_CODES = ['coil', 'helix', 'sheet'];
+// Atom record fields (see parsePdbAtoms / parseMmcifAtoms), by how they are packed for transfer
+const STRING_FIELDS = ['name', 'altLoc', 'resName', 'chainId', 'iCode', 'element'];
+const NUMBER_FIELDS = ['serial', 'resSeq', 'x', 'y', 'z', 'occupancy', 'bFactor', 'model'];
+const BOOLEAN_FIELDS = ['hetero'];
+
+// --- Format Detection ---
+export function detectFormat(name, text) {
+    // The content wins: a mirror can serve mmCIF under a .pdb name after a fallback
+    if (CIF_HEADER.test(text.slice(0, 4096))) return 'cif';
+    return /\.(cif|mmcif)$/i.test(name) ? 'cif' : 'pdb';
+}
+
+// --- Reading ---
+export function readStructure(text, name = '') {
+    const format = detectFormat(name, text);
+    const records = format === 'cif' ? parseMmcifAtoms(text) : parsePdbAtoms(text);
+    const id = name.replace(/\.[^.]+$/, '');
+
+    const structure = buildStructure(records.atoms, {
+        id,
+        bonds: records.bonds,
+        secondaryStructure: records.secondaryStructure
+    });
+    // Explicit bonds plus perceived ones (CONECT records rarely cover the polymer)
+    const bonds = mergeBonds(structure.bonds, perceiveBonds(structure));
+    if (records.secondaryStructure.length === 0) computeSecondaryStructure(structure);
+
+    const ss = structure.residues.map((residue) => residue.ss);
+    return { format, id, atoms: records.atoms, bonds, ss, assemblies: records.assemblies, sequences: records.sequences };
+}
+
+// --- Transfer ---
+// Hundreds of thousands of small objects are slow to structured-clone, so the result crosses
+// the worker boundary as columns: typed arrays (transferred, not copied) and string tables.
+// Assemblies and sequences are small and cloned as they are. Returns { data, transfer }.
+export function packStructureData({ format, id, atoms, bonds, ss, assemblies, sequences }) {
+    const count = atoms.length;
+    const columns = {};
+    for (const field of NUMBER_FIELDS) columns[field] = Float64Array.from(atoms, (atom) => atom[field]);
+    for (const field of BOOLEAN_FIELDS) columns[field] = Uint8Array.from(atoms, (atom) => (atom[field] ? 1 : 0));
+    for (const field of STRING_FIELDS) {
+        const values = [];
+        const codes = new Map();
+        const column = new Uint32Array(count);
+        atoms.forEach((atom, i) => {
+            let code = codes.get(atom[field]);
+            if (code === undefined) {
+                code = values.length;
+                codes.set(atom[field], code);
+                values.push(atom[field]);
+            }
+            column[i] = code;
+        });
+        columns[field] = { values, codes: column };
+    }
+
+    const bondArray = new Int32Array(bonds.length * 2);
+    bonds.forEach(([a, b], i) => {
+        bondArray[i * 2] = a;
+        bondArray[i * 2 + 1] = b;
+    });
+    const ssArray = Uint8Array.from(ss, (type) => Math.max(0, SS_CODES.indexOf(type)));
+
+    const transfer = [bondArray.buffer, ssArray.buffer];
+    for (const column of Object.values(columns)) transfer.push((column.codes || column).buffer);
+    return { data: { format, id, count, columns, bonds: bondArray, ss: ssArray, assemblies, sequences }, transfer };
+}
+
+export function unpackStructureData({ format, id, count, columns, bonds, ss, assemblies, sequences }) {
+    const atoms = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const atom = {};
+        for (const field of NUMBER_FIELDS) atom[field] = columns[field][i];
+        for (const field of BOOLEAN_FIELDS) atom[field] = columns[field][i] === 1;
+        for (const field of STRING_FIELDS) atom[field] = columns[field].values[columns[field].codes[i]];
+        atoms[i] = atom;
+    }
+
+    const bondPairs = new Array(bonds.length / 2);
+    for (let i = 0; i < bondPairs.length; i++) bondPairs[i] = [bonds[i * 2], bonds[i * 2 + 1]];
+    return { format, id, atoms, bonds: bondPairs, ss: Array.from(ss, (code) => SS_CODES[code]), assemblies, sequences };
+}
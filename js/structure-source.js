@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { addButton, addTextInput, createPanel } from './viewer-ui.js';
+
+// --- Configuration ---
+export const DEFAULT_PDB_ID = '7XNH';
+const DEFAULT_MIRROR_BASE_URL = 'https://files.rcsb.org/download/';
+const MIRROR_STORAGE_KEY = 'structureMirrorBaseUrl';
+const PDB_ID_PATTERN = /^[0-9][a-z0-9]{3}$/i; // Classic 4-character IDs, the only ones on the mirrors' file paths
+
+// --- Mirror ---
+// Where PDB IDs are fetched from. Order of precedence: ?mirror= query parameter,
+// a value saved with setMirrorBaseUrl() (e.g. a local directory on offline machines), RCSB.
+export function getMirrorBaseUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const base = params.get('mirror') || readStoredMirror() || DEFAULT_MIRROR_BASE_URL;
+    return base.endsWith('/') ? base : `${base}/`;
+}
+
+export function setMirrorBaseUrl(url) {
+    try {
+        if (url) {
+            localStorage.setItem(MIRROR_STORAGE_KEY, url);
+        } else {
+            localStorage.removeItem(MIRROR_STORAGE_KEY); // Back to the default mirror
+        }
+    } catch (err) {
+        console.warn('Could not save mirror base URL:', err);
+    }
+}
+
+function readStoredMirror() {
+    try {
+        return localStorage.getItem(MIRROR_STORAGE_KEY);
+    } catch (err) {
+        return null; // Storage can be disabled (private mode, file://)
+    }
+}
+
+// Mirror panel for the viewer toolbars: saves the base URL with setMirrorBaseUrl(), blank for RCSB.
+// A ?mirror= parameter still wins over the saved value.
+export function addMirrorSetting(toolbar) {
+    const panel = createPanel('PDB mirror');
+    addButton(toolbar, 'Mirror', () => {
+        if (panel.element.hidden) panel.open(); else panel.close();
+    });
+    const row = document.createElement('div');
+    row.className = 'viewer-panel-row';
+    const input = addTextInput(row, 'Base URL, e.g. ./pdb/', (url) => {
+        setMirrorBaseUrl(url);
+        showCurrent();
+    });
+    input.value = readStoredMirror() || '';
+    addButton(row, 'Use RCSB', () => {
+        setMirrorBaseUrl(null);
+        input.value = '';
+        showCurrent();
+    });
+    const status = document.createElement('div');
+    status.className = 'viewer-status';
+    panel.body.append(row, status);
+
+    function showCurrent() {
+        status.textContent = `PDB IDs are fetched from ${getMirrorBaseUrl()}`;
+    }
+    showCurrent();
+}
+
+// --- Sources ---
+// A source is a plain object: { type: 'pdb' | 'url' | 'file', id, name, url?, fallbackUrl?, file? }.
+// `id` is what we show to the user, `name` is used to guess the file format.
+export function isPdbId(text) {
+    return PDB_ID_PATTERN.test(text.trim());
+}
+
+// Throws for anything but a PDB ID, which would otherwise end up as a path on the mirror
+export function sourceFromPdbId(pdbId) {
+    if (!isPdbId(pdbId)) throw new Error(`"${pdbId}" is not a PDB ID (4 characters, starting with a digit)`);
+    const id = pdbId.trim().toUpperCase();
+    const base = getMirrorBaseUrl();
+    // Large assemblies and most cryo-EM entries only exist as mmCIF
+    return { type: 'pdb', id, name: `${id}.pdb`, url: `${base}${id}.pdb`, fallbackUrl: `${base}${id}.cif` };
+}
+
+export function sourceFromUrl(url) {
+    const name = fileNameFromUrl(url);
+    return { type: 'url', id: stripExtension(name), name, url };
+}
+
+export function sourceFromFile(file) {
+    return { type: 'file', id: stripExtension(file.name), name: file.name, file };
+}
+
+// Pick the source from the page URL: ?url= wins over ?pdb=, otherwise the default entry.
+// Throws when ?pdb= is not a PDB ID (see sourceFromPdbId()).
+export function resolveSource(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    if (params.get('url')) return sourceFromUrl(params.get('url'));
+    if (params.get('pdb')) return sourceFromPdbId(params.get('pdb'));
+    return sourceFromPdbId(DEFAULT_PDB_ID);
+}
+
+// Human readable description for the #info div.
+export function describeSource(source) {
+    switch (source.type) {
+        case 'pdb': return `PDB ${source.id} (${mirrorLabel(source.url)})`;
+        case 'url': return `${source.name} (URL)`;
+        case 'file': return `${source.name} (local file)`;
+        default: return source.id;
+    }
+}
+
+// --- Serialization ---
+// Plain JSON for links and session files. A local file can't travel with a link, so only its
+// name is kept and sourceFromJSON() returns null for it (as for a malformed PDB ID).
+export function sourceToJSON(source) {
+    switch (source.type) {
+        case 'pdb': return { type: 'pdb', id: source.id };
+        case 'url': return { type: 'url', url: source.url };
+        default: return { type: source.type, name: source.name };
+    }
+}
+
+export function sourceFromJSON(data) {
+    if (!data) return null;
+    if (data.type === 'pdb' && typeof data.id === 'string' && isPdbId(data.id)) return sourceFromPdbId(data.id);
+    if (data.type === 'url' && data.url) return sourceFromUrl(data.url);
+    return null;
+}
+
+// --- Reading ---
+// Resolves with the raw text of the structure. onProgress receives ProgressEvents like PDBLoader's.
+export function readSource(source, onProgress) {
+    if (source.type === 'file') {
+        return source.file.text();
+    }
+
+    return loadText(source.url, onProgress).catch((err) => {
+        if (!source.fallbackUrl) throw err;
+        console.warn(`${source.url} not available, trying ${source.fallbackUrl}`);
+        return loadText(source.fallbackUrl, onProgress);
+    });
+}
+
+// Same for binary files (density maps): resolves with an ArrayBuffer
+export function readSourceBuffer(source, onProgress) {
+    if (source.type === 'file') {
+        return source.file.arrayBuffer();
+    }
+
+    return new Promise((resolve, reject) => {
+        const loader = new THREE.FileLoader();
+        loader.setResponseType('arraybuffer');
+        loader.load(source.url, resolve, onProgress, reject);
+    });
+}
+
+function loadText(url, onProgress) {
+    return new Promise((resolve, reject) => {
+        const loader = new THREE.FileLoader();
+        loader.load(url, resolve, onProgress, reject);
+    });
+}
+
+// --- Drag and Drop ---
+// Calls onSource for every structure file dropped on the target element.
+export function enableFileDrop(target, onSource) {
+    target.addEventListener('dragover', (event) => {
+        event.preventDefault(); // Required, otherwise the browser opens the file
+        event.dataTransfer.dropEffect = 'copy';
+    });
+    target.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (file) onSource(sourceFromFile(file));
+    });
+}
+
+// --- Helpers ---
+// Relative mirrors (a directory next to the page) and file:// ones are local
+function mirrorLabel(url) {
+    if (!/^([a-z][a-z\d+.-]*:|\/\/)/i.test(url)) return 'local mirror';
+    return new URL(url, window.location.href).host || 'local mirror';
+}
+
+function fileNameFromUrl(url) {
+    const path = new URL(url, window.location.href).pathname;
+    return decodeURIComponent(path.split('/').pop()) || url;
+}
+
+function stripExtension(name) {
+    return name.replace(/\.[^.]+$/, '');
+}
@@ -0,0 +1,14 @@
+import { readStructure, packStructureData } from './structure-reader.js';
+
+// Module worker behind parseStructureAsync() (see structure-parser.js).
+// Message in: { id, text, name }. Message out: { id, data } or { id, error }.
+
+self.addEventListener('message', (event) => {
+    const { id, text, name } = event.data;
+    try {
+        const { data, transfer } = packStructureData(readStructure(text, name));
+        self.postMessage({ id, data }, transfer);
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+});
@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { parseStructureAsync } from './structure-parser.js';
+import { readSource, describeSource, sourceFromPdbId, sourceFromFile } from './structure-source.js';
+import { createRepresentationSet, polymerAtoms, ligandAtoms } from './representations.js';
+import { prepareColorScheme } from './color-schemes.js';
+import { residueKind, oneLetterCode } from './residues.js';
+import { findAtom } from './structure-model.js';
+import { alignSequences, kabsch, pairDistances } from './superposition.js';
+import { addButton, addTextInput, addFileButton, createPanel } from './viewer-ui.js';
+
+// Compares other structures (e.g. a prediction) with the loaded one. The CA traces of the first
+// models are aligned by sequence and fitted with Kabsch (see superposition.js); every compared
+// structure gets its own group inside the viewer's molecule group, moved onto the reference and
+// colored by the CA distance of each residue. The reference residues take their deviation from
+// the first compared structure and show it with the 'deviation' color scheme.
+// Returns { setReference(structure), clear(), entries }.
+
+// --- Configuration ---
+const POLYMER_STYLE = 'cartoon';
+const LIGAND_STYLE = 'ball-and-stick';
+const MIN_ALIGNED = 3; // Kabsch needs at least three pairs
+
+// --- Tool ---
+// group: the viewer's molecule group; onDeviationsChanged() should refresh the reference colors.
+export function createSuperpositionTool(toolbar, { group, onDeviationsChanged }) {
+    const entries = []; // { name, structure, group, representations, result }
+    let reference = null;
+    let referenceTrace = [];
+    let version = 0; // Loads started for an older reference are dropped
+
+    const panel = createPanel('Superposition');
+    addButton(toolbar, 'Superpose', () => {
+        if (panel.element.hidden) panel.open(); else panel.close();
+    });
+    const addRow = document.createElement('div');
+    addRow.className = 'viewer-panel-row';
+    addTextInput(addRow, 'PDB ID', (id) => {
+        try {
+            compare(sourceFromPdbId(id));
+        } catch (err) {
+            showStatus(err.message, true);
+        }
+    });
+    addFileButton(addRow, 'Add file', '.pdb,.ent,.cif,.mmcif', (file) => compare(sourceFromFile(file)));
+    const list = document.createElement('div');
+    const status = document.createElement('div');
+    status.className = 'viewer-status';
+    panel.body.append(addRow, list, status);
+
+    function showStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('viewer-error', isError);
+    }
+
+    function compare(source) {
+        if (!reference) return;
+        const loadVersion = version;
+        const label = describeSource(source);
+        showStatus(`Loading ${label}...`);
+        readSource(source)
+            .then((text) => parseStructureAsync(text, source.name))
+            .then(({ structure }) => {
+                if (loadVersion !== version) return;
+                addEntry(label, structure);
+                showStatus('');
+            })
+            .catch((err) => {
+                if (loadVersion !== version) return;
+                console.error('Superposition failed:', err);
+                showStatus(`${label}: ${err.message}`, true);
+            });
+    }
+
+    function addEntry(name, structure) {
+        const trace = caTrace(structure);
+        const pairs = alignSequences(referenceTrace.map(codeOf), trace.map(codeOf));
+        if (pairs.length < MIN_ALIGNED) throw new Error(`only ${pairs.length} CA atoms could be aligned`);
+
+        const targetAtoms = pairs.map(([i]) => referenceTrace[i]);
+        const mobileAtoms = pairs.map(([, j]) => trace[j]);
+        const transform = kabsch(mobileAtoms, targetAtoms);
+        const deviations = pairDistances(mobileAtoms, targetAtoms, transform);
+        const identical = pairs.filter(([i, j]) => codeOf(referenceTrace[i]) === codeOf(trace[j])).length;
+
+        // Compared residues keep their own deviation; the reference takes the first comparison's
+        mobileAtoms.forEach((atom, k) => { atom.residue.deviation = deviations[k]; });
+        if (entries.length === 0) targetAtoms.forEach((atom, k) => { atom.residue.deviation = deviations[k]; });
+
+        // Own group, placed with the fitted transform
+        const entryGroup = new THREE.Group();
+        entryGroup.name = `superposed-${name}`;
+        entryGroup.matrixAutoUpdate = false;
+        const [r, t] = [transform.rotation, transform.translation];
+        entryGroup.matrix.set(r[0], r[1], r[2], t[0], r[3], r[4], r[5], t[1], r[6], r[7], r[8], t[2], 0, 0, 0, 1);
+        group.add(entryGroup);
+
+        const representations = createRepresentationSet(entryGroup);
+        representations.add(POLYMER_STYLE, polymerAtoms, 'Polymer');
+        representations.add(LIGAND_STYLE, ligandAtoms, 'Ligands');
+        const colors = new Float32Array(structure.atoms.length * 3);
+        representations.setStructure(structure, colors);
+        representations.applyColors(prepareColorScheme('deviation', structure).fill(colors));
+
+        entries.push({
+            name,
+            structure,
+            group: entryGroup,
+            representations,
+            result: { rmsd: transform.rmsd, aligned: pairs.length, identity: identical / pairs.length }
+        });
+        updateList();
+        onDeviationsChanged();
+    }
+
+    function removeEntry(entry) {
+        [...entry.representations.layers].forEach((layer) => entry.representations.remove(layer));
+        entry.group.removeFromParent();
+        entries.splice(entries.indexOf(entry), 1);
+    }
+
+    function updateList() {
+        list.replaceChildren();
+        for (const entry of entries) {
+            const row = document.createElement('div');
+            row.className = 'viewer-panel-row';
+            const text = document.createElement('span');
+            const { rmsd, aligned, identity } = entry.result;
+            text.textContent = `${entry.name}: RMSD ${rmsd.toFixed(2)} Å over ${aligned} CA (${Math.round(identity * 100)}% identity)`;
+            row.appendChild(text);
+            addButton(row, 'Remove', () => {
+                removeEntry(entry);
+                refreshReferenceDeviations();
+                updateList();
+            });
+            list.appendChild(row);
+        }
+    }
+
+    // After a removal the next comparison (if any) provides the reference deviations
+    function refreshReferenceDeviations() {
+        clearDeviations(reference);
+        const [first] = entries;
+        if (first) {
+            const trace = caTrace(first.structure);
+            const pairs = alignSequences(referenceTrace.map(codeOf), trace.map(codeOf));
+            for (const [i, j] of pairs) referenceTrace[i].residue.deviation = trace[j].residue.deviation;
+        }
+        onDeviationsChanged();
+    }
+
+    const tool = {
+        entries,
+        // Comparisons belong to the reference they were fitted to; a new one starts empty
+        setReference(structure) {
+            tool.clear();
+            reference = structure;
+            referenceTrace = structure ? caTrace(structure) : [];
+        },
+        clear() {
+            version++;
+            while (entries.length > 0) removeEntry(entries[0]);
+            clearDeviations(reference);
+            updateList();
+            showStatus('');
+        }
+    };
+    return tool;
+}
+
+// CA atoms of the protein residues of the first model, in chain order
+function caTrace(structure) {
+    const trace = [];
+    const [model] = structure.models;
+    if (!model) return trace;
+    for (const chain of model.chains) {
+        for (const residue of chain.residues) {
+            if (residueKind(residue) !== 'protein') continue;
+            const ca = findAtom(residue, 'CA');
+            if (ca) trace.push(ca);
+        }
+    }
+    return trace;
+}
+
+function codeOf(atom) {
+    return oneLetterCode(atom.residue);
+}
+
+function clearDeviations(structure) {
+    if (!structure) return;
+    for (const residue of structure.residues) delete residue.deviation;
+}
@@ -0,0 +1,237 @@
+// Structure superposition math: sequence alignment of two residue traces and the Kabsch
+// least-squares fit of matched points. Plain numbers and { x, y, z } points only (atoms
+// work as they are), no three.js or DOM, so it can be checked under Node.
+//
+// A transform is { rotation: [9 numbers, row-major 3x3], translation: [x, y, z] } and maps
+// a mobile point p to rotation * p + translation.
+
+// --- Configuration ---
+const MATCH_SCORE = 2;
+const MISMATCH_SCORE = -1;
+const GAP_SCORE = -2; // Per gap position inside the alignment; end gaps are free
+const MAX_ALIGNMENT_CELLS = 25e6; // Score matrix size limit (e.g. 5000 x 5000 residues)
+const JACOBI_SWEEPS = 50;
+
+// --- Sequence alignment ---
+// Global alignment with free end gaps (Needleman-Wunsch), so a model covering only part of
+// the experimental chain still lines up. a, b: one-letter sequences (strings or arrays).
+// Returns the aligned positions as [[indexInA, indexInB], ...], gaps left out.
+export function alignSequences(a, b, { match = MATCH_SCORE, mismatch = MISMATCH_SCORE, gap = GAP_SCORE } = {}) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 || m === 0) return [];
+    if ((n + 1) * (m + 1) > MAX_ALIGNMENT_CELLS) {
+        throw new Error(`Sequences too long to align (${n} x ${m} residues)`);
+    }
+
+    // Scores row by row; the traceback keeps 0 = diagonal, 1 = gap in b, 2 = gap in a
+    const width = m + 1;
+    const trace = new Uint8Array((n + 1) * width);
+    let previous = new Float64Array(width); // Row 0: leading gaps are free
+    let current = new Float64Array(width);
+    for (let j = 1; j <= m; j++) trace[j] = 2;
+
+    for (let i = 1; i <= n; i++) {
+        current[0] = 0;
+        trace[i * width] = 1;
+        const lastRow = i === n;
+        for (let j = 1; j <= m; j++) {
+            const diagonal = previous[j - 1] + (a[i - 1] === b[j - 1] ? match : mismatch);
+            // Trailing gaps (last row / last column) are free as well
+            const up = previous[j] + (j === m ? 0 : gap);
+            const left = current[j - 1] + (lastRow ? 0 : gap);
+            let best = diagonal;
+            let move = 0;
+            if (up > best) { best = up; move = 1; }
+            if (left > best) { best = left; move = 2; }
+            current[j] = best;
+            trace[i * width + j] = move;
+        }
+        [previous, current] = [current, previous];
+    }
+
+    const pairs = [];
+    let i = n;
+    let j = m;
+    while (i > 0 && j > 0) {
+        const move = trace[i * width + j];
+        if (move === 0) pairs.push([--i, --j]);
+        else if (move === 1) i--;
+        else j--;
+    }
+    return pairs.reverse();
+}
+
+// --- Kabsch ---
+// Rotation and translation that minimize the RMSD of mobile onto target (same length, paired
+// by index). Returns { rotation, translation, rmsd }.
+export function kabsch(mobile, target) {
+    const count = mobile.length;
+    if (count !== target.length) throw new Error('kabsch: point lists differ in length');
+    if (count < 3) throw new Error('kabsch: at least 3 point pairs are needed');
+
+    const mobileCenter = centroid(mobile);
+    const targetCenter = centroid(target);
+
+    // Covariance H = sum (p - pc)(q - qc)^T
+    const h = new Array(9).fill(0);
+    for (let k = 0; k < count; k++) {
+        const p = [mobile[k].x - mobileCenter[0], mobile[k].y - mobileCenter[1], mobile[k].z - mobileCenter[2]];
+        const q = [target[k].x - targetCenter[0], target[k].y - targetCenter[1], target[k].z - targetCenter[2]];
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) h[row * 3 + col] += p[row] * q[col];
+        }
+    }
+
+    // SVD H = U S V^T through the eigenvectors of H^T H (= V S^2 V^T)
+    const { values, vectors } = symmetricEigen(multiply(transpose(h), h));
+    const v = [0, 1, 2].map((i) => column(vectors, i));
+    const singular = values.map((value) => Math.sqrt(Math.max(value, 0)));
+
+    let rotation;
+    if (singular[0] < 1e-12) {
+        rotation = [1, 0, 0, 0, 1, 0, 0, 0, 1]; // All points on top of each other
+    } else {
+        // U = H V / S; the third column as a cross product keeps U a proper rotation, and the sign
+        // of det(V) then decides whether the fit would be a reflection (flipped by the last column)
+        const u1 = normalize(multiplyVector(h, v[0]));
+        // Orthogonalized against u1, which only matters when rounding leaves it slightly off
+        const hv2 = multiplyVector(h, v[1]);
+        const along = dot(hv2, u1);
+        const rest = hv2.map((x, i) => x - along * u1[i]);
+        const u2 = Math.hypot(...rest) > 1e-9 * singular[0]
+            ? normalize(rest)
+            : perpendicular(u1); // Collinear points: any perpendicular will do
+        const u3 = cross(u1, u2);
+        const d = determinant(fromColumns(v[0], v[1], v[2])) < 0 ? -1 : 1;
+        // R = V diag(1, 1, d) U^T
+        const vd = fromColumns(v[0], v[1], v[2].map((x) => x * d));
+        rotation = multiply(vd, transpose(fromColumns(u1, u2, u3)));
+    }
+
+    const rotatedCenter = multiplyVector(rotation, mobileCenter);
+    const transform = {
+        rotation,
+        translation: [0, 1, 2].map((i) => targetCenter[i] - rotatedCenter[i])
+    };
+    transform.rmsd = rmsd(mobile.map((point) => applyTransform(transform, point)), target);
+    return transform;
+}
+
+export function applyTransform({ rotation: r, translation: t }, { x, y, z }) {
+    return {
+        x: r[0] * x + r[1] * y + r[2] * z + t[0],
+        y: r[3] * x + r[4] * y + r[5] * z + t[1],
+        z: r[6] * x + r[7] * y + r[8] * z + t[2]
+    };
+}
+
+// --- Deviations ---
+// Distance of each pair, after moving the a points with the transform when one is given
+export function pairDistances(a, b, transform = null) {
+    return a.map((point, i) => {
+        const p = transform ? applyTransform(transform, point) : point;
+        return Math.hypot(p.x - b[i].x, p.y - b[i].y, p.z - b[i].z);
+    });
+}
+
+export function rmsd(a, b) {
+    if (a.length === 0) return 0;
+    let sum = 0;
+    for (const distance of pairDistances(a, b)) sum += distance * distance;
+    return Math.sqrt(sum / a.length);
+}
+
+// --- Linear algebra (3x3, row-major) ---
+function centroid(points) {
+    const sum = [0, 0, 0];
+    for (const { x, y, z } of points) {
+        sum[0] += x;
+        sum[1] += y;
+        sum[2] += z;
+    }
+    return sum.map((value) => value / points.length);
+}
+
+// Jacobi rotations; returns the eigenvalues sorted from largest to smallest and the matching
+// eigenvectors as the columns of `vectors`
+function symmetricEigen(matrix) {
+    const a = matrix.slice();
+    let vectors = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    for (let sweep = 0; sweep < JACOBI_SWEEPS; sweep++) {
+        const offDiagonal = Math.abs(a[1]) + Math.abs(a[2]) + Math.abs(a[5]);
+        if (offDiagonal < 1e-15 * (Math.abs(a[0]) + Math.abs(a[4]) + Math.abs(a[8]) + 1e-300)) break;
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            const apq = a[p * 3 + q];
+            if (Math.abs(apq) < 1e-300) continue;
+            const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+            // A' = J^T A J, V' = V J with J the rotation in the (p, q) plane
+            const j = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+            j[p * 3 + p] = c;
+            j[q * 3 + q] = c;
+            j[p * 3 + q] = s;
+            j[q * 3 + p] = -s;
+            const rotated = multiply(multiply(transpose(j), a), j);
+            for (let i = 0; i < 9; i++) a[i] = rotated[i];
+            vectors = multiply(vectors, j);
+        }
+    }
+
+    const order = [0, 1, 2].sort((i, k) => a[k * 4] - a[i * 4]);
+    return {
+        values: order.map((i) => a[i * 4]),
+        vectors: fromColumns(...order.map((i) => column(vectors, i)))
+    };
+}
+
+function multiply(a, b) {
+    const result = new Array(9);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            result[row * 3 + col] = a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+        }
+    }
+    return result;
+}
+
+function multiplyVector(m, v) {
+    return [0, 1, 2].map((row) => m[row * 3] * v[0] + m[row * 3 + 1] * v[1] + m[row * 3 + 2] * v[2]);
+}
+
+function transpose(m) {
+    return [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+}
+
+function column(m, i) {
+    return [m[i], m[3 + i], m[6 + i]];
+}
+
+function fromColumns(a, b, c) {
+    return [a[0], b[0], c[0], a[1], b[1], c[1], a[2], b[2], c[2]];
+}
+
+function determinant(m) {
+    return m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return v.map((x) => x / length);
+}
+
+function perpendicular(v) {
+    // Cross with the axis v is least aligned with
+    const axis = Math.abs(v[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    return normalize(cross(v, axis));
+}
@@ -1,183 +1,453 @@
 // Import necessary Three.js modules
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { PDBLoader } from 'three/addons/loaders/PDBLoader.js';
+import { createViewerScene } from './viewer-scene.js';
+import { parseStructureAsync } from './structure-parser.js';
+import { countStructure } from './structure-model.js';
+import { resolveSource, describeSource, readSource, enableFileDrop, sourceFromPdbId, sourceFromFile, sourceToJSON, sourceFromJSON, addMirrorSetting } from './structure-source.js';
+import { createRepresentationSet, polymerAtoms, ligandAtoms, REPRESENTATION_TYPES } from './representations.js';
+import { prepareColorScheme, colorSchemeOptions } from './color-schemes.js';
+import { createAtomInspector } from './picking.js';
+import { createSelectionTool } from './selection-tool.js';
+import { createLayerPanel } from './layer-panel.js';
+import { createModelControls } from './model-controls.js';
+import { createSequencePanel } from './sequence-panel.js';
+import { createSuperpositionTool } from './superposition-tool.js';
+import { createInteractionTool } from './interaction-tool.js';
+import { createDensityTool, isDensityMapFile, resolveMapSource } from './density-tool.js';
+import { createAnnotationTool } from './annotations.js';
+import { createMeasurementTool, measurementsToCsv, MEASUREMENT_TYPES } from './measurements.js';
+import { createLabelRenderer } from './labels.js';
+import { createRenderEffects } from './render-effects.js';
+import { createExportTool } from './export.js';
+import { createStatsOverlay } from './stats-overlay.js';
+import { VIEW_STATE_VERSION, cameraToJSON, applyCameraJSON, finiteNumber, readViewStateFromHash, readSessionFile, isSessionFile, addViewStateControls } from './view-state.js';
+import { createToolbar, addButton, addTextInput, addFileButton, addSelect, addCheckbox, addRange, createLegend, showLegend, downloadFile } from './viewer-ui.js';
 
 // --- Global variables ---
+let view; // Scene, camera, renderer, controls and render loop (see viewer-scene.js)
 let scene, camera, renderer, controls;
+let labelRenderer; // Draws the floating measurement labels, auto labels and notes over the canvas
 let moleculeGroup; // Group to hold the molecule parts
+let structure = null; // Chains/residues/atoms of the loaded file (see structure-model.js)
+let currentSource = null; // Where the loaded structure came from, saved in view states
+let representations; // Representation layers drawn into moleculeGroup
+let inspector; // Hover tooltip, click selection and side panel (see picking.js)
+let selection; // Typed selection expressions (see selection-tool.js)
+let layerPanel; // Extra representation layers on typed selections (see layer-panel.js)
+let modelControls; // Model slider/playback and assembly choice (see model-controls.js)
+let sequencePanel; // One-letter track per chain, synced with the picking (see sequence-panel.js)
+let measurements; // Distance/angle/dihedral tool fed by clicked atoms
+let superposition; // Other structures fitted onto this one (see superposition-tool.js)
+let interactions; // Ligand pocket and its interactions (see interaction-tool.js)
+let density; // CCP4/MRC map isosurface over the model (see density-tool.js)
+let annotations; // Residue/chain/ligand labels and notes on atoms (see annotations.js)
+let effects; // Depth cueing, ambient occlusion, outlines and clipping slab (see render-effects.js)
+let atomColors = null; // Per-atom colors (linear RGB) shared by all layers
+let colorScheme = null; // Active color scheme, bound to the current structure
+let legend; // Legend overlay for the active scheme
+let stats; // Frame rate / atom count overlay (see stats-overlay.js)
+let ui = {}; // Toolbar inputs that are updated when a view state is restored
+let loadCounter = 0; // Used to ignore results of loads that were superseded by a newer one
+let exporting = false; // A turntable recording drives the camera and colors while true
+const clock = new THREE.Clock(); // Drives animated color schemes
 
 // --- Configuration ---
-const pdbId = '7XNH'; // The PDB ID to load
-const pdbUrl = `https://files.rcsb.org/download/${pdbId}.pdb`;
-const atomSphereRadius = 0.4; // Adjust radius of atom spheres as needed
+// The structure comes from ?pdb= / ?url= (see structure-source.js), defaulting to 7XNH
+const defaultPolymerStyle = 'ball-and-stick';
+const defaultLigandStyle = 'ball-and-stick';
+let colorSchemeId = 'element'; // See color-schemes.js
+const defaultWave = { speed: 0.5, frequency: 0.1 }; // Only used by the animated 'wave' scheme
+let colorWaveSpeed = defaultWave.speed;
+let colorWaveFrequency = defaultWave.frequency;
+const showStats = new URLSearchParams(window.location.search).get('stats') !== '0'; // ?stats=0 starts with the overlay hidden
 
 // --- Initialization Function ---
 function init() {
-    // Scene setup
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x111111); // Dark grey background
-
-    // Camera setup
-    camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 1, 5000);
-    camera.position.z = 1000; // Initial camera distance
-
-    // Renderer setup
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setPixelRatio(window.devicePixelRatio); // Adjust for high-DPI displays
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    document.body.appendChild(renderer.domElement); // Add canvas to the HTML body
-
-    // Lighting setup
-    const ambientLight = new THREE.AmbientLight(0xcccccc, 0.6); // Softer ambient light
-    scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0); // Main light source
-    directionalLight.position.set(1, 1, 1).normalize();
-    scene.add(directionalLight);
-
-    // Controls setup (for user interaction)
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true; // Adds inertia to camera movement
-    controls.dampingFactor = 0.05;
-    controls.screenSpacePanning = false; // Keep panning relative to the scene origin
-    controls.minDistance = 50;   // How close the user can zoom in
-    controls.maxDistance = 2000; // How far the user can zoom out
+    // Scene, camera, lights and controls, with the canvas filling the window (see viewer-scene.js
+    // for the defaults: grey background following the theme, camera 1000 away, zoom between 50 and 2000)
+    labelRenderer = createLabelRenderer(); // HTML labels on top of the canvas
+    view = createViewerScene(document.body, {
+        onFrame: animate,
+        onRender: () => {
+            stats.update();
+            labelRenderer.render(scene, camera);
+        },
+        onResize: (width, height) => {
+            labelRenderer.setSize(width, height);
+            if (effects) effects.setSize(width, height); // Not there yet on the first resize
+        }
+    });
+    ({ scene, camera, renderer, controls } = view);
 
     // Molecule Group setup
     moleculeGroup = new THREE.Group();
     scene.add(moleculeGroup);
 
-    // Load the PDB molecule data
-    loadMolecule(pdbUrl);
+    // Polymer and ligands get their own layer so they can be drawn in different styles
+    representations = createRepresentationSet(moleculeGroup);
+    const polymerLayer = representations.add(defaultPolymerStyle, polymerAtoms, 'Polymer');
+    const ligandLayer = representations.add(defaultLigandStyle, ligandAtoms, 'Ligands');
+
+    // Hover an atom for a tooltip, click it to select it and open the details panel.
+    // While a measurement mode is active the clicked atoms are also collected for it.
+    measurements = createMeasurementTool(moleculeGroup);
+    inspector = createAtomInspector(camera, renderer.domElement, moleculeGroup, representations, (atom) => {
+        measurements.addAtom(atom);
+        sequencePanel.showSelected(atom);
+    }, (atom) => sequencePanel.showHovered(atom));
+
+    // Other structures can be loaded by ID, file picker or drag and drop (session files too)
+    const toolbar = createToolbar();
+    addTextInput(toolbar, 'PDB ID', (id) => loadFrom(() => sourceFromPdbId(id)));
+    addFileButton(toolbar, 'Open file', '.pdb,.ent,.cif,.mmcif', (file) => loadMolecule(sourceFromFile(file)));
+    addMirrorSetting(toolbar); // Where PDB IDs are fetched from, e.g. a local directory offline
+    enableFileDrop(document.body, (source) => {
+        if (isSessionFile(source.name)) {
+            readSessionFile(source.file).then(applyViewState).catch(showViewStateError);
+        } else if (isDensityMapFile(source.name)) {
+            density.load(source);
+        } else {
+            loadMolecule(source);
+        }
+    });
+    ui.layers = new Map([polymerLayer, ligandLayer].map((layer) => [layer, addRepresentationSwitch(toolbar, layer)]));
+    ui.colorScheme = addSelect(toolbar, 'Color', colorSchemeOptions(), colorSchemeId, (id) => {
+        colorSchemeId = id;
+        updateColorScheme();
+    });
+    ui.waveSpeed = addRange(toolbar, 'Wave speed', { min: 0, max: 2, step: 0.05, value: colorWaveSpeed }, (value) => { colorWaveSpeed = value; });
+    ui.waveFrequency = addRange(toolbar, 'Wave frequency', { min: 0.02, max: 2, step: 0.02, value: colorWaveFrequency }, (value) => { colorWaveFrequency = value; });
+    ui.rotate = addCheckbox(toolbar, 'Rotate', controls.autoRotate, (enabled) => { controls.autoRotate = enabled; });
+    addCheckbox(toolbar, 'Stats', showStats, (enabled) => stats.setVisible(enabled));
+
+    // NMR ensembles / trajectories play model by model; assemblies are drawn as instanced copies
+    modelControls = createModelControls(toolbar, { representations, onAssemblyChange: frameMolecule });
+
+    // Sequence track: hover/click residues there or in the scene, drag over a range to zoom onto it
+    sequencePanel = createSequencePanel(toolbar, { group: moleculeGroup, representations, inspector, camera, controls });
+    const measureOptions = { off: 'Off' };
+    for (const [type, { label }] of Object.entries(MEASUREMENT_TYPES)) measureOptions[type] = label;
+    addSelect(toolbar, 'Measure', measureOptions, 'off', (type) => measurements.setMode(type === 'off' ? null : type));
+    addButton(toolbar, 'Export CSV', () => {
+        const name = structure && structure.id ? `${structure.id}-measurements.csv` : 'measurements.csv';
+        downloadFile(name, measurementsToCsv(measurements.measurements), 'text/csv');
+    });
+
+    // Typed selections, e.g. "chain A and resi 10-50" or "within 5 of ligand", which can also
+    // get a representation layer of their own
+    layerPanel = createLayerPanel(toolbar, { representations });
+    selection = createSelectionTool(toolbar, {
+        group: moleculeGroup,
+        representations,
+        getStructure: () => structure,
+        onColorsChanged: updateColorScheme,
+        layers: layerPanel
+    });
+
+    // Predicted vs. experimental: superpose other structures by their CA atoms and report the RMSD
+    superposition = createSuperpositionTool(toolbar, { group: moleculeGroup, onDeviationsChanged: updateColorScheme });
+
+    // Complexes: the residues around a ligand and its H-bonds, salt bridges, stacking and hydrophobic contacts
+    interactions = createInteractionTool(toolbar, { group: moleculeGroup, representations });
+
+    // Density maps (CCP4/MRC, also dropped or from ?map=) as an isosurface over the model
+    density = createDensityTool(toolbar, { group: moleculeGroup, getCropAtoms: selectedAtoms });
 
-    // Add resize listener
-    window.addEventListener('resize', onWindowResize);
+    // Labels for residues, chains or ligands, and notes on the picked atom (kept per PDB ID)
+    annotations = createAnnotationTool(toolbar, { group: moleculeGroup, getSelectedAtom: () => inspector.selected() });
+
+    // The whole view can be shared as a link or saved as a session file
+    addViewStateControls(toolbar, {
+        getState: getViewState,
+        applyState: applyViewState,
+        sessionName: () => (structure && structure.id ? structure.id : 'session'),
+        onError: showViewStateError
+    });
+
+    // Depth aids for crowded structures: fog, ambient occlusion, outlines, a clipping slab
+    effects = createRenderEffects(view, toolbar, { group: moleculeGroup, preset: 'standard' });
+
+    // PNG snapshots at any size and turntable recordings orbiting the camera
+    createExportTool(toolbar, {
+        renderer,
+        scene,
+        camera,
+        name: () => (structure && structure.id ? structure.id : 'molecule'),
+        turntable: createTurntable(),
+        createFrames: effects.createExportFrames // Exports keep the occlusion and outlines
+    });
+    legend = createLegend();
+    stats = createStatsOverlay(renderer);
+    stats.setVisible(showStats);
+
+    // Load the PDB molecule data, or everything a shared link describes
+    const sharedState = readViewStateFromHash();
+    if (sharedState) {
+        applyViewState(sharedState).catch(showViewStateError);
+    } else {
+        loadFrom(resolveSource);
+    }
+    const mapSource = resolveMapSource();
+    if (mapSource) density.load(mapSource);
 
     // Start the animation loop
-    animate();
+    view.start();
 }
 
 // --- Load PDB Data Function ---
-function loadMolecule(url) {
-    const loader = new PDBLoader();
+// Resolves with true once the structure is shown (false if it failed or a newer load won).
+function loadMolecule(source) {
     const infoDiv = document.getElementById('info'); // Assuming an info div exists in HTML
-    if (infoDiv) infoDiv.textContent = `Loading PDB: ${pdbId}...`;
+    const sourceLabel = describeSource(source);
+    const loadId = ++loadCounter;
+    if (infoDiv) infoDiv.textContent = `Loading ${sourceLabel}...`;
 
-    // Reusable objects for InstancedMesh setup
-    const tempMatrix = new THREE.Matrix4();
-    const tempColor = new THREE.Color();
-    const tempPosition = new THREE.Vector3(); // To read position attribute
+    return readSource(source, (xhr) => {
+        // Progress callback (optional)
+        if (infoDiv && xhr.lengthComputable && loadId === loadCounter) {
+            const percentComplete = xhr.loaded / xhr.total * 100;
+            infoDiv.textContent = `Loading ${sourceLabel}... ${Math.round(percentComplete)}%`;
+        }
+    }).then((text) => {
+        if (loadId !== loadCounter) return null; // A newer structure was requested meanwhile
+        if (infoDiv) infoDiv.textContent = `Parsing ${sourceLabel}...`;
+        return parseStructureAsync(text, source.name); // PDB or mmCIF, same output shape (parsed in a worker)
+    }).then((pdb) => {
+        if (!pdb || loadId !== loadCounter) return false;
 
-    loader.load(url, (pdb) => {
         // PDB loaded successfully
+        clearMolecule();
         const geometryAtoms = pdb.geometryAtoms;
-        const geometryBonds = pdb.geometryBonds;
-        const atomPositions = geometryAtoms.getAttribute('position');
-        const atomColors = geometryAtoms.getAttribute('color'); // PDBLoader provides colors per atom
-        const atomCount = atomPositions.count;
-
-        if (infoDiv) infoDiv.textContent = `PDB: ${pdbId} Loaded. Atoms: ${atomCount}`;
+        const atomCount = geometryAtoms.getAttribute('position').count;
+
+        structure = pdb.structure;
+        stats.setAtomCount(structure.atoms.length);
+        currentSource = source;
+        superposition.setReference(structure);
+        interactions.setStructure(structure);
+        annotations.setStructure(structure);
+        const counts = countStructure(structure);
+        if (infoDiv) infoDiv.textContent = `${sourceLabel} Loaded. Chains: ${counts.chains}, Residues: ${counts.residues}, Atoms: ${atomCount}`;
         console.log("PDB Loaded:", pdb);
 
 
-        // --- Atoms (as Spheres using InstancedMesh) ---
-        // 1. Base Geometry (a single sphere)
-        const sphereGeometry = new THREE.IcosahedronGeometry(atomSphereRadius, 3); // Icosahedron is a good sphere approximation
-
-        // 2. Material (that uses instance colors)
-        const atomMaterial = new THREE.MeshPhongMaterial({
-            shininess: 30,
-            vertexColors: false, // We are using INSTANCE colors, not vertex colors on the sphere itself
-            // side: THREE.DoubleSide // Can uncomment if spheres look odd from inside
-        });
-
-        // 3. InstancedMesh
-        const atomMesh = new THREE.InstancedMesh(sphereGeometry, atomMaterial, atomCount);
-        atomMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage); // May help performance if matrices change often (not strictly needed here)
-        atomMesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(atomCount * 3), 3); // Enable instance colors
-
-        // 4. Set position and color for each instance
-        for (let i = 0; i < atomCount; i++) {
-            // Get position for this atom
-            tempPosition.fromBufferAttribute(atomPositions, i);
-            // Set the transformation matrix for this instance (only position is needed)
-            tempMatrix.setPosition(tempPosition);
-            atomMesh.setMatrixAt(i, tempMatrix);
-
-            // Get color for this atom
-            tempColor.fromBufferAttribute(atomColors, i);
-            // Set the color for this instance
-            atomMesh.setColorAt(i, tempColor);
-        }
-        atomMesh.instanceMatrix.needsUpdate = true; // Tell Three.js matrices have been set
-        if (atomMesh.instanceColor) {
-             atomMesh.instanceColor.needsUpdate = true; // Tell Three.js colors have been set
-        }
+        // --- Representations ---
+        // Each layer copies the per-atom scheme colors into its own instance/vertex colors
+        atomColors = new Float32Array(atomCount * 3);
+        representations.setStructure(structure, atomColors);
+        modelControls.setStructure(structure);
+        sequencePanel.setStructure(structure);
+        updateColorScheme();
+        inspector.setStructure(structure);
+        frameMolecule();
+        return true;
 
-
-        moleculeGroup.add(atomMesh); // Add the InstancedMesh to the group
-
-        // --- Bonds (as Lines) ---
-        // Simple material for Bonds
-        const bondMaterial = new THREE.LineBasicMaterial({
-             color: 0x888888, // Grey color for bonds
-             vertexColors: true, // Use colors from PDB geometryBonds if available
-             linewidth: 1 // Note: linewidth > 1 might not work on all platforms
-        });
-        const bondLines = new THREE.LineSegments(geometryBonds, bondMaterial);
-        moleculeGroup.add(bondLines);
-
-
-        // --- Center the molecule and adjust camera ---
-        // Calculate bounding box using the original atom positions geometry
-        geometryAtoms.computeBoundingBox();
-        const bbox = geometryAtoms.boundingBox;
-        const center = new THREE.Vector3();
-        bbox.getCenter(center);
-        moleculeGroup.position.sub(center); // Move group so its center is at the world origin
-
-        // Adjust camera distance based on molecule size
-        const sphere = new THREE.Sphere();
-        bbox.getBoundingSphere(sphere);
-        // Position camera based on the bounding sphere radius
-        camera.position.z = Math.max(sphere.radius * 2.5, 150); // Ensure camera isn't too close for small molecules
-        controls.target.copy(moleculeGroup.position); // Point controls at the molecule center
-        controls.update(); // Apply changes to controls
-
-    }, (xhr) => {
-        // Progress callback (optional)
-        if (infoDiv && xhr.lengthComputable) {
-            const percentComplete = xhr.loaded / xhr.total * 100;
-            infoDiv.textContent = `Loading PDB: ${pdbId}... ${Math.round(percentComplete, 2)}%`;
-        }
-    }, (err) => {
+    }).catch((err) => {
         // Error callback
         console.error('Error loading PDB file:', err);
-        if (infoDiv) infoDiv.textContent = `Error loading PDB: ${pdbId}`;
+        if (infoDiv && loadId === loadCounter) infoDiv.textContent = `Error loading ${sourceLabel}`;
+        return false;
     });
 }
 
-// --- Animation Loop ---
-function animate() {
-    // Request the next frame
-    requestAnimationFrame(animate);
+// Typed IDs and ?pdb= can be malformed (see sourceFromPdbId()): report it instead of loading
+function loadFrom(getSource) {
+    let source;
+    try {
+        source = getSource();
+    } catch (err) {
+        const infoDiv = document.getElementById('info');
+        if (infoDiv) infoDiv.textContent = err.message;
+        return Promise.resolve(false);
+    }
+    return loadMolecule(source);
+}
+
+// --- Center the molecule and adjust camera ---
+// Fits what is drawn: the shown model, or the whole biological assembly
+function frameMolecule() {
+    const bbox = representations.boundingBox();
+    if (bbox.isEmpty()) return;
+    const center = new THREE.Vector3();
+    bbox.getCenter(center);
+    effects.setBounds(bbox); // Fog and slab follow the molecule's size
+    moleculeGroup.position.copy(center).negate(); // Move group so its center is at the world origin
+
+    // Adjust camera distance based on molecule size
+    const sphere = new THREE.Sphere();
+    bbox.getBoundingSphere(sphere);
+    // Position camera based on the bounding sphere radius
+    camera.position.z = Math.max(sphere.radius * 2.5, 150); // Ensure camera isn't too close for small molecules
+    controls.target.copy(moleculeGroup.position); // Point controls at the molecule center
+    controls.update(); // Apply changes to controls
+}
+
+// --- Representation switcher for one layer ---
+function addRepresentationSwitch(toolbar, layer) {
+    const options = { ...REPRESENTATION_TYPES, none: 'Hidden' };
+    return addSelect(toolbar, layer.label, options, layer.type, (type) => representations.setType(layer, type));
+}
+
+// --- Color the atoms with the selected scheme ---
+function updateColorScheme() {
+    if (!structure) return;
+    colorScheme = prepareColorScheme(colorSchemeId, structure);
+    // The animated scheme only moves on the GPU (see color-wave.js); atoms given their own
+    // color by a typed selection keep it
+    const painted = new Uint8Array(structure.atoms.length);
+    representations.applyColors(selection.paint(colorScheme.fill(atomColors, colorWaveOptions()), painted));
+    representations.setColorWaveExcluded(painted);
+    representations.setColorWave(colorScheme.animated ? colorWaveOptions() : null);
+    showLegend(legend, colorScheme.legend);
+}
+
+function colorWaveOptions(time = clock.getElapsedTime()) {
+    return { time, speed: colorWaveSpeed, frequency: colorWaveFrequency };
+}
+
+// --- View state (see view-state.js) ---
+function getViewState() {
+    const picked = inspector.selected();
+    return {
+        version: VIEW_STATE_VERSION,
+        source: currentSource ? sourceToJSON(currentSource) : null,
+        camera: cameraToJSON(camera, controls),
+        rotation: { enabled: controls.autoRotate },
+        layers: [...representations.layers.filter((layer) => !layer.expression).map(({ label, type }) => ({ label, type })), ...layerPanel.state()],
+        color: { scheme: colorSchemeId, wave: { speed: colorWaveSpeed, frequency: colorWaveFrequency } },
+        models: modelControls.state(),
+        selections: selection.history(),
+        picked: picked ? picked.index : null,
+        measurements: measurements.measurements.map(({ type, atoms }) => ({ type, atoms: atoms.map((atom) => atom.index) }))
+    };
+}
+
+// Loads the state's structure when it isn't shown yet, then restores the rest on top of it.
+function applyViewState(state) {
+    const sameSource = currentSource && state.source && JSON.stringify(sourceToJSON(currentSource)) === JSON.stringify(state.source);
+    const source = sameSource ? null : sourceFromJSON(state.source);
+    let loading = Promise.resolve(Boolean(sameSource && structure));
+    if (source) {
+        loading = loadMolecule(source);
+    } else if (!sameSource) {
+        // A local file can't be fetched again: keep (or load) a structure and restore only the view
+        const infoDiv = document.getElementById('info');
+        if (infoDiv && state.source) infoDiv.textContent = `Open ${state.source.name} to restore this session`;
+        if (!structure) loadFrom(resolveSource);
+    }
+
+    return loading.then((loaded) => {
+        // Styles, selection layers and colors apply to any structure
+        layerPanel.applyState(state.layers);
+        for (const { label, type, selection: expression } of state.layers || []) {
+            const layer = !expression && representations.layers.find((l) => l.label === label && !l.expression);
+            if (!layer || !(Object.hasOwn(REPRESENTATION_TYPES, type) || type === 'none')) continue;
+            representations.setType(layer, type);
+            ui.layers.get(layer).value = type;
+        }
+        if (state.color) {
+            if (Object.hasOwn(colorSchemeOptions(), state.color.scheme)) colorSchemeId = ui.colorScheme.value = state.color.scheme;
+            if (state.color.wave) {
+                colorWaveSpeed = finiteNumber(state.color.wave.speed, defaultWave.speed, { min: 0 });
+                colorWaveFrequency = finiteNumber(state.color.wave.frequency, defaultWave.frequency, { min: 0 });
+                ui.waveSpeed.value = colorWaveSpeed;
+                ui.waveFrequency.value = colorWaveFrequency;
+            }
+        }
+        if (state.rotation) controls.autoRotate = ui.rotate.checked = Boolean(state.rotation.enabled);
+
+        // Atom indices only mean something for the structure the state was saved with
+        if (loaded && structure) {
+            modelControls.applyState(state.models);
+            selection.reset();
+            for (const { action, expression, color } of state.selections || []) selection.apply(expression, action, color);
+            measurements.clear();
+            for (const { type, atoms } of state.measurements || []) {
+                if (!Object.hasOwn(MEASUREMENT_TYPES, type) || !Array.isArray(atoms) || atoms.length !== MEASUREMENT_TYPES[type].atoms) continue;
+                const picked = atoms.map((i) => (Number.isInteger(i) ? structure.atoms[i] : null));
+                if (picked.every(Boolean)) measurements.add(type, picked);
+            }
+            inspector.select(Number.isInteger(state.picked) && structure.atoms[state.picked] ? structure.atoms[state.picked] : null);
+        }
+        updateColorScheme();
+        applyCameraJSON(camera, controls, state.camera);
+    });
+}
 
-    // Update controls (handles damping)
-    controls.update();
+function showViewStateError(err) {
+    console.error('Could not restore the view:', err);
+    const infoDiv = document.getElementById('info');
+    if (infoDiv) infoDiv.textContent = `Could not restore the view: ${err.message}`;
+}
 
-    // Render the scene from the camera's perspective
-    renderer.render(scene, camera);
+// --- Atoms of the current selection (the last typed expression, else the clicked atom's residue) ---
+function selectedAtoms() {
+    if (!structure) return [];
+    const indices = selection.selected();
+    if (indices.length > 0) return indices.map((i) => structure.atoms[i]);
+    const atom = inspector.selected();
+    return atom ? atom.residue.atoms : [];
 }
 
-// --- Handle Window Resize ---
-function onWindowResize() {
-    // Update camera aspect ratio
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+// --- Remove the current molecule before showing another one ---
+function clearMolecule() {
+    inspector.setStructure(null); // Drops the selection and its highlight
+    sequencePanel.setStructure(null);
+    selection.clear();
+    measurements.clear(); // Measurements refer to atoms of the old structure
+    superposition.clear(); // So do the superpositions
+    interactions.clear(); // And the binding site analysis
+    annotations.setStructure(null); // Takes the labels off the page
+    moleculeGroup.remove(density.object); // The map stays, it may be for the next structure
+    moleculeGroup.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    moleculeGroup.clear();
+    moleculeGroup.add(density.object);
+}
+
+// --- Turntable recording (see export.js) ---
+// The camera orbits the controls target once per loop, in the direction and by default at the
+// speed of the Rotate option (OrbitControls' autoRotateSpeed is in turns per minute).
+function createTurntable() {
+    const axis = new THREE.Vector3();
+    const offset = new THREE.Vector3();
+    const startPosition = new THREE.Vector3();
+    let startTime = 0;
+    return {
+        duration: () => 60 / controls.autoRotateSpeed,
+        start() {
+            exporting = true;
+            controls.enabled = false;
+            startPosition.copy(camera.position);
+            startTime = clock.getElapsedTime();
+            axis.copy(camera.up).normalize();
+        },
+        step(fraction, time) {
+            offset.subVectors(startPosition, controls.target).applyAxisAngle(axis, -fraction * Math.PI * 2);
+            camera.position.copy(controls.target).add(offset);
+            camera.lookAt(controls.target);
+            if (colorScheme && colorScheme.animated) representations.setColorWave(colorWaveOptions(startTime + time));
+        },
+        finish() {
+            camera.position.copy(startPosition);
+            camera.lookAt(controls.target);
+            controls.enabled = true;
+            exporting = false;
+        }
+    };
+}
+
+// --- Animation Loop ---
+// Runs before every render; controls are updated by viewer-scene.js unless a turntable
+// recording switched them off to move the camera itself
+function animate() {
+    // Next model of a playing ensemble or trajectory
+    modelControls.update();
 
-    // Update renderer size and pixel ratio
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
+    // Animated schemes (the rainbow wave) move every frame
+    if (colorScheme && colorScheme.animated && !exporting) representations.setColorWave(colorWaveOptions());
 }
 
 // --- Start the application ---
@@ -0,0 +1,84 @@
+// Theme manager: 'light', 'dark' or 'system' (follows prefers-color-scheme), saved in
+// localStorage. Include it as a plain script in <head> so the theme is applied before the first
+// paint; the viewer modules import it too and then it just runs a bit later.
+//
+// The resolved theme is set as <html data-theme="light|dark"> (plus the old dark-mode class on
+// <body>), and every change is broadcast as a 'themechange' event on window with
+// detail { theme, mode }, also when another tab changed the saved mode.
+//
+// window.siteTheme = { get() -> 'light' | 'dark', mode(), setMode(mode), onChange(listener) -> unsubscribe }
+(function () {
+  if (window.siteTheme) return;
+
+  const STORAGE_KEY = 'siteTheme';
+  const MODES = ['light', 'dark', 'system'];
+  const systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+
+  let mode = readMode();
+  let theme = resolve();
+
+  function readMode() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return MODES.includes(saved) ? saved : 'system';
+    } catch (err) {
+      return 'system'; // Storage blocked (privacy settings, sandboxed frames)
+    }
+  }
+
+  function resolve() {
+    if (mode === 'system') return systemDark.matches ? 'dark' : 'light';
+    return mode;
+  }
+
+  function apply() {
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+    root.style.colorScheme = theme; // Form controls and scrollbars
+    if (document.body) document.body.classList.toggle('dark-mode', theme === 'dark');
+  }
+
+  // Broadcast on every mode change too, so mode pickers can follow along
+  function update() {
+    theme = resolve();
+    apply();
+    window.dispatchEvent(new CustomEvent('themechange', { detail: { theme, mode } }));
+  }
+
+  systemDark.addEventListener('change', () => {
+    if (mode === 'system') update();
+  });
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    mode = readMode();
+    update();
+  });
+
+  apply();
+  // <body> doesn't exist yet when this runs in <head>
+  if (!document.body) document.addEventListener('DOMContentLoaded', apply);
+
+  window.siteTheme = {
+    get() {
+      return theme;
+    },
+    mode() {
+      return mode;
+    },
+    setMode(newMode) {
+      if (!MODES.includes(newMode)) throw new Error(`Unknown theme mode: ${newMode}`);
+      mode = newMode;
+      try {
+        localStorage.setItem(STORAGE_KEY, mode);
+      } catch (err) {
+        // Not saved, but still applied for this page
+      }
+      update();
+    },
+    onChange(listener) {
+      const handler = (event) => listener(event.detail.theme, event.detail.mode);
+      window.addEventListener('themechange', handler);
+      return () => window.removeEventListener('themechange', handler);
+    }
+  };
+})();
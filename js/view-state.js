@@ -0,0 +1,139 @@
+import { addButton, addFileButton, downloadFile } from './viewer-ui.js';
+
+// Serializable view state: everything needed to show a colleague the same view.
+// The viewers build it with their getViewState() and restore it with applyViewState();
+// this module only moves it in and out of the URL hash and JSON session files.
+//
+// {
+//   version: 1,
+//   source: { type: 'pdb', id } | { type: 'url', url } | { type: 'file', name },
+//   camera: { position: [x, y, z], target: [x, y, z], up: [x, y, z], zoom },
+//   rotation: { enabled, angle? },
+//   layers: [{ label, type }],
+//   color: { scheme, wave: { enabled?, speed, frequency } },
+//   models: { assembly: id | null, model: index | null (all), playing },
+//   selections: [{ action, expression, color }],   // replayed in order
+//   picked: atomIndex | null,
+//   measurements: [{ type, atoms: [atomIndex, ...] }]
+// }
+
+// --- Configuration ---
+export const VIEW_STATE_VERSION = 1;
+const HASH_PREFIX = '#view=';
+const SESSION_EXTENSION = '.json';
+
+// --- Camera ---
+export function cameraToJSON(camera, controls) {
+    return {
+        position: roundArray(camera.position.toArray()),
+        target: roundArray(controls.target.toArray()),
+        up: roundArray(camera.up.toArray()),
+        zoom: camera.zoom
+    };
+}
+
+// Fields that are missing or malformed (hand-edited sessions) keep the current camera
+export function applyCameraJSON(camera, controls, data) {
+    if (!data) return;
+    if (isVector(data.position)) camera.position.fromArray(data.position);
+    if (isVector(data.up)) camera.up.fromArray(data.up);
+    camera.zoom = finiteNumber(data.zoom, camera.zoom, { min: Number.MIN_VALUE });
+    camera.updateProjectionMatrix();
+    if (isVector(data.target)) controls.target.fromArray(data.target);
+    controls.update();
+}
+
+// --- Values ---
+// value when it is a finite number (at least min), else fallback; for numbers read from states
+export function finiteNumber(value, fallback, { min = -Infinity } = {}) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every((v) => finiteNumber(v, null) !== null);
+}
+
+// --- Encoding ---
+// JSON -> UTF-8 -> base64url, so the state survives being pasted into chats and mail
+export function encodeViewState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeViewState(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return validateViewState(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+export function validateViewState(state) {
+    if (!state || typeof state !== 'object') throw new Error('View state is not an object');
+    if (state.version !== VIEW_STATE_VERSION) throw new Error(`Unsupported view state version: ${state.version}`);
+    return state;
+}
+
+// --- URL hash ---
+// Returns the state in the page's #view= hash, or null when there is none (or it is broken).
+export function readViewStateFromHash(hash = window.location.hash) {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+    try {
+        return decodeViewState(hash.slice(HASH_PREFIX.length));
+    } catch (err) {
+        console.warn('Ignoring invalid view state in the URL:', err);
+        return null;
+    }
+}
+
+// Replaces the hash without adding a history entry; returns the full link.
+export function writeViewStateToHash(state) {
+    const url = new URL(window.location.href);
+    url.hash = HASH_PREFIX + encodeViewState(state);
+    history.replaceState(null, '', url.href);
+    return url.href;
+}
+
+// --- Session files ---
+export function downloadSession(state, name = 'session') {
+    downloadFile(`${name}${SESSION_EXTENSION}`, JSON.stringify(state, null, 2), 'application/json');
+}
+
+export function readSessionFile(file) {
+    return file.text().then((text) => validateViewState(JSON.parse(text)));
+}
+
+export function isSessionFile(name) {
+    return name.toLowerCase().endsWith(SESSION_EXTENSION);
+}
+
+// --- Toolbar ---
+// 'Share link' writes the state into the hash and copies the link; sessions are saved and
+// opened as JSON. Pasting another #view= link into the address bar restores it too.
+// applyState(state) should return a promise (it may have to load a structure first).
+export function addViewStateControls(toolbar, { getState, applyState, sessionName = () => 'session', onError = console.error }) {
+    const share = addButton(toolbar, 'Share link', () => {
+        const link = writeViewStateToHash(getState());
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(link).then(() => {
+            share.textContent = 'Link copied';
+            setTimeout(() => { share.textContent = 'Share link'; }, 1500);
+        }).catch(() => { /* The link is still in the address bar */ });
+    });
+    addButton(toolbar, 'Save session', () => downloadSession(getState(), sessionName()));
+    addFileButton(toolbar, 'Open session', SESSION_EXTENSION, (file) => {
+        readSessionFile(file).then(applyState).catch(onError);
+    });
+
+    window.addEventListener('hashchange', () => {
+        const state = readViewStateFromHash();
+        if (state) Promise.resolve(applyState(state)).catch(onError);
+    });
+}
+
+// --- Helpers ---
+function roundArray(values, digits = 3) {
+    const factor = 10 ** digits;
+    return values.map((value) => Math.round(value * factor) / factor);
+}
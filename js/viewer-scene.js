@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import './theme.js';
+
+// The scene setup every viewer shares: scene, camera, renderer, lights, OrbitControls, sizing
+// and the render loop (used by main.js, testing.js, protein-viewer.js and molecule-viewer.js).
+// The canvas fills `container`. With document.body it follows the window; any other element is
+// watched with a ResizeObserver, so several viewers can share a page.
+// onFrame() runs before every render and onRender() after it (stats, label layers, ...);
+// onResize(width, height) after the canvas changed size. setRender(render) replaces the plain
+// renderer.render(scene, camera) of each frame, e.g. with post-processing (see render-effects.js).
+// dispose() stops everything, frees the GPU resources of the scene and removes the canvas;
+// onDispose(callback) lets add-ons free their own resources first.
+// The background follows the site theme (see theme.js): { dark, light } colors, or one color
+// for both.
+// Returns { scene, camera, renderer, controls, start(), stop(), resize(), setRender(render), onDispose(callback), dispose() }.
+
+// --- Configuration ---
+const DEFAULTS = {
+    background: { dark: 0x111111, light: 0xf2f2f2 },
+    fov: 70,
+    near: 1,
+    far: 5000,
+    cameraDistance: 1000,
+    pixelRatio: null, // null: the display's (window.devicePixelRatio)
+    ambientLight: [0xcccccc, 0.6], // [color, intensity]
+    directionalLight: [0xffffff, 1.0],
+    minDistance: 50,
+    maxDistance: 2000
+};
+
+// --- Scene ---
+export function createViewerScene(container, options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const { onFrame = null, onRender = null, onResize = null } = options;
+    const followsWindow = container === document.body;
+
+    const scene = new THREE.Scene();
+    const backgroundColor = new THREE.Color(); // Kept, export.js takes the background away for a moment
+    scene.background = backgroundColor;
+    function applyTheme() {
+        const theme = window.siteTheme.get();
+        backgroundColor.set(typeof config.background === 'object' ? config.background[theme] : config.background);
+    }
+    applyTheme();
+    window.addEventListener('themechange', applyTheme);
+
+    const camera = new THREE.PerspectiveCamera(config.fov, 1, config.near, config.far);
+    camera.position.z = config.cameraDistance;
+
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(config.pixelRatio || window.devicePixelRatio);
+    renderer.domElement.style.display = 'block'; // No inline gap below the canvas
+    container.appendChild(renderer.domElement);
+
+    const ambientLight = new THREE.AmbientLight(...config.ambientLight);
+    scene.add(ambientLight);
+    const directionalLight = new THREE.DirectionalLight(...config.directionalLight);
+    directionalLight.position.set(1, 1, 1).normalize();
+    scene.add(directionalLight);
+
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true; // Inertia when orbiting
+    controls.dampingFactor = 0.05;
+    controls.screenSpacePanning = false;
+    controls.minDistance = config.minDistance;
+    controls.maxDistance = config.maxDistance;
+
+    // --- Sizing ---
+    function resize() {
+        const width = followsWindow ? window.innerWidth : container.clientWidth;
+        const height = followsWindow ? window.innerHeight : container.clientHeight;
+        if (width === 0 || height === 0) return; // Hidden, keep the last size
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setPixelRatio(config.pixelRatio || window.devicePixelRatio); // The window may have moved to another display
+        renderer.setSize(width, height);
+        if (onResize) onResize(width, height);
+    }
+
+    let observer = null;
+    if (followsWindow) {
+        window.addEventListener('resize', resize);
+    } else {
+        observer = new ResizeObserver(resize);
+        observer.observe(container);
+    }
+    resize();
+
+    // --- Render loop ---
+    // Controls switched off (e.g. by a turntable recording moving the camera) are not updated
+    const plainRender = () => renderer.render(scene, camera);
+    let render = plainRender;
+    const disposeCallbacks = [];
+    function frame() {
+        if (controls.enabled) controls.update();
+        if (onFrame) onFrame();
+        render();
+        if (onRender) onRender();
+    }
+
+    return {
+        scene,
+        camera,
+        renderer,
+        controls,
+        start() {
+            renderer.setAnimationLoop(frame);
+        },
+        stop() {
+            renderer.setAnimationLoop(null);
+        },
+        resize,
+        setRender(newRender) {
+            render = newRender || plainRender;
+        },
+        onDispose(callback) {
+            disposeCallbacks.push(callback);
+        },
+        dispose() {
+            renderer.setAnimationLoop(null);
+            for (const callback of disposeCallbacks.splice(0)) callback();
+            window.removeEventListener('themechange', applyTheme);
+            if (observer) observer.disconnect(); else window.removeEventListener('resize', resize);
+            controls.dispose();
+            scene.traverse((object) => {
+                if (object.geometry) object.geometry.dispose();
+                for (const material of [].concat(object.material || [])) material.dispose();
+                if (object.isInstancedMesh) object.dispose();
+            });
+            scene.clear();
+            renderer.dispose();
+            renderer.forceContextLoss(); // Browsers only keep a handful of WebGL contexts alive
+            renderer.domElement.remove();
+        }
+    };
+}
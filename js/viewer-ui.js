@@ -0,0 +1,269 @@
+// Small DOM helpers for the viewer pages.
+// The pages only provide the canvas and an #info div, so the controls are created from script.
+
+const stylesheetUrl = new URL('../CSS/viewer.css', import.meta.url);
+
+// --- Styles ---
+export function ensureViewerStyles() {
+    if (document.querySelector('link[data-viewer-styles]')) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = stylesheetUrl.href;
+    link.dataset.viewerStyles = '';
+    document.head.appendChild(link);
+}
+
+// --- Toolbar ---
+export function createToolbar(parent = document.body) {
+    ensureViewerStyles();
+    const toolbar = document.createElement('div');
+    toolbar.className = 'viewer-toolbar';
+    parent.appendChild(toolbar);
+    return toolbar;
+}
+
+export function addButton(parent, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    parent.appendChild(button);
+    return button;
+}
+
+// Text field that calls onSubmit(value) on Enter.
+export function addTextInput(parent, placeholder, onSubmit) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = placeholder;
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && input.value.trim()) onSubmit(input.value.trim());
+    });
+    parent.appendChild(input);
+    return input;
+}
+
+// Button that opens a file picker and calls onFile(file) with the chosen file,
+// or onFile(files) with all of them when multiple is set.
+export function addFileButton(parent, label, accept, onFile, { multiple = false } = {}) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+    input.hidden = true;
+    input.addEventListener('change', () => {
+        if (input.files[0]) onFile(multiple ? Array.from(input.files) : input.files[0]);
+        input.value = ''; // Allow picking the same file again
+    });
+    parent.appendChild(input);
+    return addButton(parent, label, () => input.click());
+}
+
+// Labelled drop-down; options is { value: 'Text', ... }. Calls onChange(value).
+export function addSelect(parent, label, options, value, onChange) {
+    const wrapper = document.createElement('label');
+    wrapper.textContent = `${label} `;
+    const select = document.createElement('select');
+    setSelectOptions(select, options, value);
+    select.addEventListener('change', () => onChange(select.value));
+    wrapper.appendChild(select);
+    parent.appendChild(wrapper);
+    return select;
+}
+
+// Replaces the options of an addSelect() drop-down
+export function setSelectOptions(select, options, value) {
+    select.replaceChildren();
+    for (const [optionValue, text] of Object.entries(options)) {
+        select.add(new Option(text, optionValue, false, optionValue === value));
+    }
+}
+
+export function addCheckbox(parent, label, checked, onChange) {
+    const wrapper = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+    wrapper.append(input, ` ${label}`);
+    parent.appendChild(wrapper);
+    return input;
+}
+
+// Color swatch; calls onChange('#rrggbb') with the picked (sRGB) color.
+export function addColorInput(parent, label, value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = value;
+    input.title = label;
+    input.addEventListener('input', () => onChange(input.value));
+    parent.appendChild(input);
+    return input;
+}
+
+// Slider that calls onInput(number) while dragging.
+export function addRange(parent, label, { min, max, step, value }, onInput) {
+    const wrapper = document.createElement('label');
+    wrapper.textContent = `${label} `;
+    const input = document.createElement('input');
+    input.type = 'range';
+    Object.assign(input, { min, max, step, value });
+    input.addEventListener('input', () => onInput(parseFloat(input.value)));
+    wrapper.appendChild(input);
+    parent.appendChild(wrapper);
+    return input;
+}
+
+// Labelled number field that calls onChange(number) with valid values.
+export function addNumberInput(parent, label, { min, max, step = 1, value }, onChange) {
+    const wrapper = document.createElement('label');
+    wrapper.textContent = `${label} `;
+    const input = document.createElement('input');
+    input.type = 'number';
+    Object.assign(input, { min, max, step, value });
+    input.addEventListener('change', () => {
+        const number = parseFloat(input.value);
+        if (Number.isFinite(number)) onChange(number);
+    });
+    wrapper.appendChild(input);
+    parent.appendChild(wrapper);
+    return input;
+}
+
+// --- Legend ---
+// Overlay for a color scheme legend (see color-schemes.js): either categories or a gradient.
+export function createLegend(parent = document.body) {
+    ensureViewerStyles();
+    const element = document.createElement('div');
+    element.className = 'viewer-legend';
+    parent.appendChild(element);
+    return element;
+}
+
+export function showLegend(element, legend) {
+    element.replaceChildren();
+    if (!legend) return;
+
+    if (legend.type === 'gradient') {
+        const bar = document.createElement('div');
+        bar.className = 'viewer-legend-gradient';
+        bar.style.background = `linear-gradient(to right, ${legend.stops.map(cssColor).join(', ')})`;
+        const labels = document.createElement('div');
+        labels.className = 'viewer-legend-labels';
+        labels.append(textSpan(legend.minLabel), textSpan(legend.maxLabel));
+        element.append(bar, labels);
+        return;
+    }
+
+    for (const item of legend.items) {
+        const row = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'viewer-legend-swatch';
+        swatch.style.background = cssColor(item.color);
+        row.append(swatch, item.label);
+        element.appendChild(row);
+    }
+}
+
+// --- Tooltip ---
+// Small box that follows the mouse; showTooltip(element, null) hides it.
+export function createTooltip(parent = document.body) {
+    ensureViewerStyles();
+    const element = document.createElement('div');
+    element.className = 'viewer-tooltip';
+    element.hidden = true;
+    parent.appendChild(element);
+    return element;
+}
+
+export function showTooltip(element, rows, clientX = 0, clientY = 0) {
+    element.hidden = !rows;
+    if (!rows) return;
+    showDetails(element, rows);
+    // Offset from the cursor, flipped to the other side near the window edges
+    const x = clientX + 14 + element.offsetWidth > window.innerWidth ? clientX - 14 - element.offsetWidth : clientX + 14;
+    const y = clientY + 14 + element.offsetHeight > window.innerHeight ? clientY - 14 - element.offsetHeight : clientY + 14;
+    element.style.left = `${Math.max(0, x)}px`;
+    element.style.top = `${Math.max(0, y)}px`;
+}
+
+// --- Side panel ---
+// Closable panel on the right; panels stack in one column. Returns { element, title, body, open(), close() };
+// onClose runs when the user closes it with the x button.
+export function createPanel(title, onClose = null, parent = panelColumn()) {
+    ensureViewerStyles();
+    const element = document.createElement('div');
+    element.className = 'viewer-panel';
+    element.hidden = true;
+
+    const header = document.createElement('div');
+    header.className = 'viewer-panel-header';
+    const heading = textSpan(title);
+    const closeButton = addButton(header, '\u00d7', () => {
+        panel.close();
+        if (onClose) onClose();
+    });
+    closeButton.title = 'Close';
+    header.prepend(heading);
+
+    const body = document.createElement('div');
+    body.className = 'viewer-panel-body';
+    element.append(header, body);
+    parent.appendChild(element);
+
+    const panel = {
+        element,
+        title: heading,
+        body,
+        open() { element.hidden = false; },
+        close() { element.hidden = true; }
+    };
+    return panel;
+}
+
+function panelColumn() {
+    let column = document.querySelector('.viewer-panels');
+    if (!column) {
+        column = document.createElement('div');
+        column.className = 'viewer-panels';
+        document.body.appendChild(column);
+    }
+    return column;
+}
+
+// Fills an element with a definition list of [label, value] rows.
+export function showDetails(element, rows) {
+    const list = document.createElement('dl');
+    list.className = 'viewer-details';
+    for (const [label, value] of rows) {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.textContent = value;
+        list.append(term, description);
+    }
+    element.replaceChildren(list);
+}
+
+// --- Downloads ---
+// Saves a Blob (or text) as a file through a temporary link.
+export function downloadFile(filename, content, type = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// THREE.Color (linear) -> '#rrggbb' (sRGB)
+function cssColor(color) {
+    return `#${color.getHexString()}`;
+}
+
+function textSpan(text) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+}
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { readStructure } from '../js/structure-reader.js';
+import { buildStructure } from '../js/structure-model.js';
+import {
+    findLigands, findPocket, findInteractions, findHydrogenBonds, findSaltBridges, findPiStacking,
+    findHydrophobicContacts, bondedNeighbors, interactionsToCsv
+} from '../js/interactions.js';
+
+// A 4-methylbenzoate (LIG, ring around the origin in the xy plane, carboxylate along +x) in a
+// pocket built for known contacts:
+//   PHE 10  ring 3.7 Å above the ligand ring, parallel and 0.5 Å off its axis
+//   ARG 20  NH1 / NH2 2.85 Å from O1 / O2, guanidinium 3.52 Å from the carboxylate
+//   LEU 30  CD1 3.81 Å beyond the methyl
+//   SER 40  OG 3.0 Å from O1
+//   THR 41  OG1 3.7 Å from O2, just too far for a hydrogen bond
+//   PHE 80  ring 5 Å below the ligand ring, edge-on
+//   GLY 90  outside the pocket
+// plus a water 2.8 Å from O1 and a zinc ion, which are no ligands and not part of the pocket.
+// The cutoff tests move one residue at a time and call the single rules.
+function loadPocket() {
+    const { atoms, bonds } = readStructure(readFileSync(new URL('./fixtures/pocket.pdb', import.meta.url), 'utf8'), 'pocket.pdb');
+    const structure = buildStructure(atoms, { bonds });
+    const model = structure.models[0];
+    const [ligand] = findLigands(model);
+    const residue = (seq) => structure.residues.find((r) => r.seq === seq && r.chain.id === 'A');
+    return { structure, model, ligand, residue, neighbors: bondedNeighbors(structure) };
+}
+
+function moveAtoms(atoms, [dx, dy, dz]) {
+    for (const atom of atoms) {
+        atom.x += dx;
+        atom.y += dy;
+        atom.z += dz;
+    }
+}
+
+// Turns atoms about the x axis through center
+function tiltAtoms(atoms, center, degrees) {
+    const angle = degrees * Math.PI / 180;
+    for (const atom of atoms) {
+        const y = atom.y - center.y;
+        const z = atom.z - center.z;
+        atom.y = center.y + y * Math.cos(angle) - z * Math.sin(angle);
+        atom.z = center.z + y * Math.sin(angle) + z * Math.cos(angle);
+    }
+}
+
+const summary = (interactions) => interactions.map((item) => [
+    item.type, `${item.residue.name} ${item.residue.seq}`, Math.round(item.distance * 100) / 100, item.detail
+]);
+
+// --- Ligands and pockets ---
+test('findLigands skips water and ions, findPocket the residues beyond the cutoff', () => {
+    const { model, ligand } = loadPocket();
+    assert.deepEqual(findLigands(model).map((r) => r.name), ['LIG']);
+    assert.equal(ligand.atoms.length, 10);
+    assert.deepEqual(findPocket(model, ligand).map((r) => r.seq), [10, 20, 30, 40, 41, 80]);
+    assert.deepEqual(findPocket(model, ligand, 3).map((r) => r.seq), [20, 40]);
+});
+
+// --- Interactions ---
+test('findInteractions finds the contacts the pocket was built with', () => {
+    const { structure, model, ligand } = loadPocket();
+    const interactions = findInteractions(structure, ligand, findPocket(model, ligand));
+    assert.deepEqual(summary(interactions), [
+        ['hbond', 'ARG 20', 2.85, 'ligand acceptor'],
+        ['hbond', 'ARG 20', 2.85, 'ligand acceptor'],
+        ['hbond', 'SER 40', 3, ''], // Ligand O and serine OG can both donate and accept
+        ['saltBridge', 'ARG 20', 3.52, 'ligand negative'],
+        ['piStacking', 'PHE 10', 3.73, 'parallel'],
+        ['piStacking', 'PHE 80', 5, 'T-shaped'],
+        ['hydrophobic', 'PHE 10', 3.73, ''],
+        ['hydrophobic', 'LEU 30', 3.81, ''],
+        ['hydrophobic', 'PHE 80', 3.87, '']
+    ]);
+
+    const [first, second] = interactions;
+    assert.deepEqual([first, second].map((item) => `${item.ligandAtoms[0].name}-${item.residueAtoms[0].name}`).sort(), ['O1-NH1', 'O2-NH2']);
+    const saltBridge = interactions.find((item) => item.type === 'saltBridge');
+    assert.deepEqual(saltBridge.ligandAtoms.map((atom) => atom.name), ['O1', 'O2']);
+    assert.deepEqual(saltBridge.residueAtoms.map((atom) => atom.name), ['NE', 'NH1', 'NH2']);
+    // Ring interactions are drawn between the centroids
+    const stacking = interactions.find((item) => item.type === 'piStacking');
+    assert.ok(Math.hypot(stacking.from.x, stacking.from.y, stacking.from.z) < 1e-9);
+    assert.equal(stacking.ligandAtoms.length, 6);
+});
+
+test('interactionsToCsv writes one row per interaction', () => {
+    const { structure, model, ligand } = loadPocket();
+    const csv = interactionsToCsv(findInteractions(structure, ligand, findPocket(model, ligand)));
+    const lines = csv.trimEnd().split('\n');
+    assert.equal(lines.length, 10);
+    assert.equal(lines[0], 'type,ligand,residue,ligand atoms,residue atoms,distance,detail');
+    assert.equal(lines[4], 'Salt bridge,LIG 1 (B),ARG 20 (A),O1 LIG 1 (B); O2 LIG 1 (B),NE ARG 20 (A); NH1 ARG 20 (A); NH2 ARG 20 (A),3.52,ligand negative');
+});
+
+// --- Cutoffs ---
+test('hydrogen bonds need 2.5-3.5 Å between donor and acceptor', () => {
+    // OG is straight along +y from O1
+    for (const [distance, count] of [[3.45, 1], [3.55, 0], [2.55, 1], [2.45, 0]]) {
+        const { ligand, residue, neighbors } = loadPocket();
+        const serine = residue(40);
+        moveAtoms(serine.atoms, [0, distance - 3, 0]);
+        assert.equal(findHydrogenBonds(ligand, [serine], neighbors).length, count, `OG at ${distance} Å`);
+    }
+    // THR 41 only lacks 0.2 Å
+    const { ligand, residue, neighbors } = loadPocket();
+    assert.deepEqual(findHydrogenBonds(ligand, [residue(41)], neighbors), []);
+});
+
+test('salt bridges need the charged groups within 5.5 Å', () => {
+    for (const [distance, count] of [[5.45, 1], [5.55, 0]]) {
+        const { ligand, residue, neighbors } = loadPocket();
+        const arginine = residue(20);
+        // The guanidinium centroid is 3.517 Å along +x from the carboxylate's
+        moveAtoms(arginine.atoms, [distance - 3.5167, 0, 0]);
+        assert.equal(findSaltBridges(ligand, [arginine], neighbors).length, count, `${distance} Å`);
+    }
+});
+
+test('hydrophobic contacts need carbons within 4 Å', () => {
+    for (const [distance, count] of [[3.95, 1], [4.05, 0]]) {
+        const { ligand, residue, neighbors } = loadPocket();
+        const leucine = residue(30);
+        moveAtoms(leucine.atoms, [3.81 - distance, 0, 0]); // CD1 is straight along -x from the methyl
+        assert.equal(findHydrophobicContacts(ligand, [leucine], neighbors).length, count, `${distance} Å`);
+    }
+    // Polar residues: their carbons near the ligand are bonded to N or O, or more than 4 Å away
+    const { ligand, residue, neighbors } = loadPocket();
+    assert.deepEqual(findHydrophobicContacts(ligand, [residue(20), residue(40)], neighbors), []);
+});
+
+test('pi-stacking: parallel up to 30°, T-shaped from 60°, in between neither', () => {
+    // PHE 10's ring is tilted about the x axis through its centroid (0.5, 0, 3.7)
+    for (const [degrees, detail] of [[0, 'parallel'], [25, 'parallel'], [35, null], [55, null], [65, 'T-shaped'], [90, 'T-shaped']]) {
+        const { ligand, residue, neighbors } = loadPocket();
+        const phenylalanine = residue(10);
+        const ring = phenylalanine.atoms.filter((atom) => !['N', 'CA', 'CB'].includes(atom.name));
+        tiltAtoms(ring, { y: 0, z: 3.7 }, degrees);
+        const found = findPiStacking(ligand, [phenylalanine], neighbors);
+        assert.deepEqual(found.map((item) => item.detail), detail ? [detail] : [], `${degrees}°`);
+    }
+});
+
+test('pi-stacking needs centroids within 5.5 Å and at most 2 Å off the ring axis', () => {
+    const stacked = (shift) => {
+        const { ligand, residue, neighbors } = loadPocket();
+        const phenylalanine = residue(10);
+        moveAtoms(phenylalanine.atoms, shift);
+        return findPiStacking(ligand, [phenylalanine], neighbors).length;
+    };
+    // Centroid distance: sqrt(0.5² + z²)
+    assert.equal(stacked([0, 0, Math.sqrt(5.45 ** 2 - 0.25) - 3.7]), 1);
+    assert.equal(stacked([0, 0, Math.sqrt(5.55 ** 2 - 0.25) - 3.7]), 0);
+    // Offset from the ligand ring's axis (the z axis), starting at 0.5 Å
+    assert.equal(stacked([1.45, 0, 0]), 1);
+    assert.equal(stacked([1.55, 0, 0]), 0);
+});
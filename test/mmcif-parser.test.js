@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { PDBLoader } from 'three/addons/loaders/PDBLoader.js';
+import { parseCif, parseMmcifAtoms } from '../js/mmcif-parser.js';
+import { parsePdbAtoms } from '../js/pdb-parser.js';
+import { MMCIFLoader } from '../js/structure-parser.js';
+
+// The same two-model entry as mmCIF and as PDB: alt locs, an insertion code, a quoted primed
+// atom name, a metal and one covalent link (struct_conn / CONECT)
+const cifText = readFileSync(new URL('./fixtures/multi-model.cif', import.meta.url), 'utf8');
+const pdbText = readFileSync(new URL('./fixtures/multi-model.pdb', import.meta.url), 'utf8');
+
+// --- Generic CIF ---
+test('parseCif reads text fields, quoted values and placeholders', () => {
+    const [block] = parseCif(cifText);
+    assert.equal(block.name, '1ABC');
+    assert.equal(block.categories.struct.fields.title[0], "A two-model test entry,\nwith a multi-line title\nand a 'loop_' inside the text");
+    assert.equal(block.categories.struct_keywords.fields.text[0], "parser's quoting test"); // Quote not followed by whitespace
+    assert.equal(block.categories.struct_keywords.fields.pdbx_keywords[0], null); // ?
+    assert.equal(block.categories.exptl.fields.method[0], null); // .
+    assert.equal(block.categories.atom_site.rowCount, 12);
+});
+
+test('parseCif keeps quoted placeholders as strings', () => {
+    const [block] = parseCif("data_x\n_a.b '?'\n_a.c \".\"\n");
+    assert.equal(block.categories.a.fields.b[0], '?');
+    assert.equal(block.categories.a.fields.c[0], '.');
+});
+
+test('parseCif reports incomplete loop rows and values outside a block', () => {
+    assert.throws(() => parseCif('data_x\nloop_\n_a.b\n_a.c\n1 2 3\n'), /loop of _a.b has an incomplete row/);
+    assert.throws(() => parseCif('_a.b 1\n'), /before the first data_ block/);
+});
+
+// --- Atom records ---
+test('parseMmcifAtoms reads every model, alt loc and placeholder', () => {
+    const { atoms, bonds } = parseMmcifAtoms(cifText);
+    assert.equal(atoms.length, 12);
+    assert.deepEqual(atoms.map((atom) => atom.model), [1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2]);
+    assert.deepEqual(atoms.slice(0, 6).map((atom) => atom.altLoc), ['', '', 'A', 'B', '', '']);
+    assert.deepEqual(atoms.slice(0, 6).map((atom) => atom.iCode), ['', '', '', '', 'A', '']);
+
+    const sugar = atoms[4];
+    assert.equal(sugar.name, "C1'");
+    assert.equal(sugar.resSeq, 2); // auth_seq_id, label_seq_id is '.' for ligands
+    assert.equal(sugar.hetero, true);
+    assert.deepEqual([sugar.x, sugar.y, sugar.z], [6, 5.5, -1.25]);
+    assert.equal(atoms[5].element, 'ZN');
+    assert.equal(atoms[2].occupancy, 0.6);
+
+    // The metal link; the hydrogen bond of struct_conn is not a covalent bond
+    assert.deepEqual(bonds, [[4, 5]]);
+});
+
+test('parseMmcifAtoms gives the same records as the PDB parser', () => {
+    const fromCif = parseMmcifAtoms(cifText).atoms;
+    const fromPdb = parsePdbAtoms(pdbText).atoms;
+    assert.equal(fromCif.length, fromPdb.length);
+    fromCif.forEach((atom, i) => {
+        // Serial numbers restart with every MODEL in the PDB file, mmCIF ids don't
+        const { serial, ...cifFields } = atom;
+        const { serial: pdbSerial, ...pdbFields } = fromPdb[i];
+        assert.deepEqual(cifFields, pdbFields, `atom ${i}`);
+    });
+});
+
+test('parseMmcifAtoms needs atom_site coordinates', () => {
+    assert.throws(() => parseMmcifAtoms('data_x\n_entry.id x\n'), /no _atom_site category/);
+    assert.throws(() => parseMmcifAtoms('data_x\nloop_\n_atom_site.id\n1\n2\n'), /no Cartn_x\/y\/z/);
+});
+
+// --- PDBLoader format ---
+test('MMCIFLoader matches PDBLoader on the same entry', () => {
+    const cif = new MMCIFLoader().parse(cifText);
+    const pdb = new PDBLoader().parse(pdbText);
+
+    // json.atoms entries are [x, y, z, [r, g, b], 'El']
+    assert.deepEqual(cif.json.atoms, pdb.json.atoms);
+    for (const name of ['position', 'color']) {
+        const expected = pdb.geometryAtoms.getAttribute(name).array;
+        const actual = cif.geometryAtoms.getAttribute(name).array;
+        assert.equal(actual.length, expected.length, name);
+        actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-6, `${name}[${i}]`));
+    }
+
+    // One bond, as two vertices. PDBLoader maps CONECT serials to the last model's atoms, so only
+    // the layout is compared
+    assert.equal(cif.geometryBonds.getAttribute('position').count, 2);
+    assert.equal(pdb.geometryBonds.getAttribute('position').count, 2);
+});
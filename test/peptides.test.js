@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parsePdbAtoms } from '../js/pdb-parser.js';
+import { buildStructure } from '../js/structure-model.js';
+import { perceiveBonds, mergeBonds } from '../js/bonds.js';
+import { computeSecondaryStructure } from '../js/secondary-structure.js';
+import { residueKind } from '../js/residues.js';
+
+// Synthetic peptides built from ideal bond lengths, angles and backbone dihedrals:
+//   helix.pdb    14 alanines at phi -57 / psi -47, and a zinc ion 2.1 Å from a carbonyl O
+//   hairpin.pdb  two 6-residue strands joined by a two-residue turn, a disulfide between
+//                CYS 3 and CYS 12 across the strands, an acetate, a water and a zinc ion
+function loadFixture(name) {
+    return buildStructure(parsePdbAtoms(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')).atoms);
+}
+
+function ssString(structure) {
+    return structure.residues.map((residue) => residue.ss[0]).join('');
+}
+
+// Bonds by kind: within a residue, peptide C-N, disulfide SG-SG, and anything else between residues
+function classifyBonds(structure, bonds) {
+    const counts = { residue: 0, peptide: 0, disulfide: 0, other: 0 };
+    for (const [a, b] of bonds) {
+        const [first, second] = [structure.atoms[a], structure.atoms[b]];
+        const names = [first.name, second.name].sort().join('-');
+        if (first.residue === second.residue) counts.residue++;
+        else if (names === 'C-N') counts.peptide++;
+        else if (names === 'SG-SG') counts.disulfide++;
+        else counts.other++;
+    }
+    return counts;
+}
+
+// --- Secondary structure ---
+test('an ideal alpha helix is helical except for its end residues', () => {
+    const structure = loadFixture('helix.pdb');
+    assert.deepEqual(computeSecondaryStructure(structure), { helix: 12, sheet: 0 });
+    assert.equal(ssString(structure), `c${'h'.repeat(12)}cc`); // The ion stays coil
+});
+
+test('an antiparallel hairpin has two strands and a coil turn', () => {
+    const structure = loadFixture('hairpin.pdb');
+    assert.deepEqual(computeSecondaryStructure(structure), { helix: 0, sheet: 10 });
+    // Residues 2-6 and 9-13 pair up; the ends, the turn and the hetero groups are coil
+    assert.equal(ssString(structure), `c${'s'.repeat(5)}cc${'s'.repeat(5)}cccc`);
+});
+
+test('secondary structure only changes protein residues', () => {
+    const structure = loadFixture('hairpin.pdb');
+    for (const residue of structure.residues) residue.ss = 'helix';
+    computeSecondaryStructure(structure);
+    const hetero = structure.residues.filter((residue) => residueKind(residue) !== 'protein');
+    assert.deepEqual(hetero.map((residue) => residue.ss), ['helix', 'helix', 'helix']);
+});
+
+// --- Bonds ---
+test('helix bonds: four per alanine and one peptide bond per link, none to the ion', () => {
+    const structure = loadFixture('helix.pdb');
+    const bonds = perceiveBonds(structure);
+    assert.deepEqual(classifyBonds(structure, bonds), { residue: 14 * 4, peptide: 13, disulfide: 0, other: 0 });
+    const zinc = structure.atoms.find((atom) => atom.element === 'ZN');
+    assert.ok(bonds.every(([a, b]) => a !== zinc.index && b !== zinc.index));
+    assert.ok(bonds.every(([a, b]) => a < b));
+});
+
+test('hairpin bonds: backbone, disulfide and ligand, nothing to the water or the ion', () => {
+    const structure = loadFixture('hairpin.pdb');
+    const bonds = perceiveBonds(structure);
+    // 14 residues x N-CA, CA-C, C=O, CA-CB, plus CB-SG in both cysteines and the acetate's three
+    assert.deepEqual(classifyBonds(structure, bonds), { residue: 14 * 4 + 2 + 3, peptide: 13, disulfide: 1, other: 0 });
+
+    const ligandBonds = bonds.filter(([a]) => structure.atoms[a].residue.name === 'ACT');
+    assert.equal(ligandBonds.length, 3);
+    const lonely = structure.atoms.filter((atom) => atom.residue.name === 'HOH' || atom.residue.name === 'ZN');
+    for (const atom of lonely) assert.ok(bonds.every(([a, b]) => a !== atom.index && b !== atom.index), atom.residue.name);
+});
+
+test('alternate locations and models are not bonded to each other', () => {
+    const line = (serial, altLoc, x) => `ATOM  ${String(serial).padStart(5)}  CA ${altLoc}ALA A   1    ${x.toFixed(3).padStart(8)}   0.000   0.000  1.00 10.00           C`;
+    const text = ['MODEL        1', line(1, 'A', 0), line(2, 'B', 1.4), 'ENDMDL', 'MODEL        2', line(3, ' ', 0.5), 'ENDMDL'].join('\n');
+    assert.deepEqual(perceiveBonds(buildStructure(parsePdbAtoms(text).atoms)), []);
+});
+
+test('mergeBonds keeps explicit bonds first and drops duplicates in either order', () => {
+    assert.deepEqual(mergeBonds([[3, 1]], [[1, 3], [1, 2]], [[2, 1]]), [[3, 1], [1, 2]]);
+});
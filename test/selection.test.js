@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parsePdbAtoms } from '../js/pdb-parser.js';
+import { buildStructure } from '../js/structure-model.js';
+import { parseSelection, selectAtoms, SelectionSyntaxError } from '../js/selection.js';
+import { createSpatialGrid } from '../js/spatial-grid.js';
+
+// Chain A: ALA -1, GLY 1, SER 10 along x; chain B: a HEM iron 3.6 Å above the serine OG,
+// a water far away and a zinc ion
+//   0 N -1   1 CA -1   2 N 1   3 CA 1   4 N 10   5 CA 10   6 OG 10   7 FE   8 O (HOH)   9 ZN
+const structure = buildStructure(parsePdbAtoms(readFileSync(new URL('./fixtures/selection.pdb', import.meta.url), 'utf8')).atoms);
+
+const select = (text) => selectAtoms(structure, text);
+
+// --- Terms ---
+test('chain, residue name, atom name and element terms', () => {
+    assert.deepEqual(select('chain A'), [0, 1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(select('chain b'), [7, 8, 9]); // Case-insensitive
+    assert.deepEqual(select('chain A B'), select('all'));
+    assert.deepEqual(select('resn ala+GLY'), [0, 1, 2, 3]);
+    assert.deepEqual(select('name CA'), [1, 3, 5]);
+    assert.deepEqual(select('name C*'), [1, 3, 5]); // Prefix wildcard
+    assert.deepEqual(select('element Fe ZN'), [7, 9]);
+});
+
+test('set keywords', () => {
+    assert.deepEqual(select('protein'), [0, 1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(select('hetero'), [7, 8, 9]);
+    assert.deepEqual(select('ligand'), [7]);
+    assert.deepEqual(select('water'), [8]);
+    assert.deepEqual(select('ion'), [9]);
+    assert.deepEqual(select('none'), []);
+});
+
+test('residue numbers and ranges', () => {
+    assert.deepEqual(select('resi -1'), [0, 1]);
+    assert.deepEqual(select('resi -1-1'), [0, 1, 2, 3]); // Negative start
+    assert.deepEqual(select('resi 1:10'), [2, 3, 4, 5, 6]);
+    assert.deepEqual(select('resi 10-1'), [2, 3, 4, 5, 6]); // Reversed
+    assert.deepEqual(select('resi 1+10'), [2, 3, 4, 5, 6]);
+    assert.deepEqual(select('resi 2-9'), []);
+    assert.deepEqual(parseSelection('resi 5 7-9').ranges, [[5, 5], [7, 9]]);
+});
+
+// --- Operators ---
+test('and binds tighter than or', () => {
+    // Parsed as chain A or (resn HOH and hetero)
+    assert.deepEqual(select('chain A or resn HOH and hetero'), [0, 1, 2, 3, 4, 5, 6, 8]);
+    assert.deepEqual(select('(chain A or resn HOH) and hetero'), [8]);
+    assert.deepEqual(parseSelection('chain A or chain B and hetero'), {
+        type: 'or',
+        left: { type: 'chain', values: ['A'] },
+        right: { type: 'and', left: { type: 'chain', values: ['B'] }, right: { type: 'set', name: 'hetero' } }
+    });
+});
+
+test('not applies to the term right after it', () => {
+    assert.deepEqual(select('not chain A and hetero'), [7, 8, 9]); // (not chain A) and hetero
+    assert.deepEqual(select('not (chain A and hetero)'), select('all'));
+    assert.deepEqual(select('not not ion'), [9]);
+});
+
+test('within N of selects atoms around the operand, its own atoms included', () => {
+    assert.deepEqual(select('within 4 of ligand'), [6, 7]); // OG is 3.6 Å from the iron
+    assert.deepEqual(select('within 5 of ligand'), [5, 6, 7]); // The serine CA at exactly 5 Å counts
+    assert.deepEqual(select('within 0 of ion'), [9]);
+    // Applies to the next term only: (within 5 of ligand) and chain A
+    assert.deepEqual(select('within 5 of ligand and chain A'), [5, 6]);
+    assert.deepEqual(select('within 5 of (ligand and chain A)'), []);
+    assert.deepEqual(parseSelection('within 2.5 of resn HEM').distance, 2.5);
+    assert.deepEqual(select('within 100 of ion'), select('all')); // The largest distance allowed
+});
+
+test('grid searches only visit the cells there are, whatever the radius', () => {
+    const grid = createSpatialGrid(structure.atoms);
+    for (const radius of [1e9, Infinity]) {
+        let count = 0;
+        grid.forEachNear(0, 0, 0, radius, () => count++);
+        assert.equal(count, structure.atoms.length, String(radius));
+    }
+});
+
+// --- Syntax errors ---
+// [expression, message pattern, position (0-based)]
+const errors = [
+    ['', /Empty selection/, 0],
+    ['   ', /Empty selection/, 0],
+    ['chain', /Expected a value after "chain", found end of selection/, 5],
+    ['chain A and', /Expected a selection, found end of selection/, 11],
+    ['chain A or )', /Expected a selection, found "\)"/, 11],
+    ['(chain A', /Expected "\)" to close the "\(" at position 1/, 8],
+    ['chain A chain B', /Unexpected "chain"/, 8],
+    ['foo', /Unknown keyword "foo"/, 0],
+    ['chain A and of', /"of" can't start a selection here/, 12],
+    ['within x of ligand', /Expected a distance after "within", found "x"/, 7],
+    ['within -1 of ligand', /Expected a distance/, 7],
+    ['within Infinity of resi 1', /Distance Infinity is too large \(at most 100 Å\)/, 7],
+    ['within 1e9 of all', /Distance 1e9 is too large/, 7],
+    ['constructor', /Unknown keyword "constructor"/, 0], // Object properties are no keywords
+    ['chain A or __proto__', /Unknown keyword "__proto__"/, 11],
+    ['within 5 ligand', /Expected "of" after "within 5", found "ligand"/, 9],
+    ['resi 1-x', /Expected a residue number or range/, 5],
+    ['resi 10 and resi 1--', /Expected a residue number or range/, 17]
+];
+
+test('syntax errors report where the problem is', () => {
+    for (const [text, message, position] of errors) {
+        assert.throws(() => parseSelection(text), (error) => {
+            assert.ok(error instanceof SelectionSyntaxError, text);
+            assert.match(error.message, message, text);
+            assert.equal(error.position, position, text);
+            assert.ok(error.message.endsWith(`(at position ${position + 1})`), text);
+            return true;
+        });
+    }
+});
+
+test('selectAtoms passes syntax errors on', () => {
+    assert.throws(() => select('chain A and'), SelectionSyntaxError);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignSequences, kabsch, applyTransform, pairDistances, rmsd } from '../js/superposition.js';
+
+// An irregular set of points (no symmetry, not coplanar), roughly the size of a small peptide trace
+const points = [
+    [0, 0, 0], [3.8, 0, 0], [5.2, 3.5, 0.4], [4.1, 5.9, 3.2], [0.6, 6.8, 4.1],
+    [-1.9, 4.3, 6.0], [-0.7, 1.2, 7.9], [2.9, 0.8, 9.1]
+].map(([x, y, z]) => ({ x, y, z }));
+
+// Rotation by angle about a unit axis (Rodrigues), row-major like the module's transforms
+function axisRotation([ax, ay, az], angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const t = 1 - c;
+    return [
+        t * ax * ax + c, t * ax * ay - s * az, t * ax * az + s * ay,
+        t * ax * ay + s * az, t * ay * ay + c, t * ay * az - s * ax,
+        t * ax * az - s * ay, t * ay * az + s * ax, t * az * az + c
+    ];
+}
+
+function determinant(m) {
+    return m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+}
+
+// R R^T = I and det R = +1
+function assertProperRotation(r) {
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            const value = r[row * 3] * r[col * 3] + r[row * 3 + 1] * r[col * 3 + 1] + r[row * 3 + 2] * r[col * 3 + 2];
+            assert.ok(Math.abs(value - (row === col ? 1 : 0)) < 1e-9, `R R^T [${row}][${col}] = ${value}`);
+        }
+    }
+    assert.ok(Math.abs(determinant(r) - 1) < 1e-9, `det R = ${determinant(r)}`);
+}
+
+// --- Kabsch ---
+test('kabsch recovers a known rotation and translation', () => {
+    const axis = [1, 2, 2].map((x) => x / 3);
+    const transform = { rotation: axisRotation(axis, 2.1), translation: [12.5, -4, 30] };
+    const target = points.map((point) => applyTransform(transform, point));
+
+    const fit = kabsch(points, target);
+    assert.ok(fit.rmsd < 1e-9, `rmsd ${fit.rmsd}`);
+    assertProperRotation(fit.rotation);
+    fit.rotation.forEach((value, i) => assert.ok(Math.abs(value - transform.rotation[i]) < 1e-9, `rotation[${i}]`));
+    fit.translation.forEach((value, i) => assert.ok(Math.abs(value - transform.translation[i]) < 1e-9, `translation[${i}]`));
+    assert.ok(Math.max(...pairDistances(points, target, fit)) < 1e-9);
+});
+
+test('kabsch of a point set onto itself is the identity', () => {
+    const fit = kabsch(points, points);
+    assert.ok(fit.rmsd < 1e-9);
+    fit.rotation.forEach((value, i) => assert.ok(Math.abs(value - [1, 0, 0, 0, 1, 0, 0, 0, 1][i]) < 1e-9, `rotation[${i}]`));
+});
+
+test('kabsch never fits a mirror image with a reflection', () => {
+    // The mirror image through the yz plane, moved away; only a reflection would superpose it exactly
+    const mirrored = points.map(({ x, y, z }) => ({ x: -x + 5, y: y - 2, z }));
+    const fit = kabsch(points, mirrored);
+    assertProperRotation(fit.rotation);
+    assert.ok(fit.rmsd > 0.5, `rmsd ${fit.rmsd}`);
+    // The reported RMSD is the one of the returned transform
+    const moved = points.map((point) => applyTransform(fit, point));
+    assert.ok(Math.abs(rmsd(moved, mirrored) - fit.rmsd) < 1e-12);
+    // ... and turning the fitted points a little more only makes it worse
+    for (const axis of [[1, 0, 0], [0, 1, 0], [0, 0, 1]]) {
+        for (const angle of [-0.05, 0.05]) {
+            const nudge = { rotation: axisRotation(axis, angle), translation: [0, 0, 0] };
+            assert.ok(rmsd(moved.map((point) => applyTransform(nudge, point)), mirrored) > fit.rmsd);
+        }
+    }
+});
+
+test('kabsch handles collinear points and rejects unusable input', () => {
+    const line = [0, 1, 2, 3].map((x) => ({ x, y: 0, z: 0 }));
+    const turned = line.map(({ x }) => ({ x: 1, y: x, z: 2 }));
+    const fit = kabsch(line, turned);
+    assert.ok(fit.rmsd < 1e-9);
+    assertProperRotation(fit.rotation);
+
+    assert.throws(() => kabsch(points.slice(0, 2), points.slice(0, 2)), /at least 3 point pairs/);
+    assert.throws(() => kabsch(points, points.slice(1)), /differ in length/);
+});
+
+test('rmsd of paired points', () => {
+    assert.equal(rmsd([], []), 0);
+    const shifted = points.map(({ x, y, z }) => ({ x, y: y + 2, z }));
+    assert.ok(Math.abs(rmsd(points, shifted) - 2) < 1e-12);
+    const a = [{ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }];
+    const b = [{ x: 3, y: 4, z: 0 }, { x: 0, y: 0, z: 0 }];
+    assert.ok(Math.abs(rmsd(a, b) - Math.sqrt(12.5)) < 1e-12);
+});
+
+// --- Sequence alignment ---
+const range = (from, to, offset = 0) => Array.from({ length: to - from }, (_, i) => [from + i, from + i + offset]);
+
+test('alignSequences pairs identical sequences one to one', () => {
+    assert.deepEqual(alignSequences('ACDEFGHIKL', 'ACDEFGHIKL'), range(0, 10));
+    assert.deepEqual(alignSequences('', 'ACD'), []);
+});
+
+test('alignSequences opens gaps for insertions and deletions', () => {
+    // Two extra residues in b after ACDEF
+    assert.deepEqual(alignSequences('ACDEFGHIKLMN', 'ACDEFWWGHIKLMN'), [...range(0, 5), ...range(5, 12, 2)]);
+    // Three residues of a missing from b
+    assert.deepEqual(alignSequences('ACDEFGHIKLMNPQ', 'ACDEFKLMNPQ'), [...range(0, 5), ...range(8, 14, -3)]);
+    // Point mutations are aligned as mismatches rather than gapped around
+    assert.deepEqual(alignSequences('ACDEFGHIKL', 'ACDWFGHYKL'), range(0, 10));
+});
+
+test('alignSequences leaves free end gaps for partial models', () => {
+    // A fragment of the middle of the chain
+    assert.deepEqual(alignSequences('GHIKLM', 'ACDEFGHIKLMNPQ'), range(0, 6, 5));
+    assert.deepEqual(alignSequences('ACDEFGHIKLMNPQ', 'GHIKLM'), range(5, 11, -5));
+    // Overhangs on both sides
+    assert.deepEqual(alignSequences('WWWACDEFGH', 'ACDEFGHYYY'), range(3, 10, -3));
+});
+
+test('alignSequences refuses alignments that would not fit in memory', () => {
+    assert.throws(() => alignSequences('A'.repeat(6000), 'A'.repeat(6000)), /too long to align/);
+});
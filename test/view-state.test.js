@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { VIEW_STATE_VERSION, encodeViewState, decodeViewState, applyCameraJSON, finiteNumber } from '../js/view-state.js';
+
+test('finiteNumber falls back for anything but a finite number', () => {
+    assert.equal(finiteNumber(0.25, 1), 0.25);
+    for (const value of [undefined, null, '0.5', NaN, Infinity, {}, [1]]) assert.equal(finiteNumber(value, 1), 1, String(value));
+    assert.equal(finiteNumber(-1, 0.5, { min: 0 }), 0.5);
+    assert.equal(finiteNumber(0, 0.5, { min: 0 }), 0);
+});
+
+test('view states survive the link encoding', () => {
+    const state = { version: VIEW_STATE_VERSION, source: { type: 'pdb', id: '1CRN' }, color: { scheme: 'wave', wave: { speed: 0.5, frequency: 0.1 } }, note: 'Å' };
+    assert.deepEqual(decodeViewState(encodeViewState(state)), state);
+    assert.throws(() => decodeViewState(encodeViewState({ version: 99 })), /Unsupported view state version/);
+});
+
+test('applyCameraJSON keeps the current camera for malformed fields', () => {
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 0, 100);
+    const controls = { target: new THREE.Vector3(1, 2, 3), update() {} };
+    applyCameraJSON(camera, controls, { position: [0, 'x', 5], up: [0, 1], zoom: -2, target: null });
+    assert.deepEqual(camera.position.toArray(), [0, 0, 100]);
+    assert.deepEqual(camera.up.toArray(), [0, 1, 0]);
+    assert.equal(camera.zoom, 1);
+    assert.deepEqual(controls.target.toArray(), [1, 2, 3]);
+
+    applyCameraJSON(camera, controls, { position: [10, 20, 30], up: [0, 0, 1], zoom: 2, target: [0, 0, 0] });
+    assert.deepEqual(camera.position.toArray(), [10, 20, 30]);
+    assert.equal(camera.zoom, 2);
+    assert.deepEqual(controls.target.toArray(), [0, 0, 0]);
+});